@@ -0,0 +1,107 @@
+// Mail transports for notifications. A transport is { name, send(message) }
+// where message is { from, to, subject, text, html, attachments } and send
+// resolves to { messageId } or throws; attachments use nodemailer's shape
+// ({ filename, content, contentType }). MAIL_TRANSPORT picks one:
+//   smtp   - nodemailer over SMTP_HOST/SMTP_PORT (production)
+//   outbox - writes each message as an .eml file to MAIL_OUTBOX_DIR (development and tests)
+//   none   - notifications are switched off
+// Other transports can be added with registerTransport(name, factory).
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_OUTBOX_DIR = './outbox';
+
+const transportFactories = {
+  smtp: () => {
+    const secure = process.env.SMTP_SECURE === 'true';
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  outbox: () => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR);
+    // Builds the same RFC 822 message SMTP would send, without a server
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+      name: 'outbox',
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${String(message.to).replace(/[^a-z0-9@._-]/gi, '_')}.eml`;
+        await fs.promises.writeFile(path.join(outboxDir, fileName), info.message);
+
+        return { messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport;
+
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  activeTransport = undefined;
+}
+
+// Name of the configured transport: MAIL_TRANSPORT, else smtp when SMTP_HOST is set,
+// else outbox. Production never falls back to the outbox: customer emails
+// would be written to disk and reported as sent.
+function getTransportName() {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.SMTP_HOST) {
+    return 'smtp';
+  }
+  return process.env.NODE_ENV === 'production' ? 'none' : 'outbox';
+}
+
+// The configured transport, or null when notifications are switched off
+function getTransport() {
+  if (activeTransport !== undefined) {
+    return activeTransport;
+  }
+
+  const name = getTransportName();
+
+  if (name === 'none') {
+    if (!process.env.MAIL_TRANSPORT) {
+      console.warn('⚠️  Neither MAIL_TRANSPORT nor SMTP_HOST is set; emails are switched off in production');
+    }
+    activeTransport = null;
+  } else if (!transportFactories[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use ${Object.keys(transportFactories).join(', ')} or none`);
+  } else {
+    activeTransport = transportFactories[name]();
+  }
+
+  return activeTransport;
+}
+
+function getMailFrom() {
+  return process.env.MAIL_FROM || 'Bookings <bookings@localhost>';
+}
+
+module.exports = {
+  registerTransport,
+  getTransportName,
+  getTransport,
+  getMailFrom
+};
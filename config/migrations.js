@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Each file in migrations/ named
+// `<version>_<name>.js` exports `up(db)` and `down(db)`, which receive a
+// dedicated connection. Applied migrations are recorded in schema_migrations
+// with a checksum of the file, so editing a migration after it ran is caught.
+//
+// MySQL cannot roll back DDL, so a migration is recorded as `running` before
+// it starts and `failed` if it throws; running `migrate` again retries it.
+// Write migrations with the idempotent helpers in migrations/helpers.js.
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Held while migrating so two processes never migrate at once
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+class MigrationError extends Error {
+  constructor(message, code, migrations = []) {
+    super(message);
+    this.name = 'MigrationError';
+    this.code = code;
+    this.migrations = migrations;
+  }
+}
+
+// Line endings are normalised so a Windows checkout has the same checksum
+function checksumFile(filePath) {
+  const source = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
+  return crypto.createHash('sha256').update(source).digest('hex');
+}
+
+// Migration files on disk, ordered by version
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const filePath = path.join(MIGRATIONS_DIR, file);
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        checksum: checksumFile(filePath),
+        load: () => require(filePath)
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new MigrationError(
+        `Two migrations share version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`,
+        'MIGRATION_DUPLICATE_VERSION'
+      );
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      status ENUM('running', 'applied', 'failed') NOT NULL DEFAULT 'running',
+      error TEXT,
+      execution_ms INT NULL,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      applied_at TIMESTAMP NULL
+    )
+  `);
+}
+
+// Every migration with its state:
+//   pending  - on disk, never applied
+//   applied  - applied and the file is unchanged
+//   changed  - applied, but the file was edited afterwards
+//   failed   - threw (or the process died) while applying
+//   missing  - recorded as applied, but the file is gone
+async function getMigrationStatus(db) {
+  await ensureMigrationsTable(db);
+
+  const migrations = loadMigrations();
+  const [rows] = await db.execute('SELECT * FROM schema_migrations ORDER BY version ASC');
+  const recorded = new Map(rows.map(row => [row.version, row]));
+
+  const status = migrations.map(migration => {
+    const row = recorded.get(migration.version);
+    let state = 'pending';
+
+    if (row) {
+      if (row.status !== 'applied') {
+        state = 'failed';
+      } else if (row.checksum !== migration.checksum) {
+        state = 'changed';
+      } else {
+        state = 'applied';
+      }
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      file: migration.file,
+      state,
+      error: row ? row.error : null,
+      applied_at: row ? row.applied_at : null
+    };
+  });
+
+  const known = new Set(migrations.map(migration => migration.version));
+  rows.filter(row => !known.has(row.version)).forEach(row => {
+    status.push({
+      version: row.version,
+      name: row.name,
+      file: null,
+      state: 'missing',
+      error: row.error,
+      applied_at: row.applied_at
+    });
+  });
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+async function withMigrationLock(pool, callback) {
+  const db = await pool.getConnection();
+
+  try {
+    const [[{ acquired }]] = await db.execute('SELECT GET_LOCK(?, ?) as acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (acquired !== 1) {
+      throw new MigrationError('Another process is running migrations', 'MIGRATION_LOCKED');
+    }
+
+    try {
+      return await callback(db);
+    } finally {
+      await db.execute('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    db.release();
+  }
+}
+
+// Refuse to go on while an applied migration was edited or removed
+function assertNoDrift(status) {
+  const drifted = status.filter(migration => ['changed', 'missing'].includes(migration.state));
+  if (drifted.length > 0) {
+    throw new MigrationError(
+      `Applied migrations do not match the files on disk: ${drifted.map(m => `${m.version} (${m.state})`).join(', ')}. ` +
+      'Restore the original files; never edit a migration that has already run, add a new one instead.',
+      'MIGRATION_DRIFT',
+      drifted
+    );
+  }
+}
+
+// Apply pending (and retry failed) migrations in order, up to `to` if given.
+// Stops at the first failure. Returns the migrations that were applied.
+async function migrate(pool, { to = null } = {}) {
+  return withMigrationLock(pool, async (db) => {
+    const status = await getMigrationStatus(db);
+    assertNoDrift(status);
+
+    const migrations = loadMigrations();
+    const todo = status
+      .filter(migration => ['pending', 'failed'].includes(migration.state))
+      .filter(migration => to === null || migration.version <= to);
+
+    const applied = [];
+
+    for (const entry of todo) {
+      const migration = migrations.find(m => m.version === entry.version);
+      console.log(`⬆️  Applying migration ${migration.file}...`);
+
+      await db.execute(`
+        INSERT INTO schema_migrations (version, name, checksum, status, error, started_at, applied_at)
+        VALUES (?, ?, ?, 'running', NULL, NOW(), NULL)
+        ON DUPLICATE KEY UPDATE
+          name = VALUES(name),
+          checksum = VALUES(checksum),
+          status = 'running',
+          error = NULL,
+          started_at = NOW(),
+          applied_at = NULL
+      `, [migration.version, migration.name, migration.checksum]);
+
+      const startedAt = Date.now();
+
+      try {
+        await migration.load().up(db);
+      } catch (error) {
+        await db.execute(
+          "UPDATE schema_migrations SET status = 'failed', error = ? WHERE version = ?",
+          [error.message, migration.version]
+        );
+        throw new MigrationError(
+          `Migration ${migration.file} failed: ${error.message}`,
+          'MIGRATION_FAILED',
+          [entry]
+        );
+      }
+
+      const executionMs = Date.now() - startedAt;
+      await db.execute(
+        "UPDATE schema_migrations SET status = 'applied', execution_ms = ?, applied_at = NOW() WHERE version = ?",
+        [executionMs, migration.version]
+      );
+
+      console.log(`✅ Applied ${migration.file} (${executionMs} ms)`);
+      applied.push(entry);
+    }
+
+    return applied;
+  });
+}
+
+// Undo the last `steps` applied migrations, newest first. Returns the migrations rolled back.
+async function rollback(pool, { steps = 1 } = {}) {
+  return withMigrationLock(pool, async (db) => {
+    const status = await getMigrationStatus(db);
+    assertNoDrift(status);
+
+    const migrations = loadMigrations();
+    const todo = status
+      .filter(migration => ['applied', 'failed'].includes(migration.state))
+      .reverse()
+      .slice(0, steps);
+
+    const rolledBack = [];
+
+    for (const entry of todo) {
+      const migration = migrations.find(m => m.version === entry.version);
+      console.log(`⬇️  Rolling back migration ${migration.file}...`);
+
+      try {
+        await migration.load().down(db);
+      } catch (error) {
+        await db.execute(
+          "UPDATE schema_migrations SET status = 'failed', error = ? WHERE version = ?",
+          [`Rollback failed: ${error.message}`, migration.version]
+        );
+        throw new MigrationError(
+          `Rolling back ${migration.file} failed: ${error.message}`,
+          'MIGRATION_FAILED',
+          [entry]
+        );
+      }
+
+      await db.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+
+      console.log(`✅ Rolled back ${migration.file}`);
+      rolledBack.push(entry);
+    }
+
+    return rolledBack;
+  });
+}
+
+// Throw unless every migration on disk is applied and unchanged. Used at startup.
+async function assertMigrationsApplied(pool) {
+  const status = await getMigrationStatus(pool);
+  assertNoDrift(status);
+
+  const failed = status.filter(migration => migration.state === 'failed');
+  if (failed.length > 0) {
+    throw new MigrationError(
+      `Migrations did not complete: ${failed.map(m => m.file).join(', ')}. Fix the cause and run \`npm run migrate\` again.`,
+      'MIGRATION_FAILED',
+      failed
+    );
+  }
+
+  const pending = status.filter(migration => migration.state === 'pending');
+  if (pending.length > 0) {
+    throw new MigrationError(
+      `Pending migrations: ${pending.map(m => m.file).join(', ')}. Run \`npm run migrate\` first.`,
+      'MIGRATION_PENDING',
+      pending
+    );
+  }
+}
+
+module.exports = {
+  MigrationError,
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  assertMigrationsApplied
+};
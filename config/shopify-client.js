@@ -0,0 +1,382 @@
+// Shopify Admin REST client: timeouts, retries with backoff, a leaky-bucket
+// throttle driven by X-Shopify-Shop-Api-Call-Limit, typed errors and hooks.
+const https = require('https');
+const http = require('http');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+const MAX_REDIRECTS = 3;
+
+// Standard REST bucket: 40 calls, leaking 2 per second (Plus stores report a larger bucket)
+const DEFAULT_BUCKET_SIZE = 40;
+const DEFAULT_LEAK_RATE = 2;
+// Calls kept free in the bucket for other apps and the admin itself
+const DEFAULT_BUCKET_RESERVE = 4;
+
+// Methods that are safe to send again after a 5xx, a timeout or a dropped connection.
+// POSTs are only retried on 429, which Shopify guarantees was not processed.
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+// Every failure from the client has this shape:
+//   code     - 'HTTP_ERROR' | 'RATE_LIMITED' | 'NETWORK_ERROR' | 'TIMEOUT' | 'INVALID_RESPONSE'
+//   status   - HTTP status, or null when no response arrived
+//   details  - Shopify's `errors`/`error` payload when there was one
+//   response - { status, headers, body } when a response arrived
+//   retryable, attempts, method, path
+class ShopifyApiError extends Error {
+  constructor(message, { code, status = null, details = null, response = null, retryable = false, method, path }) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.response = response;
+    this.retryable = retryable;
+    this.method = method;
+    this.path = path;
+    this.attempts = 0;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Shared across clients so every caller in the process respects the same bucket
+class LeakyBucketThrottle {
+  constructor({ size = DEFAULT_BUCKET_SIZE, leakRate = DEFAULT_LEAK_RATE, reserve = DEFAULT_BUCKET_RESERVE } = {}) {
+    this.size = size;
+    this.leakRate = leakRate;
+    this.reserve = reserve;
+    this.used = 0;
+    this.updatedAt = Date.now();
+    this.inFlight = 0;
+  }
+
+  // Estimated calls in the bucket right now, including requests we have in flight
+  level() {
+    const leaked = ((Date.now() - this.updatedAt) / 1000) * this.leakRate;
+    return Math.max(0, this.used - leaked) + this.inFlight;
+  }
+
+  // Wait until one more call fits under the bucket size minus the reserve
+  async acquire() {
+    const limit = Math.max(1, this.size - this.reserve);
+
+    while (this.level() + 1 > limit) {
+      const waitMs = Math.ceil(((this.level() + 1 - limit) / this.leakRate) * 1000);
+      await sleep(Math.max(50, waitMs));
+    }
+
+    this.inFlight++;
+  }
+
+  release() {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+  }
+
+  // Sync with the "used/size" value Shopify reports on every response
+  update(callLimitHeader) {
+    const match = /^(\d+)\/(\d+)$/.exec(String(callLimitHeader || '').trim());
+    if (!match) {
+      return;
+    }
+
+    this.used = parseInt(match[1]);
+    this.size = parseInt(match[2]);
+    this.updatedAt = Date.now();
+  }
+
+  // After a 429 the bucket is full by definition
+  markFull() {
+    this.used = this.size;
+    this.updatedAt = Date.now();
+  }
+}
+
+const sharedThrottle = new LeakyBucketThrottle();
+
+// Hooks registered for every client, e.g. request logging
+const globalHooks = [];
+
+function addShopifyHooks(hooks) {
+  globalHooks.push(hooks);
+}
+
+function runHooks(hooksList, name, event) {
+  for (const hooks of hooksList) {
+    if (typeof hooks[name] === 'function') {
+      try {
+        hooks[name](event);
+      } catch (error) {
+        console.error(`[Shopify API] ${name} hook failed:`, error.message);
+      }
+    }
+  }
+}
+
+// Delay before the next attempt: Retry-After when Shopify sends it, else exponential backoff with jitter
+function getRetryDelay(error, attempt, baseBackoffMs) {
+  const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.min(MAX_BACKOFF_MS, Math.max(0, seconds * 1000));
+    }
+  }
+
+  const exponential = baseBackoffMs * Math.pow(2, attempt - 1);
+  return Math.min(MAX_BACKOFF_MS, exponential / 2 + Math.random() * exponential / 2);
+}
+
+// Message for an error response body
+function getErrorDetails(body) {
+  if (body && typeof body === 'object') {
+    return body.errors || body.error || null;
+  }
+  return null;
+}
+
+// Headers for a request to targetUrl. The access token only goes to the
+// shop's own host (over the original protocol or better), never to another
+// host a redirect points at.
+function headersFor(targetUrl, shopUrl, headers) {
+  const target = new URL(targetUrl);
+  const shop = new URL(shopUrl);
+  const sameShop = target.host === shop.host && (target.protocol === shop.protocol || target.protocol === 'https:');
+
+  if (sameShop) {
+    return headers;
+  }
+
+  const otherHeaders = { ...headers };
+  delete otherHeaders['X-Shopify-Access-Token'];
+  return otherHeaders;
+}
+
+// One HTTP request (following redirects), without retries
+function sendRequest({ method, url, headers, body, timeoutMs, path }) {
+  return new Promise((resolve, reject) => {
+    const send = (targetUrl, redirectsLeft) => {
+      const urlObj = new URL(targetUrl);
+      const transport = urlObj.protocol === 'http:' ? http : https;
+
+      const req = transport.request({
+        hostname: urlObj.hostname,
+        port: urlObj.port || (urlObj.protocol === 'http:' ? 80 : 443),
+        path: urlObj.pathname + urlObj.search,
+        method,
+        headers: headersFor(targetUrl, url, headers)
+      }, (res) => {
+        // Follow redirects; the access token is dropped when one leaves the shop's host
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirectsLeft > 0) {
+          res.resume();
+          console.log(`[Shopify API] Redirect ${res.statusCode} to: ${res.headers.location}`);
+          return send(new URL(res.headers.location, targetUrl).toString(), redirectsLeft - 1);
+        }
+
+        let responseData = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+        res.on('end', () => {
+          resolve({ status: res.statusCode, headers: res.headers, rawBody: responseData });
+        });
+      });
+
+      req.setTimeout(timeoutMs, () => {
+        req.destroy(new ShopifyApiError(`Request timed out after ${timeoutMs}ms`, {
+          code: 'TIMEOUT',
+          retryable: true,
+          method,
+          path
+        }));
+      });
+
+      req.on('error', (error) => {
+        if (error instanceof ShopifyApiError) {
+          return reject(error);
+        }
+        reject(new ShopifyApiError(error.message, {
+          code: 'NETWORK_ERROR',
+          retryable: true,
+          method,
+          path
+        }));
+      });
+
+      if (body) {
+        req.write(body);
+      }
+      req.end();
+    };
+
+    send(url, MAX_REDIRECTS);
+  });
+}
+
+// Turn a raw response into { body, status, headers } or a ShopifyApiError
+function parseResponse({ status, headers, rawBody }, { method, path }) {
+  let parsed = {};
+
+  if (rawBody.trim() !== '') {
+    try {
+      parsed = JSON.parse(rawBody);
+    } catch (e) {
+      const error = new ShopifyApiError(`Invalid JSON response: ${e.message}`, {
+        code: status >= 200 && status < 300 ? 'INVALID_RESPONSE' : 'HTTP_ERROR',
+        status,
+        response: { status, headers, body: rawBody.substring(0, 500) },
+        retryable: status >= 500,
+        method,
+        path
+      });
+      throw error;
+    }
+  }
+
+  if (status >= 200 && status < 300) {
+    return { body: parsed, status, headers };
+  }
+
+  const details = getErrorDetails(parsed);
+  const message = typeof details === 'string'
+    ? details
+    : (details ? JSON.stringify(details) : `Request failed with status ${status}`);
+
+  throw new ShopifyApiError(message, {
+    code: status === 429 ? 'RATE_LIMITED' : 'HTTP_ERROR',
+    status,
+    details,
+    response: { status, headers, body: parsed },
+    retryable: status === 429 || status >= 500,
+    method,
+    path
+  });
+}
+
+// page_info cursor of the rel="next" page from a Link header, or null on the last page.
+// Link: <https://shop.myshopify.com/admin/api/2024-01/products.json?limit=250&page_info=abc>; rel="next"
+function getNextPageInfo(headers) {
+  const link = headers && headers.link;
+  if (!link) {
+    return null;
+  }
+
+  for (const part of String(link).split(',')) {
+    const match = /<([^>]+)>\s*;\s*rel="?next"?/.exec(part);
+    if (match) {
+      return new URL(match[1]).searchParams.get('page_info');
+    }
+  }
+
+  return null;
+}
+
+// Create a client bound to a store configuration (see getShopifyConfig in config/shopify.js).
+// options: { timeoutMs, maxRetries, backoffMs, throttle, hooks: { onRequest, onResponse, onRetry, onError } }
+function createShopifyApiClient(config, options = {}) {
+  const timeoutMs = options.timeoutMs || parseInt(process.env.SHOPIFY_REQUEST_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const envRetries = parseInt(process.env.SHOPIFY_MAX_RETRIES);
+  const maxRetries = options.maxRetries !== undefined ? options.maxRetries : (isNaN(envRetries) ? DEFAULT_MAX_RETRIES : envRetries);
+  const backoffMs = options.backoffMs || DEFAULT_BACKOFF_MS;
+  const throttle = options.throttle || sharedThrottle;
+  const hooksList = options.hooks ? [...globalHooks, options.hooks] : globalHooks;
+
+  async function request(method, endpoint, data = null) {
+    // Ensure endpoint ends with .json for Shopify REST API (before any query string)
+    const [endpointPath, query] = endpoint.split('?');
+    const path = `${endpointPath.endsWith('.json') ? endpointPath : `${endpointPath}.json`}${query ? `?${query}` : ''}`;
+    const url = `${config.apiBaseUrl}/admin/api/${config.apiVersion}/${path}`;
+
+    const body = data && (method === 'POST' || method === 'PUT') ? JSON.stringify(data) : null;
+    const headers = {
+      'X-Shopify-Access-Token': config.accessToken,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    if (body) {
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      await throttle.acquire();
+      const startedAt = Date.now();
+      runHooks(hooksList, 'onRequest', { method, path, url, attempt, body: data });
+
+      try {
+        let raw;
+        try {
+          raw = await sendRequest({ method, url, headers, body, timeoutMs, path });
+        } finally {
+          // The call is over: free its slot before any backoff below
+          throttle.release();
+        }
+        throttle.update(raw.headers['x-shopify-shop-api-call-limit']);
+        if (raw.status === 429) {
+          throttle.markFull();
+        }
+
+        const result = parseResponse(raw, { method, path });
+
+        runHooks(hooksList, 'onResponse', {
+          method,
+          path,
+          attempt,
+          status: result.status,
+          durationMs: Date.now() - startedAt,
+          callLimit: raw.headers['x-shopify-shop-api-call-limit']
+        });
+
+        return result;
+      } catch (error) {
+        error.attempts = attempt;
+
+        const canRetry = error.retryable &&
+          attempt <= maxRetries &&
+          (error.code === 'RATE_LIMITED' || IDEMPOTENT_METHODS.includes(method));
+
+        if (!canRetry) {
+          runHooks(hooksList, 'onError', { method, path, attempt, error, durationMs: Date.now() - startedAt });
+          throw error;
+        }
+
+        const delayMs = getRetryDelay(error, attempt, backoffMs);
+        runHooks(hooksList, 'onRetry', { method, path, attempt, error, delayMs });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  return {
+    request,
+    get: ({ path }) => request('GET', path),
+    post: ({ path, data }) => request('POST', path, data),
+    put: ({ path, data }) => request('PUT', path, data),
+    delete: ({ path }) => request('DELETE', path)
+  };
+}
+
+// Log every request when SHOPIFY_LOG_REQUESTS=true
+if (process.env.SHOPIFY_LOG_REQUESTS === 'true') {
+  addShopifyHooks({
+    onResponse: ({ method, path, status, durationMs, callLimit }) => {
+      console.log(`[Shopify API] ${method} ${path} -> ${status} in ${durationMs}ms (bucket ${callLimit || 'n/a'})`);
+    },
+    onRetry: ({ method, path, attempt, error, delayMs }) => {
+      console.warn(`[Shopify API] ${method} ${path} attempt ${attempt} failed (${error.code} ${error.status || ''}), retrying in ${Math.round(delayMs)}ms`);
+    },
+    onError: ({ method, path, error }) => {
+      console.error(`[Shopify API] ${method} ${path} failed: ${error.code} ${error.status || ''} ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  ShopifyApiError,
+  LeakyBucketThrottle,
+  createShopifyApiClient,
+  addShopifyHooks,
+  getNextPageInfo
+};
@@ -1,6 +1,11 @@
 // Using direct REST API calls instead of Shopify API library to avoid adapter issues
-const https = require('https');
-const http = require('http');
+const { createShopifyApiClient, ShopifyApiError, getNextPageInfo } = require('./shopify-client');
+
+// Largest page Shopify allows for REST list endpoints
+const PRODUCTS_PAGE_SIZE = 250;
+
+// Product fields the admin catalog needs; skipping body_html, images, options etc. cuts the payload
+const PRODUCT_LIST_FIELDS = ['id', 'title', 'handle', 'status', 'vendor', 'product_type', 'created_at', 'updated_at', 'variants'];
 
 // Check if Shopify credentials are configured
 const isShopifyConfigured = () => {
@@ -28,267 +33,438 @@ const getShopifyConfig = () => {
   const storeUrl = (process.env.SHOPIFY_STORE_URL || staticStoreUrl).replace(/^https?:\/\//, '').replace(/\/$/, '');
   const accessToken = process.env.SHOPIFY_ACCESS_TOKEN || staticAccessToken;
   
+  // Admin API origin; override (e.g. http://localhost:4000) to run against a local fake Shopify
+  const apiBaseUrl = (process.env.SHOPIFY_API_BASE_URL || `https://${storeUrl}`).replace(/\/$/, '');
+
+  // Domain customers are sent to for cart permalinks (custom domain if the store has one)
+  const storefrontUrl = (process.env.SHOPIFY_STOREFRONT_URL || storeUrl).replace(/^https?:\/\//, '').replace(/\/$/, '');
+
   return {
     storeUrl: storeUrl,
     accessToken: accessToken,
-    apiVersion: '2024-01' // Using stable API version
+    apiVersion: '2024-01', // Using stable API version
+    apiBaseUrl: apiBaseUrl,
+    storefrontUrl: storefrontUrl
   };
 };
 
-// Make direct REST API call to Shopify
-async function shopifyApiRequest(method, endpoint, data = null) {
+// How createCheckout builds the payment link when the Draft Orders API fails:
+// 'cart_permalink' (default) falls back to a cart permalink, 'none' gives up
+const getCheckoutFallback = () => {
+  return (process.env.SHOPIFY_CHECKOUT_FALLBACK || 'cart_permalink').toLowerCase();
+};
+
+// REST client for the configured store (retries, throttling and typed errors live in shopify-client.js)
+function createShopifyClient(options) {
   const config = getShopifyConfig();
   
-  // Ensure endpoint ends with .json for Shopify REST API
-  const endpointWithJson = endpoint.endsWith('.json') ? endpoint : `${endpoint}.json`;
-  const url = `https://${config.storeUrl}/admin/api/${config.apiVersion}/${endpointWithJson}`;
-  
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const options = {
-      hostname: urlObj.hostname,
-      port: 443,
-      path: urlObj.pathname + urlObj.search,
-      method: method,
-      headers: {
-        'X-Shopify-Access-Token': config.accessToken,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
-    };
+  if (!config.storeUrl || !config.accessToken) {
+    throw new Error('Shopify not configured. Please set SHOPIFY_ACCESS_TOKEN and SHOPIFY_STORE_URL in config.env');
+  }
 
-    if (data && (method === 'POST' || method === 'PUT')) {
-      const postData = JSON.stringify(data);
-      options.headers['Content-Length'] = Buffer.byteLength(postData);
-    }
+  return createShopifyApiClient(config, options);
+}
 
-    const req = https.request(options, (res) => {
-      let responseData = '';
-
-      // Handle redirects (3xx status codes)
-      if (res.statusCode >= 300 && res.statusCode < 400) {
-        const location = res.headers.location;
-        console.log(`[Shopify API] Redirect ${res.statusCode} to: ${location}`);
-        if (location) {
-          // Follow redirect - handle both absolute and relative URLs
-          let redirectUrl;
-          if (location.startsWith('http://') || location.startsWith('https://')) {
-            redirectUrl = new URL(location);
-          } else {
-            redirectUrl = new URL(location, `https://${config.storeUrl}`);
-          }
-          const redirectOptions = {
-            hostname: redirectUrl.hostname,
-            port: 443,
-            path: redirectUrl.pathname + redirectUrl.search,
-            method: method,
-            headers: {
-              'X-Shopify-Access-Token': config.accessToken,
-              'Content-Type': 'application/json',
-              'Accept': 'application/json'
-            }
-          };
-          
-          if (data && (method === 'POST' || method === 'PUT')) {
-            const postData = JSON.stringify(data);
-            redirectOptions.headers['Content-Length'] = Buffer.byteLength(postData);
-          }
-          
-          const redirectReq = https.request(redirectOptions, (redirectRes) => {
-            let redirectData = '';
-            redirectRes.on('data', (chunk) => {
-              redirectData += chunk;
-            });
-            redirectRes.on('end', () => {
-              try {
-                const parsed = JSON.parse(redirectData);
-                if (redirectRes.statusCode >= 200 && redirectRes.statusCode < 300) {
-                  resolve({
-                    body: parsed,
-                    status: redirectRes.statusCode,
-                    headers: redirectRes.headers
-                  });
-                } else {
-                  reject({
-                    code: redirectRes.statusCode,
-                    message: parsed.errors || parsed.error || 'Request failed',
-                    response: {
-                      status: redirectRes.statusCode,
-                      body: parsed
-                    }
-                  });
-                }
-              } catch (e) {
-                reject({
-                  code: redirectRes.statusCode,
-                  message: 'Invalid JSON response',
-                  response: {
-                    status: redirectRes.statusCode,
-                    body: redirectData
-                  }
-                });
-              }
-            });
-          });
-          
-          redirectReq.on('error', (error) => {
-            reject({
-              code: 'NETWORK_ERROR',
-              message: error.message
-            });
-          });
-          
-          if (data && (method === 'POST' || method === 'PUT')) {
-            redirectReq.write(JSON.stringify(data));
-          }
-          
-          redirectReq.end();
-          return;
-        }
-      }
+// Human-readable message for a failed Shopify call, e.g. for API responses
+function describeShopifyError(error, notFoundMessage) {
+  const statusCode = error.status || error.code || 'Unknown';
+  let errorDetails = error.message || 'Unknown error';
 
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          if (responseData.trim() === '') {
-            // Empty response
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve({
-                body: {},
-                status: res.statusCode,
-                headers: res.headers
-              });
-            } else {
-              reject({
-                code: res.statusCode,
-                message: 'Empty response',
-                response: {
-                  status: res.statusCode,
-                  body: {}
-                }
-              });
-            }
-            return;
-          }
-          
-          const parsed = JSON.parse(responseData);
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve({
-              body: parsed,
-              status: res.statusCode,
-              headers: res.headers
-            });
-          } else {
-            reject({
-              code: res.statusCode,
-              message: parsed.errors || parsed.error || 'Request failed',
-              response: {
-                status: res.statusCode,
-                body: parsed
-              }
-            });
-          }
-        } catch (e) {
-          reject({
-            code: res.statusCode,
-            message: `Invalid JSON response: ${e.message}`,
-            response: {
-              status: res.statusCode,
-              body: responseData.substring(0, 500) // First 500 chars for debugging
-            }
-          });
-        }
-      });
-    });
+  if (error.details) {
+    errorDetails = typeof error.details === 'string' ? error.details : JSON.stringify(error.details);
+  }
 
-    req.on('error', (error) => {
-      reject({
-        code: 'NETWORK_ERROR',
-        message: error.message
-      });
-    });
+  if (error.status === 404 && notFoundMessage) {
+    errorDetails = notFoundMessage;
+  }
 
-    if (data && (method === 'POST' || method === 'PUT')) {
-      req.write(JSON.stringify(data));
-    }
+  return `Received an error response (${statusCode}${error.status === 404 ? ' Not Found' : ''}) from Shopify: "${errorDetails}"`;
+}
 
-    req.end();
+// Booking details sent to Shopify as custom attributes (note_attributes on the order)
+// One attribute value per traveler, e.g.
+// "Ali Khan | born 1990-04-12 | male | Pakistani | passport AB1234567 | emergency: Sara Khan +923001234567"
+function describeTraveler(traveler) {
+  const parts = [`${traveler.first_name} ${traveler.last_name}`];
+
+  if (traveler.date_of_birth) {
+    parts.push(`born ${traveler.date_of_birth}`);
+  }
+  if (traveler.gender) {
+    parts.push(traveler.gender);
+  }
+  if (traveler.nationality) {
+    parts.push(traveler.nationality);
+  }
+  if (traveler.document_number) {
+    parts.push(`${traveler.document_type} ${traveler.document_number}`);
+  }
+  if (traveler.emergency_contact_name || traveler.emergency_contact_phone) {
+    parts.push(`emergency: ${[traveler.emergency_contact_name, traveler.emergency_contact_phone].filter(Boolean).join(' ')}`);
+  }
+
+  return parts.join(' | ');
+}
+
+function buildBookingAttributes(bookingData) {
+  const attributes = [
+    { name: 'booking_id', value: String(bookingData.booking_id) },
+    { name: 'booking_dates', value: JSON.stringify(bookingData.booking_dates) },
+    { name: 'first_name', value: bookingData.first_name },
+    { name: 'last_name', value: bookingData.last_name },
+    { name: 'phone_number', value: bookingData.phone_number },
+    { name: 'email', value: bookingData.email }
+  ];
+
+  // Payment links for a booking change carry the revision they pay for
+  if (bookingData.revision_id) {
+    attributes.push({ name: 'revision_id', value: String(bookingData.revision_id) });
+  }
+
+  // Promo code the quoted price was discounted with
+  const promo = bookingData.price_quote && (bookingData.price_quote.discounts || []).find(discount => discount.type === 'promo');
+  if (promo) {
+    attributes.push({ name: 'promo_code', value: promo.code });
+  }
+
+  // Passenger details, when the booking has them: traveler_1, traveler_2, ...
+  (bookingData.travelers || []).forEach((traveler, index) => {
+    attributes.push({ name: `traveler_${index + 1}`, value: describeTraveler(traveler) });
   });
+
+  return attributes;
 }
 
-// Simple REST client wrapper for Shopify API
-function createShopifyClient() {
-  const config = getShopifyConfig();
-  
-  if (!config.storeUrl || !config.accessToken) {
-    throw new Error('Shopify not configured. Please set SHOPIFY_ACCESS_TOKEN and SHOPIFY_STORE_URL in config.env');
+// Line items of a booking's draft order. A booking priced by departure rules
+// (bookingData.price_quote with custom_price) is charged its quoted lines
+// instead of the variant price.
+function buildLineItems(bookingData) {
+  const quote = bookingData.price_quote;
+
+  if (!quote || !quote.custom_price) {
+    return [
+      {
+        variant_id: bookingData.variant_id,
+        quantity: bookingData.quantity || 1
+      }
+    ];
   }
 
+  return quote.line_items.map(line => ({
+    title: [quote.product_name, line.label].filter(Boolean).join(' - '),
+    price: line.unit_price.toFixed(2),
+    quantity: line.quantity,
+    requires_shipping: false,
+    properties: [{ name: 'booking_id', value: String(bookingData.booking_id) }]
+  }));
+}
+
+// Order-level discount of a quoted booking (early bird, promo code), or null to clear it
+function buildAppliedDiscount(bookingData) {
+  const quote = bookingData.price_quote;
+  const discounts = quote && quote.custom_price ? quote.discounts : [];
+
+  if (discounts.length === 0) {
+    return null;
+  }
+
+  const amount = discounts.reduce((sum, discount) => sum + discount.amount, 0).toFixed(2);
   return {
-    get: async ({ path }) => {
-      return await shopifyApiRequest('GET', path);
-    },
-    post: async ({ path, data }) => {
-      return await shopifyApiRequest('POST', path, data);
-    },
-    put: async ({ path, data }) => {
-      return await shopifyApiRequest('PUT', path, data);
-    },
-    delete: async ({ path }) => {
-      return await shopifyApiRequest('DELETE', path);
+    title: discounts.map(discount => discount.label).join(', '),
+    description: discounts.map(discount => discount.label).join(', '),
+    value_type: 'fixed_amount',
+    value: amount,
+    amount
+  };
+}
+
+// The only attributes a cart permalink carries: a permalink is a URL that ends
+// up in browser history, server logs and referrers, so passenger and contact
+// details stay in draft order note_attributes (or updateOrderAttributes)
+const PERMALINK_ATTRIBUTES = ['booking_id', 'revision_id', 'promo_code'];
+
+// Cart permalink that adds the variant to a cart and carries the booking's id
+function buildCartPermalink(bookingData) {
+  const config = getShopifyConfig();
+  const params = new URLSearchParams();
+
+  params.append('checkout[email]', bookingData.email);
+  buildBookingAttributes(bookingData)
+    .filter(attribute => PERMALINK_ATTRIBUTES.includes(attribute.name))
+    .forEach(attribute => {
+      params.append(`attributes[${attribute.name}]`, attribute.value);
+    });
+
+  return `https://${config.storefrontUrl}/cart/${bookingData.variant_id}:${bookingData.quantity || 1}?${params.toString()}`;
+}
+
+// Create a draft order for the booking; its invoice_url is the payment link
+async function createDraftOrder(bookingData) {
+  const client = createShopifyClient();
+
+  const draftOrderData = {
+    draft_order: {
+      line_items: buildLineItems(bookingData),
+      applied_discount: buildAppliedDiscount(bookingData),
+      note_attributes: buildBookingAttributes(bookingData),
+      email: bookingData.email,
+      tags: 'booking'
     }
   };
+
+  const response = await client.post({
+    path: 'draft_orders',
+    data: draftOrderData
+  });
+
+  const draftOrder = response.body.draft_order;
+
+  if (!draftOrder || !draftOrder.invoice_url) {
+    throw new ShopifyApiError('Draft order response did not include an invoice_url', {
+      code: 'INVALID_RESPONSE',
+      status: response.status,
+      response: { status: response.status, headers: response.headers, body: response.body },
+      method: 'POST',
+      path: 'draft_orders.json'
+    });
+  }
+
+  return draftOrder;
 }
 
-// Create checkout with custom attributes
+// Replace the line item and attributes of an open draft order; its invoice_url stays the same
+async function updateDraftOrder(draftOrderId, bookingData) {
+  const client = createShopifyClient();
+
+  const response = await client.put({
+    path: `draft_orders/${String(draftOrderId)}`,
+    data: {
+      draft_order: {
+        id: draftOrderId,
+        line_items: buildLineItems(bookingData),
+        applied_discount: buildAppliedDiscount(bookingData),
+        note_attributes: buildBookingAttributes(bookingData),
+        email: bookingData.email
+      }
+    }
+  });
+
+  const draftOrder = response.body.draft_order;
+
+  if (!draftOrder || !draftOrder.invoice_url) {
+    throw new ShopifyApiError('Draft order response did not include an invoice_url', {
+      code: 'INVALID_RESPONSE',
+      status: response.status,
+      response: { status: response.status, headers: response.headers, body: response.body },
+      method: 'PUT',
+      path: `draft_orders/${draftOrderId}.json`
+    });
+  }
+
+  return draftOrder;
+}
+
+// Create the payment link for a booking.
+// Uses the Draft Orders API (the Checkout REST API is gone for custom apps) and,
+// unless SHOPIFY_CHECKOUT_FALLBACK=none, falls back to a cart permalink
+// (not for bookings with a quoted price, which only a draft order can charge).
 async function createCheckout(bookingData) {
+  try {
+    const draftOrder = await createDraftOrder(bookingData);
+
+    return {
+      success: true,
+      method: 'draft_order',
+      draft_order_id: draftOrder.id,
+      checkout_id: null,
+      checkout_url: draftOrder.invoice_url
+    };
+
+  } catch (error) {
+    console.error('Shopify draft order creation error:', error.message);
+
+    // A cart permalink charges the variant price, so it cannot stand in for a quoted price
+    const quoted = bookingData.price_quote && bookingData.price_quote.custom_price;
+
+    if (getCheckoutFallback() === 'cart_permalink' && !quoted) {
+      console.warn('⚠️  Falling back to a cart permalink for booking', bookingData.booking_id);
+      return {
+        success: true,
+        method: 'cart_permalink',
+        draft_order_id: null,
+        checkout_id: null,
+        checkout_url: buildCartPermalink(bookingData)
+      };
+    }
+
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Bring a booking's existing payment link in line with changed booking data.
+// Updates the draft order in place when there is one; otherwise (or when
+// Shopify refuses, e.g. the draft order was completed) a new link is created.
+async function updateCheckout(draftOrderId, bookingData) {
+  if (draftOrderId) {
+    try {
+      const draftOrder = await updateDraftOrder(draftOrderId, bookingData);
+
+      return {
+        success: true,
+        method: 'draft_order',
+        updated: true,
+        draft_order_id: draftOrder.id,
+        checkout_id: null,
+        checkout_url: draftOrder.invoice_url
+      };
+    } catch (error) {
+      console.warn(`⚠️  Could not update draft order ${draftOrderId}, creating a new payment link:`, error.message);
+    }
+  }
+
+  const result = await createCheckout(bookingData);
+  return result.success ? { ...result, updated: false } : result;
+}
+
+// Replace the booking attributes of a paid order, e.g. after its travelers were edited
+async function updateOrderAttributes(orderId, bookingData) {
   try {
     const client = createShopifyClient();
-    
-    // Prepare custom attributes for checkout
-    const customAttributes = [
-      { key: 'booking_dates', value: JSON.stringify(bookingData.booking_dates) },
-      { key: 'first_name', value: bookingData.first_name },
-      { key: 'last_name', value: bookingData.last_name },
-      { key: 'phone_number', value: bookingData.phone_number },
-      { key: 'email', value: bookingData.email }
-    ];
 
-    // Create checkout payload
-    const checkoutData = {
-      checkout: {
-        line_items: [
-          {
-            variant_id: bookingData.variant_id,
-            quantity: bookingData.quantity || 1
-          }
-        ],
-        custom_attributes: customAttributes,
-        email: bookingData.email
+    await client.put({
+      path: `orders/${String(orderId)}`,
+      data: {
+        order: {
+          id: orderId,
+          note_attributes: buildBookingAttributes(bookingData)
+        }
       }
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating order attributes:', error.message);
+    return {
+      success: false,
+      error: describeShopifyError(error, `Order with ID "${orderId}" not found in Shopify store.`)
     };
+  }
+}
+
+// Delete an unpaid draft order so its payment link stops working
+async function deleteDraftOrder(draftOrderId) {
+  try {
+    const client = createShopifyClient();
+    await client.delete({ path: `draft_orders/${String(draftOrderId)}` });
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting draft order:', error.message);
+    return { success: false, error: describeShopifyError(error) };
+  }
+}
+
+// Get order details (total_price, currency, financial_status, ...)
+async function getOrder(orderId) {
+  try {
+    const client = createShopifyClient();
+
+    const response = await client.get({
+      path: `orders/${String(orderId)}?fields=id,name,total_price,currency,financial_status`
+    });
+
+    return {
+      success: true,
+      order: response.body.order
+    };
+
+  } catch (error) {
+    console.error('Error fetching order:', error.message);
+
+    return {
+      success: false,
+      error: describeShopifyError(error, `Order with ID "${orderId}" not found in Shopify store.`)
+    };
+  }
+}
+
+// Refund `amount` of an order back to the original payment.
+// The refund is issued against the order's successful sale/capture transaction.
+async function createRefund(orderId, { amount, currency, note, notify = true }) {
+  try {
+    const client = createShopifyClient();
+
+    const transactionsResponse = await client.get({
+      path: `orders/${String(orderId)}/transactions`
+    });
+
+    const parent = (transactionsResponse.body.transactions || [])
+      .find(transaction => ['sale', 'capture'].includes(transaction.kind) && transaction.status === 'success');
+
+    if (!parent) {
+      return {
+        success: false,
+        error: `Order ${orderId} has no successful payment transaction to refund`
+      };
+    }
 
-    // Create checkout via Shopify API
     const response = await client.post({
-      path: 'checkouts',
-      data: checkoutData
+      path: `orders/${String(orderId)}/refunds`,
+      data: {
+        refund: {
+          currency: currency || parent.currency,
+          notify,
+          note,
+          transactions: [
+            {
+              parent_id: parent.id,
+              amount: Math.min(Number(amount), Number(parent.amount)).toFixed(2),
+              kind: 'refund',
+              gateway: parent.gateway
+            }
+          ]
+        }
+      }
     });
 
     return {
       success: true,
-      checkout_id: response.body.checkout.id,
-      checkout_url: response.body.checkout.web_url,
-      checkout_token: response.body.checkout.token
+      refund: response.body.refund
     };
 
   } catch (error) {
-    console.error('Shopify checkout creation error:', error);
+    console.error('Error creating refund:', error.message);
+
     return {
       success: false,
-      error: error.message
+      error: describeShopifyError(error, `Order with ID "${orderId}" not found in Shopify store.`)
+    };
+  }
+}
+
+// Refunds already issued on an order, e.g. to tell whether a refund whose
+// response was lost went through
+async function getOrderRefunds(orderId) {
+  try {
+    const client = createShopifyClient();
+
+    const response = await client.get({
+      path: `orders/${String(orderId)}/refunds`
+    });
+
+    return {
+      success: true,
+      refunds: response.body.refunds || []
+    };
+
+  } catch (error) {
+    console.error('Error fetching refunds:', error.message);
+
+    return {
+      success: false,
+      error: describeShopifyError(error, `Order with ID "${orderId}" not found in Shopify store.`)
     };
   }
 }
@@ -297,12 +473,9 @@ async function createCheckout(bookingData) {
 async function getProduct(productId) {
   try {
     const client = createShopifyClient();
-    
-    // Convert productId to string if it's a number (Shopify API expects string)
-    const productIdStr = String(productId);
-    
+
     const response = await client.get({
-      path: `products/${productIdStr}`
+      path: `products/${String(productId)}`
     });
 
     return {
@@ -311,45 +484,14 @@ async function getProduct(productId) {
     };
 
   } catch (error) {
-    console.error('Error fetching product:', error);
-    console.error('Error details:', {
-      message: error.message,
-      code: error.code,
-      status: error.status,
-      statusCode: error.statusCode,
-      response: error.response
-    });
-    
-    // Extract more detailed error information
-    let errorMessage = error.message || 'Unknown error';
-    let errorDetails = errorMessage;
-    let statusCode = error.code || error.status || error.statusCode || 'Unknown';
-    
-    // Check if error has response body with more details
-    if (error.response) {
-      if (error.response.body) {
-        const errorBody = error.response.body;
-        if (errorBody.errors) {
-          errorDetails = JSON.stringify(errorBody.errors);
-        } else if (errorBody.error) {
-          errorDetails = errorBody.error;
-        } else if (typeof errorBody === 'string') {
-          errorDetails = errorBody;
-        }
-      }
-      if (error.response.status) {
-        statusCode = error.response.status;
-      }
-    }
-    
-    // Check for 404 specifically
-    if (statusCode === 404 || errorMessage.includes('404') || errorMessage.includes('Not Found')) {
-      errorDetails = `Product with ID "${productId}" not found in Shopify store. Please verify the product ID exists and is active in your Shopify admin.`;
-    }
-    
+    console.error('Error fetching product:', error.message);
+
     return {
       success: false,
-      error: `Received an error response (${statusCode} ${statusCode === 404 ? 'Not Found' : ''}) from Shopify:\n"${errorDetails}"`
+      error: describeShopifyError(
+        error,
+        `Product with ID "${productId}" not found in Shopify store. Please verify the product ID exists and is active in your Shopify admin.`
+      )
     };
   }
 }
@@ -358,12 +500,9 @@ async function getProduct(productId) {
 async function getVariant(variantId) {
   try {
     const client = createShopifyClient();
-    
-    // Convert variantId to string if it's a number (Shopify API expects string)
-    const variantIdStr = String(variantId);
-    
+
     const response = await client.get({
-      path: `variants/${variantIdStr}`
+      path: `variants/${String(variantId)}`
     });
 
     return {
@@ -372,61 +511,57 @@ async function getVariant(variantId) {
     };
 
   } catch (error) {
-    console.error('Error fetching variant:', error);
-    console.error('Error details:', {
-      message: error.message,
-      code: error.code,
-      status: error.status,
-      statusCode: error.statusCode,
-      response: error.response
-    });
-    
-    // Extract more detailed error information
-    let errorMessage = error.message || 'Unknown error';
-    let errorDetails = errorMessage;
-    let statusCode = error.code || error.status || error.statusCode || 'Unknown';
-    
-    // Check if error has response body with more details
-    if (error.response) {
-      if (error.response.body) {
-        const errorBody = error.response.body;
-        if (errorBody.errors) {
-          errorDetails = JSON.stringify(errorBody.errors);
-        } else if (errorBody.error) {
-          errorDetails = errorBody.error;
-        } else if (typeof errorBody === 'string') {
-          errorDetails = errorBody;
-        }
-      }
-      if (error.response.status) {
-        statusCode = error.response.status;
-      }
-    }
-    
-    // Check for 404 specifically
-    if (statusCode === 404 || errorMessage.includes('404') || errorMessage.includes('Not Found')) {
-      errorDetails = `Variant with ID "${variantId}" not found in Shopify store. Please verify the variant ID exists and is active in your Shopify admin.`;
-    }
-    
+    console.error('Error fetching variant:', error.message);
+
     return {
       success: false,
-      error: `Received an error response (${statusCode} ${statusCode === 404 ? 'Not Found' : ''}) from Shopify:\n"${errorDetails}"`
+      error: describeShopifyError(
+        error,
+        `Variant with ID "${variantId}" not found in Shopify store. Please verify the variant ID exists and is active in your Shopify admin.`
+      )
     };
   }
 }
 
-// Get all products from Shopify store
-async function getAllProducts() {
-  try {
-    const client = createShopifyClient();
-    
-    // Fetch only active products (Shopify REST API returns up to 250 products per request)
-    // For stores with more products, we'd need pagination, but starting with first page
+// Stream products from Shopify, one page of up to 250 at a time, following the
+// cursor in the Link header. Usage: for await (const product of iterateProducts()) { ... }
+// Options: status ('active' by default, null for all), fields (array, null for all), limit.
+async function* iterateProducts({ status = 'active', fields = PRODUCT_LIST_FIELDS, limit = PRODUCTS_PAGE_SIZE } = {}) {
+  const client = createShopifyClient();
+  const fieldsParam = fields ? fields.join(',') : null;
+  let pageInfo = null;
+
+  do {
+    // With page_info Shopify only accepts limit and fields; filters come from the cursor
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (pageInfo) {
+      params.set('page_info', pageInfo);
+    } else if (status) {
+      params.set('status', status);
+    }
+    if (fieldsParam) {
+      params.set('fields', fieldsParam);
+    }
+
     const response = await client.get({
-      path: 'products?status=active'
+      path: `products?${params.toString()}`
     });
 
-    const products = response.body?.products || [];
+    for (const product of response.body?.products || []) {
+      yield product;
+    }
+
+    pageInfo = getNextPageInfo(response.headers);
+  } while (pageInfo);
+}
+
+// Get all products from Shopify store (every page, buffered)
+async function getAllProducts(options) {
+  try {
+    const products = [];
+    for await (const product of iterateProducts(options)) {
+      products.push(product);
+    }
 
     return {
       success: true,
@@ -434,39 +569,29 @@ async function getAllProducts() {
     };
 
   } catch (error) {
-    console.error('Error fetching all products:', error);
-    
-    let errorMessage = error.message || 'Unknown error';
-    let errorDetails = errorMessage;
-    let statusCode = error.code || error.status || error.statusCode || 'Unknown';
-    
-    if (error.response) {
-      if (error.response.body) {
-        const errorBody = error.response.body;
-        if (errorBody.errors) {
-          errorDetails = JSON.stringify(errorBody.errors);
-        } else if (errorBody.error) {
-          errorDetails = errorBody.error;
-        } else if (typeof errorBody === 'string') {
-          errorDetails = errorBody;
-        }
-      }
-      if (error.response.status) {
-        statusCode = error.response.status;
-      }
-    }
-    
+    console.error('Error fetching all products:', error.message);
+
     return {
       success: false,
-      error: `Received an error response (${statusCode}) from Shopify: "${errorDetails}"`
+      error: describeShopifyError(error)
     };
   }
 }
 
 module.exports = {
   createCheckout,
+  updateCheckout,
+  updateOrderAttributes,
+  deleteDraftOrder,
+  buildCartPermalink,
+  getOrder,
+  createRefund,
+  getOrderRefunds,
   getProduct,
   getVariant,
   getAllProducts,
-  isShopifyConfigured
+  iterateProducts,
+  isShopifyConfigured,
+  createShopifyClient,
+  describeShopifyError
 };
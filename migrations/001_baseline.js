@@ -0,0 +1,250 @@
+const {
+  columnExists,
+  addColumnIfMissing,
+  addForeignKeyIfMissing,
+  addIndexIfMissing,
+  dropIndexIfExists,
+  extendEnumIfMissing
+} = require('./helpers');
+
+// Baseline: every table as it stood before versioned migrations. On a fresh
+// database it creates them; on an install made by the old createTables it only
+// fills in whatever that install is missing, so it is safe to run on both.
+
+async function up(db) {
+  // products: one row per Shopify product, mirrored from the catalog
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS products (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id BIGINT NOT NULL UNIQUE,
+      variant_id BIGINT NOT NULL,
+      product_name VARCHAR(255) NOT NULL,
+      variant_name VARCHAR(255),
+      hold_minutes INT NULL,
+      handle VARCHAR(255),
+      status VARCHAR(20),
+      vendor VARCHAR(255),
+      product_type VARCHAR(255),
+      image_url TEXT,
+      shopify_created_at DATETIME NULL,
+      shopify_updated_at DATETIME NULL,
+      synced_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_product_id (product_id),
+      INDEX idx_status (status)
+    )
+  `);
+
+  // product_dates: departures (date ranges) and their seats
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS product_dates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id BIGINT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      available_seats INT DEFAULT 0,
+      booked_seats INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_product_id (product_id),
+      INDEX idx_start_date (start_date),
+      INDEX idx_end_date (end_date),
+      INDEX idx_is_active (is_active),
+      CHECK (end_date >= start_date)
+    )
+  `);
+
+  // Very old installs stored one row per single `date`; turn those into ranges
+  if (await columnExists(db, 'product_dates', 'date')) {
+    console.log('Migrating product_dates table to use date ranges...');
+    await addColumnIfMissing(db, 'product_dates', 'start_date', 'DATE NULL AFTER product_id');
+    await addColumnIfMissing(db, 'product_dates', 'end_date', 'DATE NULL AFTER start_date');
+    await db.execute(`
+      UPDATE product_dates
+      SET start_date = date, end_date = date
+      WHERE start_date IS NULL OR end_date IS NULL
+    `);
+    await dropIndexIfExists(db, 'product_dates', 'unique_product_date');
+    await db.execute('ALTER TABLE product_dates DROP COLUMN date');
+    await db.execute('ALTER TABLE product_dates MODIFY COLUMN start_date DATE NOT NULL, MODIFY COLUMN end_date DATE NOT NULL');
+    await addIndexIfMissing(db, 'product_dates', 'idx_start_date', '(start_date)');
+    await addIndexIfMissing(db, 'product_dates', 'idx_end_date', '(end_date)');
+  }
+
+  // booking_orders references product_dates, so it is created afterwards
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS booking_orders (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      booking_dates JSON NOT NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      phone_number VARCHAR(20) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      product_id BIGINT NOT NULL,
+      variant_id BIGINT NOT NULL,
+      product_date_id INT NULL,
+      quantity INT DEFAULT 1,
+      shopify_checkout_id VARCHAR(255),
+      shopify_checkout_url TEXT,
+      shopify_draft_order_id BIGINT NULL,
+      shopify_order_id BIGINT NULL,
+      status ENUM('pending', 'completed', 'cancelled', 'expired') DEFAULT 'pending',
+      hold_expires_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_email (email),
+      INDEX idx_product_variant (product_id, variant_id),
+      INDEX idx_created_at (created_at),
+      INDEX idx_status (status),
+      INDEX idx_status_hold (status, hold_expires_at),
+      INDEX idx_shopify_order_id (shopify_order_id),
+      CONSTRAINT fk_booking_orders_product_date
+        FOREIGN KEY (product_date_id) REFERENCES product_dates (id) ON DELETE RESTRICT
+    )
+  `);
+
+  // Older installs: bind bookings to the departure (product_dates row) whose seats they reserve
+  await addColumnIfMissing(db, 'booking_orders', 'product_date_id', 'INT NULL AFTER variant_id');
+  await addForeignKeyIfMissing(
+    db,
+    'booking_orders',
+    'fk_booking_orders_product_date',
+    'FOREIGN KEY (product_date_id) REFERENCES product_dates (id) ON DELETE RESTRICT'
+  );
+
+  // Older installs: seat holds that expire when checkout is never completed
+  await addColumnIfMissing(db, 'booking_orders', 'hold_expires_at', 'DATETIME NULL AFTER status');
+  await addColumnIfMissing(db, 'products', 'hold_minutes', 'INT NULL AFTER variant_name');
+  await extendEnumIfMissing(
+    db,
+    'booking_orders',
+    'status',
+    'expired',
+    "ENUM('pending', 'completed', 'cancelled', 'expired') DEFAULT 'pending'"
+  );
+  await addIndexIfMissing(db, 'booking_orders', 'idx_status', '(status)');
+  await addIndexIfMissing(db, 'booking_orders', 'idx_status_hold', '(status, hold_expires_at)');
+
+  // Older installs: link bookings to the Shopify order that paid for them
+  await addColumnIfMissing(db, 'booking_orders', 'shopify_order_id', 'BIGINT NULL AFTER shopify_checkout_url');
+  await addIndexIfMissing(db, 'booking_orders', 'idx_shopify_order_id', '(shopify_order_id)');
+
+  // Older installs: payment links are Shopify draft orders
+  await addColumnIfMissing(db, 'booking_orders', 'shopify_draft_order_id', 'BIGINT NULL AFTER shopify_checkout_url');
+
+  // webhook_deliveries: every Shopify webhook received, for dedup and replay
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      webhook_id VARCHAR(255) NOT NULL UNIQUE,
+      topic VARCHAR(100) NOT NULL,
+      shop_domain VARCHAR(255),
+      payload LONGTEXT NOT NULL,
+      status ENUM('received', 'processed', 'ignored', 'failed') DEFAULT 'received',
+      booking_id INT NULL,
+      result_message TEXT,
+      attempts INT DEFAULT 0,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      processed_at TIMESTAMP NULL,
+      INDEX idx_topic (topic),
+      INDEX idx_status (status),
+      INDEX idx_booking_id (booking_id)
+    )
+  `);
+
+  // Older installs: products mirror the Shopify catalog
+  await addColumnIfMissing(db, 'products', 'handle', 'VARCHAR(255) AFTER hold_minutes');
+  await addColumnIfMissing(db, 'products', 'status', 'VARCHAR(20) AFTER handle');
+  await addColumnIfMissing(db, 'products', 'vendor', 'VARCHAR(255) AFTER status');
+  await addColumnIfMissing(db, 'products', 'product_type', 'VARCHAR(255) AFTER vendor');
+  await addColumnIfMissing(db, 'products', 'image_url', 'TEXT AFTER product_type');
+  await addColumnIfMissing(db, 'products', 'shopify_created_at', 'DATETIME NULL AFTER image_url');
+  await addColumnIfMissing(db, 'products', 'shopify_updated_at', 'DATETIME NULL AFTER shopify_created_at');
+  await addColumnIfMissing(db, 'products', 'synced_at', 'DATETIME NULL AFTER shopify_updated_at');
+  await addIndexIfMissing(db, 'products', 'idx_status', '(status)');
+
+  // product_variants: every variant of the mirrored products
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS product_variants (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      variant_id BIGINT NOT NULL UNIQUE,
+      product_id BIGINT NOT NULL,
+      title VARCHAR(255),
+      price DECIMAL(10, 2) DEFAULT 0,
+      sku VARCHAR(255),
+      inventory_quantity INT DEFAULT 0,
+      position INT DEFAULT 1,
+      image_url TEXT,
+      synced_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_product_id (product_id)
+    )
+  `);
+
+  // catalog_syncs: history of full catalog syncs
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS catalog_syncs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      status ENUM('running', 'completed', 'failed') DEFAULT 'running',
+      products_synced INT DEFAULT 0,
+      products_removed INT DEFAULT 0,
+      error TEXT,
+      started_at DATETIME NOT NULL,
+      finished_at DATETIME NULL,
+      INDEX idx_status_finished (status, finished_at)
+    )
+  `);
+
+  // staff_users: admin panel accounts with hashed passwords
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS staff_users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      name VARCHAR(255),
+      password_hash VARCHAR(255) NOT NULL,
+      role ENUM('viewer', 'operator', 'owner') NOT NULL DEFAULT 'viewer',
+      is_active BOOLEAN DEFAULT TRUE,
+      last_login_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  // staff_sessions: login sessions, stored by token hash only
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS staff_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      staff_id INT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_staff_id (staff_id),
+      INDEX idx_expires_at (expires_at),
+      CONSTRAINT fk_staff_sessions_staff
+        FOREIGN KEY (staff_id) REFERENCES staff_users (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// Drops every table, and with it all data. Children before parents.
+async function down(db) {
+  const tables = [
+    'staff_sessions',
+    'staff_users',
+    'catalog_syncs',
+    'product_variants',
+    'webhook_deliveries',
+    'booking_orders',
+    'product_dates',
+    'products'
+  ];
+
+  for (const table of tables) {
+    await db.execute(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
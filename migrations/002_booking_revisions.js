@@ -0,0 +1,37 @@
+// booking_revisions: one row per change made to a booking through PATCH /api/booking/:id
+
+async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS booking_revisions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      booking_id INT NOT NULL,
+      revision_number INT NOT NULL,
+      staff_id INT NULL,
+      changes JSON NOT NULL,
+      previous_product_date_id INT NULL,
+      product_date_id INT NULL,
+      previous_quantity INT NOT NULL,
+      quantity INT NOT NULL,
+      unit_price DECIMAL(10, 2) NULL,
+      price_difference DECIMAL(10, 2) NULL,
+      payment_status ENUM('none', 'pending', 'paid') DEFAULT 'none',
+      payment_method VARCHAR(50) NULL,
+      payment_url TEXT,
+      shopify_draft_order_id BIGINT NULL,
+      shopify_order_id BIGINT NULL,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_booking_revision (booking_id, revision_number),
+      INDEX idx_payment_status (payment_status),
+      CONSTRAINT fk_booking_revisions_booking
+        FOREIGN KEY (booking_id) REFERENCES booking_orders (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS booking_revisions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists
+} = require('./helpers');
+
+// Cancellation workflow: per-product refund policies, the amount Shopify
+// actually charged, and a record of every cancellation and its refunds.
+
+async function up(db) {
+  // Refund tiers by days before departure, e.g. [{"days_before":30,"refund_percent":100}]
+  await addColumnIfMissing(db, 'products', 'cancellation_policy', 'JSON NULL AFTER hold_minutes');
+
+  // What the customer paid, taken from the orders/paid webhook
+  await addColumnIfMissing(db, 'booking_orders', 'paid_amount', 'DECIMAL(10, 2) NULL AFTER shopify_order_id');
+  await addColumnIfMissing(db, 'booking_orders', 'currency', 'VARCHAR(3) NULL AFTER paid_amount');
+  await addColumnIfMissing(db, 'booking_revisions', 'paid_amount', 'DECIMAL(10, 2) NULL AFTER shopify_order_id');
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS booking_cancellations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      booking_id INT NOT NULL UNIQUE,
+      staff_id INT NULL,
+      reason TEXT NOT NULL,
+      previous_status VARCHAR(20) NOT NULL,
+      departure_date DATE NULL,
+      days_before_departure INT NULL,
+      policy JSON NOT NULL,
+      refund_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+      paid_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      refund_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      currency VARCHAR(3) NULL,
+      refund_status ENUM('not_applicable', 'pending', 'refunded', 'partial', 'failed') NOT NULL DEFAULT 'not_applicable',
+      refunds JSON NULL,
+      refund_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_refund_status (refund_status),
+      CONSTRAINT fk_booking_cancellations_booking
+        FOREIGN KEY (booking_id) REFERENCES booking_orders (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS booking_cancellations');
+  await dropColumnIfExists(db, 'booking_revisions', 'paid_amount');
+  await dropColumnIfExists(db, 'booking_orders', 'currency');
+  await dropColumnIfExists(db, 'booking_orders', 'paid_amount');
+  await dropColumnIfExists(db, 'products', 'cancellation_policy');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+// waitlist_entries: customers waiting for seats on a sold-out departure.
+// Entries are served in `position` order; an offer holds the seats on
+// product_dates until it is claimed or its claim link expires.
+
+async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS waitlist_entries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_date_id INT NOT NULL,
+      product_id BIGINT NOT NULL,
+      variant_id BIGINT NOT NULL,
+      booking_dates JSON NOT NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      phone_number VARCHAR(20) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      quantity INT NOT NULL DEFAULT 1,
+      position INT NOT NULL,
+      status ENUM('waiting', 'offered', 'claimed', 'expired', 'removed') NOT NULL DEFAULT 'waiting',
+      claim_token VARCHAR(64) NULL UNIQUE,
+      offered_at DATETIME NULL,
+      offer_expires_at DATETIME NULL,
+      claimed_at DATETIME NULL,
+      booking_id INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_departure_queue (product_date_id, status, position),
+      INDEX idx_offer_expiry (status, offer_expires_at),
+      CONSTRAINT fk_waitlist_entries_product_date
+        FOREIGN KEY (product_date_id) REFERENCES product_dates (id) ON DELETE CASCADE,
+      CONSTRAINT fk_waitlist_entries_booking
+        FOREIGN KEY (booking_id) REFERENCES booking_orders (id) ON DELETE SET NULL
+    )
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS waitlist_entries');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// notifications: every email sent to a customer, with its delivery status and retries.
+// notification_templates: staff edits of the built-in email templates.
+
+async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      template VARCHAR(50) NOT NULL,
+      booking_id INT NULL,
+      waitlist_entry_id INT NULL,
+      recipient VARCHAR(255) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      body_text MEDIUMTEXT NOT NULL,
+      body_html MEDIUMTEXT NULL,
+      transport VARCHAR(20) NOT NULL,
+      status ENUM('pending', 'sending', 'sent', 'failed', 'abandoned') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at DATETIME NULL,
+      message_id VARCHAR(255) NULL,
+      sent_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_status_next_attempt (status, next_attempt_at),
+      INDEX idx_booking (booking_id),
+      CONSTRAINT fk_notifications_booking
+        FOREIGN KEY (booking_id) REFERENCES booking_orders (id) ON DELETE SET NULL,
+      CONSTRAINT fk_notifications_waitlist_entry
+        FOREIGN KEY (waitlist_entry_id) REFERENCES waitlist_entries (id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS notification_templates (
+      template_key VARCHAR(50) PRIMARY KEY,
+      subject VARCHAR(255) NOT NULL,
+      body_text MEDIUMTEXT NOT NULL,
+      body_html MEDIUMTEXT NULL,
+      updated_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS notification_templates');
+  await db.execute('DROP TABLE IF EXISTS notifications');
+}
+
+module.exports = { up, down };
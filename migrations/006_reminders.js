@@ -0,0 +1,36 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists
+} = require('./helpers');
+
+// Scheduled reminders: a per-product schedule and a record of every
+// reminder handled for a booking, so none is sent twice.
+
+async function up(db) {
+  // e.g. [{"type":"before","days":7},{"type":"after","days":1}]; NULL uses the default
+  await addColumnIfMissing(db, 'products', 'reminder_schedule', 'JSON NULL AFTER cancellation_policy');
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS booking_reminders (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      booking_id INT NOT NULL,
+      product_date_id INT NOT NULL,
+      rule_key VARCHAR(20) NOT NULL,
+      status ENUM('sent', 'skipped') NOT NULL,
+      notification_id INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_booking_reminder (booking_id, product_date_id, rule_key),
+      CONSTRAINT fk_booking_reminders_booking
+        FOREIGN KEY (booking_id) REFERENCES booking_orders (id) ON DELETE CASCADE,
+      CONSTRAINT fk_booking_reminders_notification
+        FOREIGN KEY (notification_id) REFERENCES notifications (id) ON DELETE SET NULL
+    )
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS booking_reminders');
+  await dropColumnIfExists(db, 'products', 'reminder_schedule');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// audit_log: append-only history of every change made to bookings, departures,
+// products, waitlists, templates and staff accounts, with who made it.
+// No foreign keys, so the history of a deleted booking or departure survives it.
+
+async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_id VARCHAR(64) NOT NULL,
+      action VARCHAR(40) NOT NULL,
+      actor_type ENUM('staff', 'customer', 'shopify', 'system') NOT NULL,
+      actor_id INT NULL,
+      actor_name VARCHAR(255) NULL,
+      ip_address VARCHAR(45) NULL,
+      before_values JSON NULL,
+      after_values JSON NULL,
+      details JSON NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_entity (entity_type, entity_id, id),
+      INDEX idx_actor (actor_type, actor_id, id),
+      INDEX idx_created_at (created_at)
+    )
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS audit_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists
+} = require('./helpers');
+
+// Soft delete for orders: a deleted booking keeps its row (hidden from
+// listings) until it is restored or purged after ORDER_PURGE_DAYS.
+
+async function up(db) {
+  await addColumnIfMissing(db, 'booking_orders', 'deleted_at', 'DATETIME NULL AFTER updated_at');
+  await addColumnIfMissing(db, 'booking_orders', 'deleted_by', 'INT NULL AFTER deleted_at');
+  await addIndexIfMissing(db, 'booking_orders', 'idx_deleted_at', '(deleted_at)');
+}
+
+async function down(db) {
+  await dropIndexIfExists(db, 'booking_orders', 'idx_deleted_at');
+  await dropColumnIfExists(db, 'booking_orders', 'deleted_by');
+  await dropColumnIfExists(db, 'booking_orders', 'deleted_at');
+}
+
+module.exports = { up, down };
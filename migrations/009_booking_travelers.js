@@ -0,0 +1,32 @@
+// booking_travelers: passenger details of a booking, one row per seat.
+// The lead contact stays on booking_orders; these rows are the people travelling.
+
+async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS booking_travelers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      booking_id INT NOT NULL,
+      position INT NOT NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      date_of_birth DATE NULL,
+      gender VARCHAR(20) NULL,
+      nationality VARCHAR(64) NULL,
+      document_type ENUM('passport', 'cnic') NULL,
+      document_number VARCHAR(50) NULL,
+      emergency_contact_name VARCHAR(200) NULL,
+      emergency_contact_phone VARCHAR(30) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_booking_traveler (booking_id, position),
+      CONSTRAINT fk_booking_travelers_booking
+        FOREIGN KEY (booking_id) REFERENCES booking_orders (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS booking_travelers');
+}
+
+module.exports = { up, down };
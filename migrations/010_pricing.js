@@ -0,0 +1,26 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists
+} = require('./helpers');
+
+// Departure pricing: rules per date range (price override, seasonal
+// multiplier, early-bird discounts, child price) and the quoted price stored
+// on every booking priced by them.
+
+async function up(db) {
+  // e.g. {"base_price":300,"season":{"label":"Eid","multiplier":1.25},"early_bird":[...],"child":{...}}; NULL charges the variant price
+  await addColumnIfMissing(db, 'product_dates', 'pricing', 'JSON NULL AFTER is_active');
+
+  await addColumnIfMissing(db, 'booking_orders', 'child_count', 'INT NOT NULL DEFAULT 0 AFTER quantity');
+  await addColumnIfMissing(db, 'booking_orders', 'quoted_price', 'DECIMAL(10, 2) NULL AFTER child_count');
+  await addColumnIfMissing(db, 'booking_orders', 'price_breakdown', 'JSON NULL AFTER quoted_price');
+}
+
+async function down(db) {
+  await dropColumnIfExists(db, 'booking_orders', 'price_breakdown');
+  await dropColumnIfExists(db, 'booking_orders', 'quoted_price');
+  await dropColumnIfExists(db, 'booking_orders', 'child_count');
+  await dropColumnIfExists(db, 'product_dates', 'pricing');
+}
+
+module.exports = { up, down };
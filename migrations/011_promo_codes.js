@@ -0,0 +1,47 @@
+// Promo codes and their redemptions. A redemption ties a code to the booking
+// it discounted; it is removed together with the booking.
+
+async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS promo_codes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(50) NOT NULL UNIQUE,
+      description VARCHAR(255) NULL,
+      discount_type ENUM('percentage', 'fixed') NOT NULL,
+      discount_value DECIMAL(10, 2) NOT NULL,
+      valid_from DATE NULL,
+      valid_until DATE NULL,
+      product_ids JSON NULL,
+      max_uses INT NULL,
+      max_uses_per_email INT NULL,
+      min_quantity INT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS promo_redemptions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      promo_code_id INT NOT NULL,
+      booking_id INT NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      discount_amount DECIMAL(10, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_promo_redemption_booking (booking_id),
+      INDEX idx_promo_email (promo_code_id, email),
+      CONSTRAINT fk_promo_redemptions_code
+        FOREIGN KEY (promo_code_id) REFERENCES promo_codes (id),
+      CONSTRAINT fk_promo_redemptions_booking
+        FOREIGN KEY (booking_id) REFERENCES booking_orders (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS promo_redemptions');
+  await db.execute('DROP TABLE IF EXISTS promo_codes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists
+} = require('./helpers');
+
+// Where and how travelers meet the group, shown in the booking's calendar event
+
+async function up(db) {
+  // e.g. "Faisal Mosque main parking, Islamabad"
+  await addColumnIfMissing(db, 'products', 'meeting_point', 'VARCHAR(255) NULL AFTER reminder_schedule');
+  // e.g. "Be there at 6:00 AM with your CNIC"
+  await addColumnIfMissing(db, 'products', 'meeting_instructions', 'TEXT NULL AFTER meeting_point');
+}
+
+async function down(db) {
+  await dropColumnIfExists(db, 'products', 'meeting_instructions');
+  await dropColumnIfExists(db, 'products', 'meeting_point');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists,
+  extendEnumIfMissing
+} = require('./helpers');
+
+// Refund runs claim their cancellation first ('refunding'), so two runs never
+// refund the same booking. refund_started_at lets a run that died be retried.
+
+async function up(db) {
+  await extendEnumIfMissing(
+    db,
+    'booking_cancellations',
+    'refund_status',
+    'refunding',
+    "ENUM('not_applicable', 'pending', 'refunding', 'refunded', 'partial', 'failed') NOT NULL DEFAULT 'not_applicable'"
+  );
+  await addColumnIfMissing(db, 'booking_cancellations', 'refund_started_at', 'DATETIME NULL AFTER refund_status');
+}
+
+async function down(db) {
+  await dropColumnIfExists(db, 'booking_cancellations', 'refund_started_at');
+  await db.execute("UPDATE booking_cancellations SET refund_status = 'failed' WHERE refund_status = 'refunding'");
+  await db.execute(`
+    ALTER TABLE booking_cancellations
+    MODIFY COLUMN refund_status ENUM('not_applicable', 'pending', 'refunded', 'partial', 'failed') NOT NULL DEFAULT 'not_applicable'
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists,
+  extendEnumIfMissing
+} = require('./helpers');
+
+// A delivery is claimed ('processing') before its handler runs, so two
+// deliveries with the same X-Shopify-Webhook-Id never both run it.
+// processing_started_at lets a claim left by a stopped server be taken over.
+
+async function up(db) {
+  await extendEnumIfMissing(
+    db,
+    'webhook_deliveries',
+    'status',
+    'processing',
+    "ENUM('received', 'processing', 'processed', 'ignored', 'failed') DEFAULT 'received'"
+  );
+  await addColumnIfMissing(db, 'webhook_deliveries', 'processing_started_at', 'TIMESTAMP NULL AFTER received_at');
+}
+
+async function down(db) {
+  await dropColumnIfExists(db, 'webhook_deliveries', 'processing_started_at');
+  await db.execute("UPDATE webhook_deliveries SET status = 'failed' WHERE status = 'processing'");
+  await db.execute(`
+    ALTER TABLE webhook_deliveries
+    MODIFY COLUMN status ENUM('received', 'processed', 'ignored', 'failed') DEFAULT 'received'
+  `);
+}
+
+module.exports = { up, down };
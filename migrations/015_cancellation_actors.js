@@ -0,0 +1,31 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists
+} = require('./helpers');
+
+// Bookings are also cancelled by Shopify webhooks, which have no staff_id.
+// actor_type and actor_name record who cancelled, as audit_log does.
+
+async function up(db) {
+  await addColumnIfMissing(
+    db,
+    'booking_cancellations',
+    'actor_type',
+    "ENUM('staff', 'customer', 'shopify', 'system') NOT NULL DEFAULT 'staff' AFTER staff_id"
+  );
+  await addColumnIfMissing(db, 'booking_cancellations', 'actor_name', 'VARCHAR(255) NULL AFTER actor_type');
+
+  await db.execute(`
+    UPDATE booking_cancellations c
+    JOIN staff_users s ON s.id = c.staff_id
+    SET c.actor_name = COALESCE(s.name, s.email)
+    WHERE c.actor_name IS NULL
+  `);
+}
+
+async function down(db) {
+  await dropColumnIfExists(db, 'booking_cancellations', 'actor_name');
+  await dropColumnIfExists(db, 'booking_cancellations', 'actor_type');
+}
+
+module.exports = { up, down };
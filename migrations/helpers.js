@@ -0,0 +1,113 @@
+// Idempotent schema helpers for migrations. Each takes the migration's
+// connection and checks INFORMATION_SCHEMA first, so a migration that failed
+// halfway can simply be run again.
+
+async function columnExists(db, table, column) {
+  const [columns] = await db.execute(`
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = ?
+    AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  return columns.length > 0;
+}
+
+async function indexExists(db, table, indexName) {
+  const [indexes] = await db.execute(`
+    SELECT INDEX_NAME
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = ?
+    AND INDEX_NAME = ?
+  `, [table, indexName]);
+
+  return indexes.length > 0;
+}
+
+async function constraintExists(db, table, constraintName) {
+  const [constraints] = await db.execute(`
+    SELECT CONSTRAINT_NAME
+    FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS
+    WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = ?
+    AND CONSTRAINT_NAME = ?
+  `, [table, constraintName]);
+
+  return constraints.length > 0;
+}
+
+// Add a column to an existing table unless it is already there
+async function addColumnIfMissing(db, table, column, definition) {
+  if (!(await columnExists(db, table, column))) {
+    console.log(`Adding column ${table}.${column}...`);
+    await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+async function dropColumnIfExists(db, table, column) {
+  if (await columnExists(db, table, column)) {
+    console.log(`Dropping column ${table}.${column}...`);
+    await db.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
+
+// Add a named foreign key constraint unless it is already there
+async function addForeignKeyIfMissing(db, table, constraintName, definition) {
+  if (!(await constraintExists(db, table, constraintName))) {
+    console.log(`Adding foreign key ${constraintName}...`);
+    await db.execute(`ALTER TABLE ${table} ADD CONSTRAINT ${constraintName} ${definition}`);
+  }
+}
+
+async function dropForeignKeyIfExists(db, table, constraintName) {
+  if (await constraintExists(db, table, constraintName)) {
+    console.log(`Dropping foreign key ${constraintName}...`);
+    await db.execute(`ALTER TABLE ${table} DROP FOREIGN KEY ${constraintName}`);
+  }
+}
+
+// Add an index to an existing table unless it is already there
+async function addIndexIfMissing(db, table, indexName, columns) {
+  if (!(await indexExists(db, table, indexName))) {
+    console.log(`Adding index ${table}.${indexName}...`);
+    await db.execute(`ALTER TABLE ${table} ADD INDEX ${indexName} ${columns}`);
+  }
+}
+
+async function dropIndexIfExists(db, table, indexName) {
+  if (await indexExists(db, table, indexName)) {
+    console.log(`Dropping index ${table}.${indexName}...`);
+    await db.execute(`ALTER TABLE ${table} DROP INDEX ${indexName}`);
+  }
+}
+
+// Redefine an ENUM column when it does not yet allow `value`
+async function extendEnumIfMissing(db, table, column, value, definition) {
+  const [columns] = await db.execute(`
+    SELECT COLUMN_TYPE
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = ?
+    AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  if (columns.length > 0 && !columns[0].COLUMN_TYPE.includes(`'${value}'`)) {
+    console.log(`Adding '${value}' to ${table}.${column}...`);
+    await db.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = {
+  columnExists,
+  indexExists,
+  constraintExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addForeignKeyIfMissing,
+  dropForeignKeyIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+  extendEnumIfMissing
+};
@@ -0,0 +1,446 @@
+/*
+ * Storefront booking widget
+ *
+ * Drop into a Shopify theme, no build step needed:
+ *
+ *   <div data-booking-widget
+ *        data-product-id="{{ product.id }}"
+ *        data-variant-id="{{ product.selected_or_first_available_variant.id }}"></div>
+ *   <script src="https://your-api-host/widget.js" defer></script>
+ *
+ * The API host defaults to the host serving this script; override it with
+ * data-api-base="https://your-api-host". Widgets can also be mounted by hand:
+ *
+ *   BookingWidget.mount(element, { productId, variantId, apiBase });
+ *
+ * Theme it by overriding the CSS variables on .bw-widget (see WIDGET_CSS).
+ */
+(function () {
+    'use strict';
+
+    const WIDGET_CSS = `
+        .bw-widget {
+            --bw-primary: #667eea;
+            --bw-primary-text: #ffffff;
+            --bw-background: #ffffff;
+            --bw-text: #212529;
+            --bw-muted: #6c757d;
+            --bw-border: #e9ecef;
+            --bw-available: #d4edda;
+            --bw-low: #fff3cd;
+            --bw-sold-out: #f8d7da;
+            --bw-error: #721c24;
+            --bw-radius: 8px;
+            --bw-font: inherit;
+
+            font-family: var(--bw-font);
+            color: var(--bw-text);
+            background: var(--bw-background);
+            border: 1px solid var(--bw-border);
+            border-radius: var(--bw-radius);
+            padding: 16px;
+            max-width: 480px;
+            box-sizing: border-box;
+        }
+        .bw-widget * { box-sizing: border-box; }
+        .bw-calendar-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 8px;
+            font-weight: 600;
+        }
+        .bw-nav {
+            background: transparent;
+            border: 1px solid var(--bw-border);
+            border-radius: var(--bw-radius);
+            color: var(--bw-text);
+            cursor: pointer;
+            padding: 4px 10px;
+        }
+        .bw-nav:disabled { opacity: 0.4; cursor: default; }
+        .bw-grid {
+            display: grid;
+            grid-template-columns: repeat(7, 1fr);
+            gap: 4px;
+            text-align: center;
+        }
+        .bw-weekday { font-size: 0.75em; color: var(--bw-muted); padding: 4px 0; }
+        .bw-day {
+            border: 1px solid transparent;
+            border-radius: var(--bw-radius);
+            padding: 8px 0;
+            font-size: 0.9em;
+            color: var(--bw-muted);
+            background: transparent;
+        }
+        .bw-day.bw-available { background: var(--bw-available); color: var(--bw-text); cursor: pointer; }
+        .bw-day.bw-low { background: var(--bw-low); color: var(--bw-text); cursor: pointer; }
+        .bw-day.bw-sold-out { background: var(--bw-sold-out); text-decoration: line-through; }
+        .bw-day.bw-selected { background: var(--bw-primary); color: var(--bw-primary-text); }
+        .bw-legend { display: flex; gap: 12px; font-size: 0.75em; color: var(--bw-muted); margin: 8px 0 16px; }
+        .bw-legend span::before {
+            content: '';
+            display: inline-block;
+            width: 10px;
+            height: 10px;
+            border-radius: 2px;
+            margin-right: 4px;
+            vertical-align: middle;
+        }
+        .bw-legend .bw-legend-available::before { background: var(--bw-available); }
+        .bw-legend .bw-legend-low::before { background: var(--bw-low); }
+        .bw-legend .bw-legend-sold-out::before { background: var(--bw-sold-out); }
+        .bw-summary { margin-bottom: 12px; font-weight: 600; }
+        .bw-summary small { display: block; font-weight: normal; color: var(--bw-muted); }
+        .bw-field { margin-bottom: 10px; }
+        .bw-field label { display: block; font-size: 0.85em; margin-bottom: 4px; }
+        .bw-field input {
+            width: 100%;
+            padding: 8px;
+            border: 1px solid var(--bw-border);
+            border-radius: var(--bw-radius);
+            font: inherit;
+        }
+        .bw-row { display: flex; gap: 10px; }
+        .bw-row .bw-field { flex: 1; }
+        .bw-submit {
+            width: 100%;
+            padding: 12px;
+            border: none;
+            border-radius: var(--bw-radius);
+            background: var(--bw-primary);
+            color: var(--bw-primary-text);
+            font: inherit;
+            font-weight: 600;
+            cursor: pointer;
+        }
+        .bw-submit:disabled { opacity: 0.5; cursor: default; }
+        .bw-message { margin: 10px 0; font-size: 0.9em; }
+        .bw-message.bw-error { color: var(--bw-error); }
+        .bw-loading { color: var(--bw-muted); text-align: center; padding: 20px 0; }
+    `;
+
+    const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+    // Script origin, used as the default API host
+    const currentScript = document.currentScript;
+    const scriptOrigin = currentScript ? new URL(currentScript.src, window.location.href).origin : '';
+
+    function injectStyles() {
+        if (document.getElementById('bw-widget-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'bw-widget-styles';
+        style.textContent = WIDGET_CSS;
+        document.head.appendChild(style);
+    }
+
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Dates are handled as YYYY-MM-DD strings in UTC to avoid timezone drift
+    function toIsoDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    function datesBetween(startDate, endDate) {
+        const dates = [];
+        const current = new Date(startDate + 'T00:00:00Z');
+        const last = new Date(endDate + 'T00:00:00Z');
+        while (current <= last) {
+            dates.push(toIsoDate(current));
+            current.setUTCDate(current.getUTCDate() + 1);
+        }
+        return dates;
+    }
+
+    function formatDate(isoDate) {
+        return new Date(isoDate + 'T00:00:00Z').toLocaleDateString(undefined, {
+            timeZone: 'UTC',
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    }
+
+    function BookingWidget(element, options) {
+        this.element = element;
+        this.productId = options.productId;
+        this.variantId = options.variantId;
+        this.apiBase = (options.apiBase || scriptOrigin).replace(/\/$/, '');
+        this.departures = [];
+        this.selected = null;
+        const today = new Date();
+        this.month = new Date(Date.UTC(today.getFullYear(), today.getMonth(), 1));
+    }
+
+    BookingWidget.prototype.init = async function () {
+        injectStyles();
+        this.element.classList.add('bw-widget');
+
+        if (!this.productId || !this.variantId) {
+            this.element.innerHTML = '<div class="bw-message bw-error">Booking widget needs a product and variant id.</div>';
+            return;
+        }
+
+        this.element.innerHTML = '<div class="bw-loading">Loading available dates...</div>';
+
+        try {
+            const params = new URLSearchParams({ product_id: this.productId, variant_id: this.variantId });
+            const response = await fetch(`${this.apiBase}/api/booking/availability?${params}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load availability');
+            }
+
+            this.departures = result.data.departures;
+
+            // Open the calendar on the first month with a bookable departure
+            const firstOpen = this.departures.find(d => !d.sold_out);
+            if (firstOpen) {
+                const start = new Date(firstOpen.start_date + 'T00:00:00Z');
+                this.month = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+            }
+
+            this.render();
+        } catch (error) {
+            this.element.innerHTML = `<div class="bw-message bw-error">${escapeHtml(error.message)}</div>`;
+        }
+    };
+
+    // Departure covering a given day (first match wins)
+    BookingWidget.prototype.departureOn = function (isoDate) {
+        return this.departures.find(d => d.start_date <= isoDate && d.end_date >= isoDate);
+    };
+
+    BookingWidget.prototype.renderCalendar = function () {
+        const year = this.month.getUTCFullYear();
+        const month = this.month.getUTCMonth();
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        // Monday-first offset of the 1st of the month
+        const offset = (new Date(Date.UTC(year, month, 1)).getUTCDay() + 6) % 7;
+        const thisMonth = new Date();
+        const isCurrentMonth = year === thisMonth.getFullYear() && month === thisMonth.getMonth();
+
+        let html = `
+            <div class="bw-calendar-header">
+                <button type="button" class="bw-nav" data-bw-nav="-1" ${isCurrentMonth ? 'disabled' : ''}>&lsaquo;</button>
+                <span>${this.month.toLocaleDateString(undefined, { timeZone: 'UTC', month: 'long', year: 'numeric' })}</span>
+                <button type="button" class="bw-nav" data-bw-nav="1">&rsaquo;</button>
+            </div>
+            <div class="bw-grid">
+                ${WEEKDAYS.map(day => `<div class="bw-weekday">${day}</div>`).join('')}
+                ${'<div></div>'.repeat(offset)}
+        `;
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const isoDate = toIsoDate(new Date(Date.UTC(year, month, day)));
+            const departure = this.departureOn(isoDate);
+            let className = 'bw-day';
+
+            if (departure) {
+                if (this.selected && departure.product_date_id === this.selected.product_date_id) {
+                    className += ' bw-selected';
+                } else if (departure.sold_out) {
+                    className += ' bw-sold-out';
+                } else if (departure.low_availability) {
+                    className += ' bw-low';
+                } else {
+                    className += ' bw-available';
+                }
+            }
+
+            const selectable = departure && !departure.sold_out;
+            html += `<div class="${className}" ${selectable ? `data-bw-date="${isoDate}"` : ''}>${day}</div>`;
+        }
+
+        html += `
+            </div>
+            <div class="bw-legend">
+                <span class="bw-legend-available">Available</span>
+                <span class="bw-legend-low">Few seats left</span>
+                <span class="bw-legend-sold-out">Sold out</span>
+            </div>
+        `;
+
+        return html;
+    };
+
+    BookingWidget.prototype.renderForm = function () {
+        if (!this.selected) {
+            return this.departures.some(d => !d.sold_out)
+                ? '<div class="bw-summary">Select a departure date</div>'
+                : '<div class="bw-summary">No departures are currently available</div>';
+        }
+
+        const departure = this.selected;
+        const maxQuantity = departure.remaining_seats;
+
+        return `
+            <div class="bw-summary">
+                ${formatDate(departure.start_date)} &ndash; ${formatDate(departure.end_date)}
+                <small>${maxQuantity} seat${maxQuantity === 1 ? '' : 's'} left</small>
+            </div>
+            <form class="bw-form" novalidate>
+                <div class="bw-row">
+                    <div class="bw-field">
+                        <label for="bw-first-name">First name</label>
+                        <input id="bw-first-name" name="first_name" autocomplete="given-name" required>
+                    </div>
+                    <div class="bw-field">
+                        <label for="bw-last-name">Last name</label>
+                        <input id="bw-last-name" name="last_name" autocomplete="family-name" required>
+                    </div>
+                </div>
+                <div class="bw-field">
+                    <label for="bw-email">Email</label>
+                    <input id="bw-email" name="email" type="email" autocomplete="email" required>
+                </div>
+                <div class="bw-row">
+                    <div class="bw-field">
+                        <label for="bw-phone">Phone</label>
+                        <input id="bw-phone" name="phone_number" type="tel" autocomplete="tel" required>
+                    </div>
+                    <div class="bw-field">
+                        <label for="bw-quantity">Travelers</label>
+                        <input id="bw-quantity" name="quantity" type="number" min="1" max="${maxQuantity}" value="1" required>
+                    </div>
+                </div>
+                <div class="bw-message bw-error" data-bw-error></div>
+                <button type="submit" class="bw-submit">Book now</button>
+            </form>
+        `;
+    };
+
+    BookingWidget.prototype.render = function () {
+        this.element.innerHTML = this.renderCalendar() + this.renderForm();
+
+        this.element.querySelectorAll('[data-bw-nav]').forEach(button => {
+            button.addEventListener('click', () => {
+                const step = parseInt(button.getAttribute('data-bw-nav'));
+                this.month = new Date(Date.UTC(this.month.getUTCFullYear(), this.month.getUTCMonth() + step, 1));
+                this.render();
+            });
+        });
+
+        this.element.querySelectorAll('[data-bw-date]').forEach(day => {
+            day.addEventListener('click', () => {
+                this.selected = this.departureOn(day.getAttribute('data-bw-date'));
+                this.render();
+            });
+        });
+
+        const form = this.element.querySelector('.bw-form');
+        if (form) {
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                this.submit(form);
+            });
+        }
+    };
+
+    BookingWidget.prototype.showError = function (message) {
+        const errorElement = this.element.querySelector('[data-bw-error]');
+        if (errorElement) {
+            errorElement.innerHTML = message;
+        }
+    };
+
+    BookingWidget.prototype.submit = async function (form) {
+        const submitButton = form.querySelector('.bw-submit');
+        const fields = Object.fromEntries(new FormData(form).entries());
+        const quantity = parseInt(fields.quantity);
+
+        // Same checks validateBookingData runs on the server, for faster feedback
+        const missing = ['first_name', 'last_name', 'phone_number', 'email'].filter(name => !fields[name].trim());
+        if (missing.length > 0) {
+            this.showError('Please fill in all fields.');
+            return;
+        }
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+            this.showError('Please enter a valid email address.');
+            return;
+        }
+        if (!quantity || quantity < 1 || quantity > this.selected.remaining_seats) {
+            this.showError(`Please choose between 1 and ${this.selected.remaining_seats} travelers.`);
+            return;
+        }
+
+        this.showError('');
+        submitButton.disabled = true;
+        submitButton.textContent = 'Booking...';
+
+        try {
+            const response = await fetch(`${this.apiBase}/api/booking/create`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    booking_dates: datesBetween(this.selected.start_date, this.selected.end_date),
+                    first_name: fields.first_name.trim(),
+                    last_name: fields.last_name.trim(),
+                    phone_number: fields.phone_number.trim(),
+                    email: fields.email.trim(),
+                    product_id: this.productId,
+                    variant_id: this.variantId,
+                    product_date_id: this.selected.product_date_id,
+                    quantity: quantity
+                })
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                let message = escapeHtml(result.error || 'Booking failed');
+                if (result.required_fields) {
+                    message += `: ${escapeHtml(result.required_fields.join(', '))}`;
+                }
+                this.showError(message);
+                submitButton.disabled = false;
+                submitButton.textContent = 'Book now';
+                return;
+            }
+
+            if (result.data.checkout_url) {
+                window.location.href = result.data.checkout_url;
+            } else {
+                form.innerHTML = `<div class="bw-message">Booking #${escapeHtml(result.data.booking_id)} received. We will contact you with payment details.</div>`;
+            }
+        } catch (error) {
+            this.showError(escapeHtml('Could not reach the booking service: ' + error.message));
+            submitButton.disabled = false;
+            submitButton.textContent = 'Book now';
+        }
+    };
+
+    function mount(element, options) {
+        const widget = new BookingWidget(element, options || {});
+        widget.init();
+        return widget;
+    }
+
+    function mountAll() {
+        document.querySelectorAll('[data-booking-widget]').forEach(element => {
+            if (element.dataset.bookingWidgetMounted) return;
+            element.dataset.bookingWidgetMounted = 'true';
+            mount(element, {
+                productId: element.dataset.productId,
+                variantId: element.dataset.variantId,
+                apiBase: element.dataset.apiBase
+            });
+        });
+    }
+
+    window.BookingWidget = { mount: mount, mountAll: mountAll };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', mountAll);
+    } else {
+        mountAll();
+    }
+})();
@@ -1,7 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { pool } = require('../config/database');
-const { getAllProducts, isShopifyConfigured } = require('../config/shopify');
+const { pool, withTransaction } = require('../config/database');
+const { isShopifyConfigured } = require('../config/shopify');
+const { runFullSync, getLastSync } = require('../services/catalog');
+const { parsePolicy } = require('../services/cancellations');
+const { parseSchedule, getReminderSchedule, getDefaultSchedule } = require('../services/reminders');
+const { claimDelivery, processDelivery } = require('../services/webhooks');
+const { getWaitlist, reorderWaitlist, removeEntry, offerFreedSeatsSafely } = require('../services/waitlist');
+const { listNotifications, retryNotification } = require('../services/notifications');
+const { listTemplates, getTemplate, saveTemplate, resetTemplate } = require('../services/notification-templates');
+const { actorFromRequest, loadEntity, recordAudit, listAuditEntries } = require('../services/audit');
+const { deletedFilter } = require('../services/order-trash');
+const { getManifest, manifestToCsv, manifestToHtml, manifestFilename } = require('../services/manifest');
+const { parsePricing, getDeparturePricing, getUnitPrice, computeQuote } = require('../services/pricing');
+const { parseRecurrence, parseCloneOptions, generateSchedule, cloneSchedule } = require('../services/departure-schedule');
+const { exportDeparturesCsv, importDeparturesCsv } = require('../services/departure-csv');
+const { isIsoDate } = require('../services/seats');
+const { isCalendarConfigured, departuresFeedUrl, productFeedUrl } = require('../services/calendar');
+const {
+  parsePromoCodeInput,
+  listPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getRedemptions
+} = require('../services/promo-codes');
 
 // GET /api/admin/bookings - Get all bookings
 router.get('/bookings', async (req, res) => {
@@ -16,13 +40,18 @@ router.get('/bookings', async (req, res) => {
         email,
         product_id,
         variant_id,
+        product_date_id,
         quantity,
         shopify_checkout_id,
         shopify_checkout_url,
+        shopify_draft_order_id,
         status,
+        hold_expires_at,
         created_at,
-        updated_at
+        updated_at,
+        deleted_at
       FROM booking_orders
+      WHERE 1=1${deletedFilter(req.query.include_deleted)}
       ORDER BY created_at DESC
     `;
     
@@ -49,10 +78,138 @@ router.get('/bookings', async (req, res) => {
   }
 });
 
-// GET /api/admin/products - Get all products directly from Shopify
+// GET /api/admin/products - Get all active products from the local Shopify catalog mirror
 router.get('/products', async (req, res) => {
   try {
-    // Fetch products directly from Shopify
+    // Products come from the local mirror of the Shopify catalog (see services/catalog.js)
+    const { last_synced_at: lastSyncedAt } = await getLastSync();
+
+    const [rows] = await pool.execute(`
+      SELECT 
+        p.product_id,
+        p.product_name,
+        p.handle,
+        p.status,
+        p.vendor,
+        p.product_type,
+        p.image_url,
+        p.hold_minutes,
+        p.shopify_created_at,
+        p.shopify_updated_at,
+        p.synced_at,
+        v.variant_id,
+        v.title as variant_title,
+        v.price,
+        v.sku,
+        v.inventory_quantity,
+        v.image_url as variant_image_url,
+        ds.total_ranges,
+        ds.active_ranges,
+        ds.total_available_seats,
+        ds.total_booked_seats,
+        ds.earliest_date,
+        ds.latest_date
+      FROM products p
+      LEFT JOIN product_variants v ON v.product_id = p.product_id
+      LEFT JOIN (
+        SELECT 
+          product_id,
+          COUNT(DISTINCT id) as total_ranges,
+          SUM(CASE WHEN is_active = TRUE THEN 1 ELSE 0 END) as active_ranges,
+          SUM(available_seats) as total_available_seats,
+          SUM(booked_seats) as total_booked_seats,
+          MIN(start_date) as earliest_date,
+          MAX(end_date) as latest_date
+        FROM product_dates
+        GROUP BY product_id
+      ) ds ON ds.product_id = p.product_id
+      WHERE p.status = 'active'
+      ORDER BY p.product_name ASC, v.position ASC
+    `);
+
+    if (rows.length === 0) {
+      return res.json({
+        success: true,
+        data: [],
+        count: 0,
+        last_synced_at: lastSyncedAt,
+        source: 'mirror',
+        message: lastSyncedAt
+          ? 'No active products found in Shopify store'
+          : 'The Shopify catalog has not been synced yet. Run a sync to load products.'
+      });
+    }
+
+    // One entry per variant; products without variants use the product ID as variant ID
+    const formattedProducts = rows.map(row => ({
+      product_id: row.product_id,
+      variant_id: row.variant_id || row.product_id,
+      product_name: row.product_name,
+      variant_name: row.variant_title || 'Default',
+      price: row.price !== null ? row.price : '0.00',
+      sku: row.sku || '',
+      inventory_quantity: row.inventory_quantity || 0,
+      image_url: row.variant_image_url || row.image_url,
+      hold_minutes: row.hold_minutes,
+      // Date range/seat stats from database (shared across all variants of same product)
+      total_ranges: row.total_ranges || 0,
+      active_ranges: row.active_ranges || 0,
+      total_available_seats: row.total_available_seats || 0,
+      total_booked_seats: row.total_booked_seats || 0,
+      earliest_date: row.earliest_date,
+      latest_date: row.latest_date,
+      // Additional Shopify data
+      shopify_product: {
+        id: row.product_id,
+        handle: row.handle,
+        status: row.status,
+        vendor: row.vendor,
+        product_type: row.product_type,
+        created_at: row.shopify_created_at,
+        updated_at: row.shopify_updated_at
+      },
+      synced_at: row.synced_at
+    }));
+
+    res.json({
+      success: true,
+      data: formattedProducts,
+      count: formattedProducts.length,
+      last_synced_at: lastSyncedAt,
+      source: 'mirror'
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/products/sync - Status of the most recent catalog sync
+router.get('/products/sync', async (req, res) => {
+  try {
+    const lastSync = await getLastSync();
+
+    res.json({
+      success: true,
+      data: lastSync
+    });
+  } catch (error) {
+    console.error('Error fetching catalog sync status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/products/sync - Resync the local catalog mirror from Shopify
+router.post('/products/sync', async (req, res) => {
+  try {
     if (!isShopifyConfigured()) {
       return res.status(400).json({
         success: false,
@@ -60,156 +217,39 @@ router.get('/products', async (req, res) => {
       });
     }
 
-    const shopifyResult = await getAllProducts();
-    
-    if (!shopifyResult.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to fetch products from Shopify',
-        details: shopifyResult.error
-      });
-    }
+    const result = await runFullSync();
 
-    let shopifyProducts = shopifyResult.products || [];
-    
-    // Filter to only show active products
-    shopifyProducts = shopifyProducts.filter(product => {
-      // Shopify products have a 'status' field: 'active', 'archived', or 'draft'
-      return product.status === 'active';
-    });
-    
-    if (shopifyProducts.length === 0) {
-      return res.json({
-        success: true,
-        data: [],
-        count: 0,
-        message: 'No active products found in Shopify store'
+    if (result.running) {
+      return res.status(409).json({
+        success: false,
+        error: result.error
       });
     }
 
-    // Get date/seat information from database for all products
-    const productIds = shopifyProducts.map(p => p.id);
-    if (productIds.length === 0) {
-      return res.json({
-        success: true,
-        data: [],
-        count: 0
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to sync products from Shopify',
+        details: result.error,
+        data: { sync_id: result.sync_id, products_synced: result.products_synced }
       });
     }
 
-    // Build query to get date range/seat stats for all products
-    const placeholders = productIds.map(() => '?').join(',');
-    const dateStatsQuery = `
-      SELECT 
-        product_id,
-        COUNT(DISTINCT id) as total_ranges,
-        SUM(CASE WHEN is_active = TRUE THEN 1 ELSE 0 END) as active_ranges,
-        SUM(available_seats) as total_available_seats,
-        SUM(booked_seats) as total_booked_seats,
-        MIN(start_date) as earliest_date,
-        MAX(end_date) as latest_date
-      FROM product_dates
-      WHERE product_id IN (${placeholders})
-      GROUP BY product_id
-    `;
-    
-    const [dateStatsRows] = await pool.execute(dateStatsQuery, productIds);
-    
-    // Create a map of product_id to date range stats
-    const dateStatsMap = {};
-    dateStatsRows.forEach(row => {
-      dateStatsMap[row.product_id] = {
-        total_ranges: row.total_ranges || 0,
-        active_ranges: row.active_ranges || 0,
-        total_available_seats: row.total_available_seats || 0,
-        total_booked_seats: row.total_booked_seats || 0,
-        earliest_date: row.earliest_date,
-        latest_date: row.latest_date
-      };
-    });
-
-    // Format products with variants and merge date/seat info from database
-    const formattedProducts = [];
-    
-    for (const product of shopifyProducts) {
-      const productDateStats = dateStatsMap[product.id] || {
-        total_ranges: 0,
-        active_ranges: 0,
-        total_available_seats: 0,
-        total_booked_seats: 0,
-        earliest_date: null,
-        latest_date: null
-      };
-
-      if (product.variants && product.variants.length > 0) {
-        // Product has variants - create entry for each variant
-        for (const variant of product.variants) {
-          formattedProducts.push({
-            product_id: product.id,
-            variant_id: variant.id,
-            product_name: product.title,
-            variant_name: variant.title || 'Default',
-            price: variant.price || '0.00',
-            sku: variant.sku || '',
-            inventory_quantity: variant.inventory_quantity || 0,
-            // Date range/seat stats from database (shared across all variants of same product)
-            total_ranges: productDateStats.total_ranges,
-            active_ranges: productDateStats.active_ranges,
-            total_available_seats: productDateStats.total_available_seats,
-            total_booked_seats: productDateStats.total_booked_seats,
-            earliest_date: productDateStats.earliest_date,
-            latest_date: productDateStats.latest_date,
-            // Additional Shopify data
-            shopify_product: {
-              id: product.id,
-              handle: product.handle,
-              status: product.status,
-              vendor: product.vendor,
-              product_type: product.product_type,
-              created_at: product.created_at,
-              updated_at: product.updated_at
-            }
-          });
-        }
-      } else {
-        // Product has no variants - use product ID as variant ID
-        formattedProducts.push({
-          product_id: product.id,
-          variant_id: product.id,
-          product_name: product.title,
-          variant_name: 'Default',
-          price: '0.00',
-          sku: '',
-          inventory_quantity: 0,
-          // Date range/seat stats from database
-          total_ranges: productDateStats.total_ranges,
-          active_ranges: productDateStats.active_ranges,
-          total_available_seats: productDateStats.total_available_seats,
-          total_booked_seats: productDateStats.total_booked_seats,
-          earliest_date: productDateStats.earliest_date,
-          latest_date: productDateStats.latest_date,
-          // Additional Shopify data
-          shopify_product: {
-            id: product.id,
-            handle: product.handle,
-            status: product.status,
-            vendor: product.vendor,
-            product_type: product.product_type,
-            created_at: product.created_at,
-            updated_at: product.updated_at
-          }
-        });
-      }
-    }
+    await recordAudit(pool, {
+      actor: actorFromRequest(req),
+      entityType: 'catalog',
+      entityId: result.sync_id,
+      action: 'synced',
+      details: { products_synced: result.products_synced }
+    });
 
     res.json({
       success: true,
-      data: formattedProducts,
-      count: formattedProducts.length,
-      source: 'shopify'
+      message: `Synced ${result.products_synced} products from Shopify`,
+      data: result
     });
   } catch (error) {
-    console.error('Error fetching products:', error);
+    console.error('Error syncing products:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -232,6 +272,11 @@ router.get('/products/:productId/dates', async (req, res) => {
         available_seats,
         booked_seats,
         is_active,
+        pricing,
+        (
+          SELECT COUNT(*) FROM waitlist_entries w
+          WHERE w.product_date_id = product_dates.id AND w.status IN ('waiting', 'offered')
+        ) as waitlist_count,
         created_at,
         updated_at
       FROM product_dates
@@ -259,7 +304,17 @@ router.get('/products/:productId/dates', async (req, res) => {
 // POST /api/admin/products - Create or update a product
 router.post('/products', async (req, res) => {
   try {
-    const { product_id, variant_id, product_name, variant_name } = req.body;
+    const {
+      product_id,
+      variant_id,
+      product_name,
+      variant_name,
+      hold_minutes,
+      cancellation_policy,
+      reminder_schedule,
+      meeting_point,
+      meeting_instructions
+    } = req.body;
 
     if (!product_id || !variant_id || !product_name) {
       return res.status(400).json({
@@ -268,17 +323,77 @@ router.post('/products', async (req, res) => {
       });
     }
 
+    if (hold_minutes !== undefined && hold_minutes !== null &&
+        (!Number.isInteger(Number(hold_minutes)) || Number(hold_minutes) < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'hold_minutes must be a positive integer (or null to use the default)'
+      });
+    }
+
+    const policy = parsePolicy(cancellation_policy);
+    if (cancellation_policy !== undefined && cancellation_policy !== null && !policy) {
+      return res.status(400).json({
+        success: false,
+        error: 'cancellation_policy must be a list of { days_before, refund_percent } tiers (or null to use the default)'
+      });
+    }
+
+    const schedule = parseSchedule(reminder_schedule);
+    if (reminder_schedule !== undefined && reminder_schedule !== null && !schedule) {
+      return res.status(400).json({
+        success: false,
+        error: 'reminder_schedule must be a list of { type: "before" | "after", days } rules (or null to use the default)'
+      });
+    }
+
+    if (meeting_point !== undefined && meeting_point !== null && String(meeting_point).length > 255) {
+      return res.status(400).json({
+        success: false,
+        error: 'meeting_point must be at most 255 characters'
+      });
+    }
+
     const query = `
-      INSERT INTO products (product_id, variant_id, product_name, variant_name)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO products
+      (product_id, variant_id, product_name, variant_name, hold_minutes, cancellation_policy, reminder_schedule, meeting_point, meeting_instructions)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON DUPLICATE KEY UPDATE
         variant_id = VALUES(variant_id),
         product_name = VALUES(product_name),
         variant_name = VALUES(variant_name),
+        hold_minutes = ${hold_minutes !== undefined ? 'VALUES(hold_minutes)' : 'hold_minutes'},
+        cancellation_policy = ${cancellation_policy !== undefined ? 'VALUES(cancellation_policy)' : 'cancellation_policy'},
+        reminder_schedule = ${reminder_schedule !== undefined ? 'VALUES(reminder_schedule)' : 'reminder_schedule'},
+        meeting_point = ${meeting_point !== undefined ? 'VALUES(meeting_point)' : 'meeting_point'},
+        meeting_instructions = ${meeting_instructions !== undefined ? 'VALUES(meeting_instructions)' : 'meeting_instructions'},
         updated_at = CURRENT_TIMESTAMP
     `;
 
-    await pool.execute(query, [product_id, variant_id, product_name, variant_name || null]);
+    await withTransaction(async (connection) => {
+      const before = await loadEntity(connection, 'product', product_id, { forUpdate: true });
+
+      await connection.execute(query, [
+        product_id,
+        variant_id,
+        product_name,
+        variant_name || null,
+        hold_minutes ? Number(hold_minutes) : null,
+        policy ? JSON.stringify(policy) : null,
+        schedule ? JSON.stringify(schedule) : null,
+        meeting_point ? String(meeting_point).trim() : null,
+        meeting_instructions ? String(meeting_instructions).trim() : null
+      ]);
+
+      await recordAudit(connection, {
+        actor: actorFromRequest(req),
+        entityType: 'product',
+        entityId: product_id,
+        action: before ? 'updated' : 'created',
+        before,
+        after: await loadEntity(connection, 'product', product_id)
+      });
+    });
 
     res.status(201).json({
       success: true,
@@ -294,6 +409,95 @@ router.post('/products', async (req, res) => {
   }
 });
 
+// GET /api/admin/products/:productId/reminders - Reminder schedule in force for a product
+router.get('/products/:productId/reminders', async (req, res) => {
+  try {
+    const { schedule, customized } = await getReminderSchedule(pool, req.params.productId);
+
+    res.json({
+      success: true,
+      data: {
+        product_id: req.params.productId,
+        schedule,
+        customized,
+        default_schedule: getDefaultSchedule()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reminder schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/products/:productId/reminders - Set the reminder schedule of a product (null for the default)
+router.put('/products/:productId/reminders', async (req, res) => {
+  try {
+    const { reminder_schedule } = req.body;
+    const schedule = parseSchedule(reminder_schedule);
+
+    if (reminder_schedule !== undefined && reminder_schedule !== null && !schedule) {
+      return res.status(400).json({
+        success: false,
+        error: 'reminder_schedule must be a list of { type: "before" | "after", days } rules with days from 0 to 60 (or null to use the default)'
+      });
+    }
+
+    const updated = await withTransaction(async (connection) => {
+      const before = await loadEntity(connection, 'product', req.params.productId, { forUpdate: true });
+      if (!before) {
+        return false;
+      }
+
+      await connection.execute(
+        'UPDATE products SET reminder_schedule = ?, updated_at = CURRENT_TIMESTAMP WHERE product_id = ?',
+        [schedule ? JSON.stringify(schedule) : null, req.params.productId]
+      );
+
+      await recordAudit(connection, {
+        actor: actorFromRequest(req),
+        entityType: 'product',
+        entityId: req.params.productId,
+        action: 'reminder_schedule_changed',
+        before,
+        after: await loadEntity(connection, 'product', req.params.productId)
+      });
+
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const current = await getReminderSchedule(pool, req.params.productId);
+
+    res.json({
+      success: true,
+      message: 'Reminder schedule saved successfully',
+      data: {
+        product_id: req.params.productId,
+        schedule: current.schedule,
+        customized: current.customized,
+        default_schedule: getDefaultSchedule()
+      }
+    });
+  } catch (error) {
+    console.error('Error saving reminder schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/admin/products/:productId/dates - Add or update a product date range
 router.post('/products/:productId/dates', async (req, res) => {
   try {
@@ -319,17 +523,30 @@ router.post('/products/:productId/dates', async (req, res) => {
       VALUES (?, ?, ?, ?, ?)
     `;
 
-    await pool.execute(query, [
-      productId,
-      start_date,
-      end_date,
-      available_seats || 0,
-      is_active !== undefined ? is_active : true
-    ]);
+    const dateId = await withTransaction(async (connection) => {
+      const [result] = await connection.execute(query, [
+        productId,
+        start_date,
+        end_date,
+        available_seats || 0,
+        is_active !== undefined ? is_active : true
+      ]);
+
+      await recordAudit(connection, {
+        actor: actorFromRequest(req),
+        entityType: 'product_date',
+        entityId: result.insertId,
+        action: 'created',
+        after: await loadEntity(connection, 'product_date', result.insertId)
+      });
+
+      return result.insertId;
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Product date range added successfully'
+      message: 'Product date range added successfully',
+      data: { id: dateId }
     });
   } catch (error) {
     console.error('Error adding/updating product date range:', error);
@@ -341,6 +558,155 @@ router.post('/products/:productId/dates', async (req, res) => {
   }
 });
 
+// Response of the generate and clone endpoints: a preview, the created ranges, or why nothing was created
+function sendScheduleResult(res, result) {
+  if (!result.success) {
+    return res.status(result.status).json({
+      success: false,
+      error: result.error,
+      data: result.preview
+    });
+  }
+
+  const { success, created, ...data } = result;
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? `${data.count} date range(s) created` : `${data.count} date range(s) would be created`,
+    data
+  });
+}
+
+// POST /api/admin/products/:productId/dates/generate - Preview or create date ranges from a recurrence rule
+router.post('/products/:productId/dates/generate', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const parsed = parseRecurrence(req.body);
+
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const result = await generateSchedule(productId, parsed.rule, {
+      create: req.body.preview !== true,
+      skipOverlapping: req.body.skip_overlapping === true,
+      actor: actorFromRequest(req)
+    });
+
+    sendScheduleResult(res, result);
+  } catch (error) {
+    console.error('Error generating product date ranges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/products/:productId/dates/clone - Preview or create copies of a product's date ranges
+router.post('/products/:productId/dates/clone', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const parsed = parseCloneOptions(req.body);
+
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const result = await cloneSchedule(productId, parsed.options, {
+      create: req.body.preview !== true,
+      skipOverlapping: req.body.skip_overlapping === true,
+      actor: actorFromRequest(req)
+    });
+
+    sendScheduleResult(res, result);
+  } catch (error) {
+    console.error('Error cloning product date ranges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/dates/export - Date ranges of every product (or ?product_id=) as CSV, with booked and available seats
+router.get('/dates/export', async (req, res) => {
+  try {
+    const { product_id, from, until } = req.query;
+
+    if ((from && !isIsoDate(from)) || (until && !isIsoDate(until))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and until must be dates in YYYY-MM-DD format'
+      });
+    }
+
+    const { csv } = await exportDeparturesCsv({ productId: product_id, from, until });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="departures${product_id ? `_${product_id}` : ''}_${Date.now()}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting date ranges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/dates/import - Create or update date ranges from CSV (?dry_run=true only validates)
+// The CSV is the raw body (Content-Type: text/csv) or the `csv` field of a JSON body.
+router.post('/dates/import', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const csvText = typeof req.body === 'string' ? req.body : req.body.csv;
+    const dryRun = req.query.dry_run === 'true' || req.body.dry_run === true;
+
+    const result = await importDeparturesCsv(csvText, { dryRun, actor: actorFromRequest(req) });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        summary: result.summary,
+        rows: result.rows
+      });
+    }
+
+    // More capacity (or a reactivated range) means seats for the waitlist
+    if (!dryRun) {
+      for (const row of result.rows.filter(candidate => candidate.action === 'update')) {
+        await offerFreedSeatsSafely(row.id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${result.summary.create} to create, ${result.summary.update} to update, ${result.summary.invalid} invalid`
+        : `${result.summary.create} date range(s) created, ${result.summary.update} updated`,
+      dry_run: result.dry_run,
+      summary: result.summary,
+      rows: result.rows
+    });
+  } catch (error) {
+    console.error('Error importing date ranges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // PUT /api/admin/products/:productId/dates/:dateId - Update a specific product date range
 router.put('/products/:productId/dates/:dateId', async (req, res) => {
   try {
@@ -396,18 +762,40 @@ router.put('/products/:productId/dates/:dateId', async (req, res) => {
       WHERE id = ?
     `;
 
-    const [result] = await pool.execute(query, updateValues);
+    const updated = await withTransaction(async (connection) => {
+      const before = await loadEntity(connection, 'product_date', dateId, { forUpdate: true });
+      if (!before) {
+        return false;
+      }
+
+      await connection.execute(query, updateValues);
+
+      await recordAudit(connection, {
+        actor: actorFromRequest(req),
+        entityType: 'product_date',
+        entityId: dateId,
+        action: 'updated',
+        before,
+        after: await loadEntity(connection, 'product_date', dateId)
+      });
+
+      return true;
+    });
 
-    if (result.affectedRows === 0) {
+    if (!updated) {
       return res.status(404).json({
         success: false,
         error: 'Product date range not found'
       });
     }
 
+    // More capacity (or a reactivated range) means seats for the waitlist
+    const offers = await offerFreedSeatsSafely(dateId);
+
     res.json({
       success: true,
-      message: 'Product date range updated successfully'
+      message: 'Product date range updated successfully',
+      waitlist_offers: offers.length
     });
   } catch (error) {
     console.error('Error updating product date range:', error);
@@ -424,10 +812,27 @@ router.delete('/products/:productId/dates/:dateId', async (req, res) => {
   try {
     const { dateId } = req.params;
 
-    const query = 'DELETE FROM product_dates WHERE id = ?';
-    const [result] = await pool.execute(query, [dateId]);
+    const deleted = await withTransaction(async (connection) => {
+      const before = await loadEntity(connection, 'product_date', dateId, { forUpdate: true });
+      if (!before) {
+        return false;
+      }
+
+      const query = 'DELETE FROM product_dates WHERE id = ?';
+      await connection.execute(query, [dateId]);
+
+      await recordAudit(connection, {
+        actor: actorFromRequest(req),
+        entityType: 'product_date',
+        entityId: dateId,
+        action: 'deleted',
+        before
+      });
+
+      return true;
+    });
 
-    if (result.affectedRows === 0) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         error: 'Product date range not found'
@@ -439,6 +844,13 @@ router.delete('/products/:productId/dates/:dateId', async (req, res) => {
       message: 'Product date range deleted successfully'
     });
   } catch (error) {
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return res.status(409).json({
+        success: false,
+        error: 'This date range has bookings and cannot be deleted. Deactivate it instead.'
+      });
+    }
+
     console.error('Error deleting product date range:', error);
     res.status(500).json({
       success: false,
@@ -448,5 +860,757 @@ router.delete('/products/:productId/dates/:dateId', async (req, res) => {
   }
 });
 
+// Pricing rules of a departure with an example quote for one adult booked today
+async function describeDeparturePricing(productId, departure) {
+  const [variants] = await pool.execute('SELECT variant_id FROM products WHERE product_id = ?', [productId]);
+  const variantPrice = variants.length > 0 ? await getUnitPrice(variants[0].variant_id) : null;
+  const example = computeQuote(departure, { variantPrice, quantity: 1 });
+
+  return {
+    product_date_id: departure.id,
+    pricing: departure.pricing,
+    variant_price: variantPrice,
+    example_quote: example.success ? example.quote : null
+  };
+}
+
+// GET /api/admin/products/:productId/dates/:dateId/pricing - Pricing rules of a departure
+router.get('/products/:productId/dates/:dateId/pricing', async (req, res) => {
+  try {
+    const departure = await getDeparturePricing(pool, req.params.dateId);
+
+    if (!departure || String(departure.product_id) !== String(req.params.productId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product date range not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await describeDeparturePricing(req.params.productId, departure)
+    });
+  } catch (error) {
+    console.error('Error fetching departure pricing:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/products/:productId/dates/:dateId/pricing - Set the pricing rules of a departure (null charges the variant price)
+// Existing bookings keep the price they were quoted.
+router.put('/products/:productId/dates/:dateId/pricing', async (req, res) => {
+  try {
+    const parsed = parsePricing(req.body.pricing);
+
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const updated = await withTransaction(async (connection) => {
+      const before = await loadEntity(connection, 'product_date', req.params.dateId, { forUpdate: true });
+      if (!before || String(before.product_id) !== String(req.params.productId)) {
+        return false;
+      }
+
+      await connection.execute(
+        'UPDATE product_dates SET pricing = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [parsed.pricing ? JSON.stringify(parsed.pricing) : null, req.params.dateId]
+      );
+
+      await recordAudit(connection, {
+        actor: actorFromRequest(req),
+        entityType: 'product_date',
+        entityId: req.params.dateId,
+        action: 'pricing_changed',
+        before,
+        after: await loadEntity(connection, 'product_date', req.params.dateId)
+      });
+
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product date range not found'
+      });
+    }
+
+    const departure = await getDeparturePricing(pool, req.params.dateId);
+
+    res.json({
+      success: true,
+      message: 'Pricing saved successfully',
+      data: await describeDeparturePricing(req.params.productId, departure)
+    });
+  } catch (error) {
+    console.error('Error saving departure pricing:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/products/:productId/dates/:dateId/manifest - Who is coming on a departure
+// (format=json, csv or html; html is a printable page)
+router.get('/products/:productId/dates/:dateId/manifest', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be one of: json, csv, html'
+      });
+    }
+
+    const manifest = await getManifest(req.params.productId, req.params.dateId);
+
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Date range not found'
+      });
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${manifestFilename(manifest, 'csv')}"`);
+      return res.send(manifestToCsv(manifest));
+    }
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(manifestToHtml(manifest));
+    }
+
+    res.json({
+      success: true,
+      data: manifest
+    });
+  } catch (error) {
+    console.error('Error building departure manifest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/products/:productId/dates/:dateId/waitlist - Waitlist of a departure in queue order
+router.get('/products/:productId/dates/:dateId/waitlist', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const entries = await getWaitlist(req.params.dateId, { status });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/products/:productId/dates/:dateId/waitlist/order - Reorder the waiting entries
+router.put('/products/:productId/dates/:dateId/waitlist/order', async (req, res) => {
+  try {
+    const { entry_ids } = req.body;
+
+    if (!Array.isArray(entry_ids) || !entry_ids.every(id => Number.isInteger(Number(id)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'entry_ids must be an array of waitlist entry IDs'
+      });
+    }
+
+    const result = await reorderWaitlist(req.params.dateId, entry_ids, actorFromRequest(req));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        waiting_entry_ids: result.waiting_entry_ids
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Waitlist reordered successfully',
+      data: await getWaitlist(req.params.dateId)
+    });
+  } catch (error) {
+    console.error('Error reordering waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/waitlist/:entryId - Take an entry off the waitlist
+router.delete('/waitlist/:entryId', async (req, res) => {
+  try {
+    const result = await removeEntry(req.params.entryId, actorFromRequest(req));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Waitlist entry removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing waitlist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/notifications - List customer emails and their delivery status
+router.get('/notifications', async (req, res) => {
+  try {
+    const notifications = await listNotifications(req.query);
+
+    res.json({
+      success: true,
+      data: notifications,
+      count: notifications.length
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/notifications/:notificationId/retry - Send a failed email again now
+router.post('/notifications/:notificationId/retry', async (req, res) => {
+  try {
+    const result = await retryNotification(req.params.notificationId);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await recordAudit(pool, {
+      actor: actorFromRequest(req),
+      entityType: 'notification',
+      entityId: req.params.notificationId,
+      action: 'retried',
+      details: { sent: result.sent, booking_id: result.notification.booking_id }
+    });
+
+    res.json({
+      success: result.sent,
+      message: result.sent ? 'Notification sent' : 'Sending failed again',
+      data: result.notification
+    });
+  } catch (error) {
+    console.error('Error retrying notification:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/notification-templates - Email templates in use, with their placeholders
+router.get('/notification-templates', async (req, res) => {
+  try {
+    const templates = await listTemplates();
+
+    res.json({
+      success: true,
+      data: templates,
+      count: templates.length
+    });
+  } catch (error) {
+    console.error('Error fetching notification templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/notification-templates/:key - One email template
+router.get('/notification-templates/:key', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.key);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown notification template'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error fetching notification template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/notification-templates/:key - Replace an email template
+router.put('/notification-templates/:key', async (req, res) => {
+  try {
+    const before = await getTemplate(req.params.key);
+    const result = await saveTemplate(req.params.key, req.body, req.staff.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await recordAudit(pool, {
+      actor: actorFromRequest(req),
+      entityType: 'notification_template',
+      entityId: req.params.key,
+      action: 'updated',
+      before,
+      after: result.template
+    });
+
+    res.json({
+      success: true,
+      message: 'Template saved successfully',
+      data: result.template
+    });
+  } catch (error) {
+    console.error('Error saving notification template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/notification-templates/:key - Go back to the built-in template
+router.delete('/notification-templates/:key', async (req, res) => {
+  try {
+    const before = await getTemplate(req.params.key);
+    const result = await resetTemplate(req.params.key);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await recordAudit(pool, {
+      actor: actorFromRequest(req),
+      entityType: 'notification_template',
+      entityId: req.params.key,
+      action: 'reset',
+      before,
+      after: result.template
+    });
+
+    res.json({
+      success: true,
+      message: 'Template reset to the default',
+      data: result.template
+    });
+  } catch (error) {
+    console.error('Error resetting notification template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/promo-codes - Promo codes with how often each was used (?active=true|false)
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const promoCodes = await listPromoCodes({ active: req.query.active });
+
+    res.json({
+      success: true,
+      data: promoCodes,
+      count: promoCodes.length
+    });
+  } catch (error) {
+    console.error('Error fetching promo codes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/promo-codes - Create a promo code
+router.post('/promo-codes', async (req, res) => {
+  try {
+    const parsed = parsePromoCodeInput(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const result = await createPromoCode(parsed.values, actorFromRequest(req));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: result.promoCode
+    });
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/promo-codes/:id - Change a promo code (only the fields given)
+router.put('/promo-codes/:id', async (req, res) => {
+  try {
+    const parsed = parsePromoCodeInput(req.body, { partial: true });
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    if (Object.keys(parsed.values).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const result = await updatePromoCode(req.params.id, parsed.values, actorFromRequest(req));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: result.promoCode
+    });
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/promo-codes/:id - Delete a promo code that was never used
+router.delete('/promo-codes/:id', async (req, res) => {
+  try {
+    const result = await deletePromoCode(req.params.id, actorFromRequest(req));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting promo code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/promo-codes/:id/redemptions - Bookings that used a promo code
+router.get('/promo-codes/:id/redemptions', async (req, res) => {
+  try {
+    const promoCode = await getPromoCode(pool, req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promo code not found'
+      });
+    }
+
+    const redemptions = await getRedemptions(promoCode.id);
+
+    res.json({
+      success: true,
+      data: {
+        promo_code: promoCode,
+        redemptions
+      },
+      count: redemptions.length
+    });
+  } catch (error) {
+    console.error('Error fetching promo code redemptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/calendar/feeds - Subscribable calendar URLs (with their tokens) for all departures and each product
+router.get('/calendar/feeds', async (req, res) => {
+  try {
+    if (!isCalendarConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Calendar feeds are not configured. Set CALENDAR_FEED_SECRET in config.env'
+      });
+    }
+
+    const [products] = await pool.execute(`
+      SELECT d.product_id, MAX(p.product_name) as product_name, COUNT(*) as departures
+      FROM product_dates d
+      LEFT JOIN products p ON p.product_id = d.product_id
+      WHERE d.is_active = TRUE
+      GROUP BY d.product_id
+      ORDER BY product_name ASC, d.product_id ASC
+    `);
+
+    res.json({
+      success: true,
+      data: {
+        departures_url: departuresFeedUrl(),
+        products: products.map(product => ({
+          product_id: product.product_id,
+          product_name: product.product_name,
+          departures: Number(product.departures),
+          url: productFeedUrl(product.product_id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error listing calendar feeds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/audit - Audit log entries, newest first, filtered by entity, actor or action
+router.get('/audit', async (req, res) => {
+  try {
+    const entries = await listAuditEntries(req.query);
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      next_before_id: entries.length > 0 ? entries[entries.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/audit/:entityType/:entityId - Timeline of one booking, date range, product, ...
+router.get('/audit/:entityType/:entityId', async (req, res) => {
+  try {
+    const entries = await listAuditEntries({
+      ...req.query,
+      entity_type: req.params.entityType,
+      entity_id: req.params.entityId
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      next_before_id: entries.length > 0 ? entries[entries.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Error fetching audit timeline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/webhooks - List logged Shopify webhook deliveries
+router.get('/webhooks', async (req, res) => {
+  try {
+    const { status, topic, booking_id, limit = 50 } = req.query;
+    const limitNum = Math.min(500, Math.max(1, parseInt(limit) || 50));
+
+    let whereClause = 'WHERE 1=1';
+    const queryParams = [];
+
+    if (status) {
+      whereClause += ' AND status = ?';
+      queryParams.push(status);
+    }
+
+    if (topic) {
+      whereClause += ' AND topic = ?';
+      queryParams.push(topic);
+    }
+
+    if (booking_id) {
+      whereClause += ' AND booking_id = ?';
+      queryParams.push(booking_id);
+    }
+
+    const query = `
+      SELECT 
+        id,
+        webhook_id,
+        topic,
+        shop_domain,
+        status,
+        booking_id,
+        result_message,
+        attempts,
+        received_at,
+        processed_at
+      FROM webhook_deliveries
+      ${whereClause}
+      ORDER BY received_at DESC
+      LIMIT ?
+    `;
+
+    const [rows] = await pool.execute(query, [...queryParams, limitNum]);
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/webhooks/:deliveryId/replay - Re-run a logged webhook delivery
+router.post('/webhooks/:deliveryId/replay', async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    const [rows] = await pool.execute('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found'
+      });
+    }
+
+    if (!(await claimDelivery(rows[0].id, ['received', 'processed', 'ignored', 'failed']))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Webhook delivery is being processed; try again in a moment'
+      });
+    }
+
+    const outcome = await processDelivery(rows[0]);
+
+    await recordAudit(pool, {
+      actor: actorFromRequest(req),
+      entityType: 'webhook_delivery',
+      entityId: deliveryId,
+      action: 'replayed',
+      details: { topic: rows[0].topic, status: outcome.status, booking_id: outcome.booking_id || null }
+    });
+
+    res.json({
+      success: outcome.status !== 'failed',
+      data: outcome
+    });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
 
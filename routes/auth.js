@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const {
+  verifyPassword,
+  createSession,
+  destroySession,
+  getRequestToken,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAuth
+} = require('../services/auth');
+
+// POST /api/auth/login - Log a staff member in
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    const [rows] = await pool.execute(
+      'SELECT id, email, name, role, password_hash, is_active FROM staff_users WHERE email = ?',
+      [String(email).trim()]
+    );
+
+    const staff = rows[0];
+    const passwordMatches = staff ? await verifyPassword(password, staff.password_hash) : false;
+
+    // Same answer for unknown email, wrong password and disabled account
+    if (!staff || !passwordMatches || !staff.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    const token = await createSession(staff.id);
+    await pool.execute('UPDATE staff_users SET last_login_at = NOW() WHERE id = ?', [staff.id]);
+
+    setSessionCookie(req, res, token);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        staff: {
+          id: staff.id,
+          email: staff.email,
+          name: staff.name,
+          role: staff.role
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', async (req, res) => {
+  try {
+    await destroySession(getRequestToken(req));
+    clearSessionCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/auth/me - Current staff member
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.staff
+  });
+});
+
+module.exports = router;
@@ -1,7 +1,43 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { createCheckout, isShopifyConfigured } = require('../config/shopify');
-const { pool } = require('../config/database');
+const { pool, withTransaction } = require('../config/database');
+const { isIsoDate, reserveSeats } = require('../services/seats');
+const { getHoldMinutes, startHold } = require('../services/holds');
+const { requireAuth, requireRole } = require('../services/auth');
+const { previewCancellation, cancelBooking, issueRefunds } = require('../services/cancellations');
+const { joinWaitlist, getOffer, offerToHtml, claimOffer, offerFreedSeatsSafely } = require('../services/waitlist');
+const { notifyBooking, formatMoney } = require('../services/notifications');
+const {
+  BookingChangeError,
+  parseBookingChanges,
+  applyBookingChanges,
+  arrangeRevisionPayment,
+  getRevisions
+} = require('../services/revisions');
+const {
+  getUnitPrice,
+  getDeparturePricing,
+  countChildren,
+  calculateQuote,
+  saveBookingQuote,
+  getBookingQuote
+} = require('../services/pricing');
+const { actorFromRequest, loadEntity, recordAudit } = require('../services/audit');
+const { parseTravelers, getTravelers, saveTravelers, updateBookingTravelers, syncTravelerAttributes } = require('../services/travelers');
+const { checkPromoCode, redeemPromoCode } = require('../services/promo-codes');
+
+// Thrown inside the create transaction when the booking cannot be completed
+// after its seats (and promo code) were locked, so the whole reservation
+// rolls back. `result` is the { success: false, status, error } to answer with.
+class BookingCreateError extends Error {
+  constructor(result) {
+    super(result.error);
+    this.name = 'BookingCreateError';
+    this.result = result;
+  }
+}
 
 // Validation middleware
 const validateBookingData = (req, res, next) => {
@@ -49,9 +85,80 @@ const validateBookingData = (req, res, next) => {
     });
   }
 
+  if (!booking_dates.every(isIsoDate)) {
+    return res.status(400).json({
+      success: false,
+      error: 'booking_dates must contain dates in YYYY-MM-DD format'
+    });
+  }
+
+  // Validate quantity when provided
+  const { quantity } = req.body;
+  if (quantity !== undefined && (!Number.isInteger(Number(quantity)) || Number(quantity) < 1)) {
+    return res.status(400).json({
+      success: false,
+      error: 'quantity must be a positive integer'
+    });
+  }
+
   next();
 };
 
+// children is optional; when given it is how many of the quantity are priced as children
+function isValidChildCount(children, quantity) {
+  if (children === undefined || children === null) {
+    return true;
+  }
+  return Number.isInteger(Number(children)) && Number(children) >= 0 && Number(children) <= quantity;
+}
+
+// Public routes price children only by the travelers' dates of birth, so a
+// customer cannot claim child prices for adults. A `children` count that the
+// dates of birth contradict is rejected; returns the error or null. Without a
+// product_date_id the departure is only known once seats are reserved, and
+// `children` is then ignored like any other count the dates of birth decide.
+async function checkClaimedChildren(children, travelers, productDateId) {
+  if (children === undefined || children === null || !productDateId) {
+    return null;
+  }
+
+  // An unknown departure is reported by the quote
+  const departure = await getDeparturePricing(pool, productDateId);
+  if (!departure) {
+    return null;
+  }
+
+  return countChildren(travelers, departure.start_date, departure.pricing) === Number(children)
+    ? null
+    : "children must match the travelers' dates of birth";
+}
+
+// Create the Shopify payment link of a new booking and store it on the booking.
+// A failed checkout is only logged: the booking keeps its seat reservation.
+async function attachCheckout(bookingData) {
+  let checkoutResult = { success: true, checkout_id: null, checkout_url: null, draft_order_id: null };
+
+  // Only use Shopify if configured
+  if (isShopifyConfigured()) {
+    // Create Shopify payment link (no product/variant validation)
+    checkoutResult = await createCheckout(bookingData);
+
+    if (!checkoutResult.success) {
+      // Log error but keep the booking and its seat reservation
+      console.warn('⚠️  Failed to create Shopify checkout:', checkoutResult.error);
+    } else {
+      await pool.execute(
+        'UPDATE booking_orders SET shopify_checkout_id = ?, shopify_checkout_url = ?, shopify_draft_order_id = ? WHERE id = ?',
+        [checkoutResult.checkout_id, checkoutResult.checkout_url, checkoutResult.draft_order_id, bookingData.booking_id]
+      );
+    }
+  } else {
+    console.log('⚠️  Shopify not configured - creating booking without checkout');
+  }
+
+  return checkoutResult;
+}
+
 // POST /api/booking/create - Create booking with Shopify checkout
 router.post('/create', validateBookingData, async (req, res) => {
   try {
@@ -63,41 +170,49 @@ router.post('/create', validateBookingData, async (req, res) => {
       email,
       product_id,
       variant_id,
-      quantity = 1
+      product_date_id,
+      quantity = 1,
+      children,
+      travelers,
+      promo_code
     } = req.body;
 
-    let checkoutResult = { success: true, checkout_id: null, checkout_url: null };
+    const seatCount = Number(quantity);
+    const hasPromoCode = promo_code !== undefined && promo_code !== null && String(promo_code).trim() !== '';
 
-    // Only use Shopify if configured
-    if (isShopifyConfigured()) {
-      // Create Shopify checkout (no product/variant validation)
-      checkoutResult = await createCheckout({
-        booking_dates,
-        first_name,
-        last_name,
-        phone_number,
-        email,
-        product_id,
-        variant_id,
-        quantity
+    if (!isValidChildCount(children, seatCount)) {
+      return res.status(400).json({
+        success: false,
+        error: 'children must be a whole number from 0 to quantity'
       });
+    }
 
-      if (!checkoutResult.success) {
-        // Log error but continue with booking creation
-        console.warn('⚠️  Failed to create Shopify checkout:', checkoutResult.error);
+    // Passenger details are optional at checkout, but when given there must be one per seat
+    let parsedTravelers = [];
+    if (travelers !== undefined && travelers !== null) {
+      const travelerResult = parseTravelers(travelers, seatCount);
+      if (!travelerResult.success) {
+        return res.status(400).json({
+          success: false,
+          error: travelerResult.error
+        });
       }
-    } else {
-      console.log('⚠️  Shopify not configured - creating booking without checkout');
+      parsedTravelers = travelerResult.travelers;
     }
 
-    // Auto-create product if it doesn't exist
+    const childError = await checkClaimedChildren(children, parsedTravelers, product_date_id);
+    if (childError) {
+      return res.status(400).json({
+        success: false,
+        error: childError
+      });
+    }
+
+    // Auto-create product if it doesn't exist; a mirrored product is left untouched
     try {
       const productQuery = `
-        INSERT INTO products (product_id, variant_id, product_name, variant_name)
+        INSERT IGNORE INTO products (product_id, variant_id, product_name, variant_name)
         VALUES (?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          variant_id = VALUES(variant_id),
-          updated_at = CURRENT_TIMESTAMP
       `;
       await pool.execute(productQuery, [
         product_id,
@@ -109,35 +224,156 @@ router.post('/create', validateBookingData, async (req, res) => {
       console.warn('Could not auto-create product:', error.message);
     }
 
-    // Store booking data in database
-    const insertQuery = `
-      INSERT INTO booking_orders 
-      (booking_dates, first_name, last_name, phone_number, email, product_id, variant_id, quantity, shopify_checkout_id, shopify_checkout_url)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
+    // Looked up before the transaction so no Shopify call happens while seats are locked
+    const variantPrice = await getUnitPrice(variant_id);
+
+    // Reserve seats on the departure and store the booking in one transaction.
+    // The product_dates row stays locked until commit, so concurrent requests
+    // for the last seats are serialized and only one of them can succeed.
+    const reservation = await withTransaction(async (connection) => {
+      // The code stays locked until commit, so its last use can only be taken once
+      let promo = null;
+      if (hasPromoCode) {
+        const promoResult = await checkPromoCode(connection, promo_code, {
+          productId: product_id,
+          quantity: seatCount,
+          email,
+          forUpdate: true
+        });
+        if (!promoResult.success) {
+          return promoResult;
+        }
+        promo = promoResult.promo;
+      }
+
+      const seatResult = await reserveSeats(connection, {
+        product_id,
+        product_date_id,
+        booking_dates,
+        quantity: seatCount
+      });
+
+      if (!seatResult.success) {
+        return seatResult;
+      }
+
+      // Price the party with the departure's pricing rules; without a known
+      // price the booking is charged the variant price at checkout as before.
+      // A promo code needs a quoted price to take its discount from.
+      const quoted = await calculateQuote(connection, {
+        productDateId: seatResult.productDate.id,
+        variantPrice,
+        quantity: seatCount,
+        travelers: parsedTravelers,
+        promo
+      });
+      if (!quoted.success && promo) {
+        throw new BookingCreateError({ success: false, status: quoted.status, error: quoted.error });
+      }
+
+      const insertQuery = `
+        INSERT INTO booking_orders 
+        (booking_dates, first_name, last_name, phone_number, email, product_id, variant_id, product_date_id, quantity)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const [result] = await connection.execute(insertQuery, [
+        JSON.stringify(booking_dates),
+        first_name,
+        last_name,
+        phone_number,
+        email,
+        product_id,
+        variant_id,
+        seatResult.productDate.id,
+        seatCount
+      ]);
+
+      // Seats are only held until the checkout is paid or the hold expires
+      const holdMinutes = await getHoldMinutes(connection, product_id);
+      const holdExpiresAt = await startHold(connection, result.insertId, holdMinutes);
+
+      const savedTravelers = await saveTravelers(connection, result.insertId, parsedTravelers);
+
+      if (quoted.success) {
+        await saveBookingQuote(connection, result.insertId, quoted.quote);
+      } else {
+        console.warn(`⚠️  Booking ${result.insertId} was not quoted:`, quoted.error);
+      }
+
+      if (promo) {
+        const promoDiscount = quoted.quote.discounts.find(discount => discount.type === 'promo');
+        await redeemPromoCode(connection, promo, result.insertId, email, promoDiscount.amount);
+      }
+
+      await recordAudit(connection, {
+        actor: actorFromRequest(req),
+        entityType: 'booking',
+        entityId: result.insertId,
+        action: 'created',
+        after: { ...await loadEntity(connection, 'booking', result.insertId), travelers: savedTravelers },
+        details: promo ? { promo_code: promo.code } : null
+      });
+
+      return {
+        success: true,
+        booking_id: result.insertId,
+        productDate: seatResult.productDate,
+        hold_expires_at: holdExpiresAt,
+        quote: quoted.success ? quoted.quote : null
+      };
+    }).catch(error => {
+      if (error instanceof BookingCreateError) {
+        return error.result;
+      }
+      throw error;
+    });
+
+    if (!reservation.success) {
+      const errorResponse = {
+        success: false,
+        error: reservation.error
+      };
+      if (reservation.remaining_seats !== undefined) {
+        errorResponse.remaining_seats = reservation.remaining_seats;
+      }
+      if (reservation.reason !== undefined) {
+        errorResponse.reason = reservation.reason;
+      }
+      return res.status(reservation.status).json(errorResponse);
+    }
 
-    const [result] = await pool.execute(insertQuery, [
-      JSON.stringify(booking_dates),
+    const checkoutResult = await attachCheckout({
+      booking_id: reservation.booking_id,
+      booking_dates,
       first_name,
       last_name,
       phone_number,
       email,
       product_id,
       variant_id,
-      quantity,
-      checkoutResult.checkout_id,
-      checkoutResult.checkout_url
-    ]);
+      quantity: seatCount,
+      travelers: parsedTravelers,
+      price_quote: reservation.quote
+    });
+
+    await notifyBooking('booking_confirmation', reservation.booking_id);
 
     res.status(201).json({
       success: true,
       message: 'Booking created successfully',
       data: {
-        booking_id: result.insertId,
+        booking_id: reservation.booking_id,
         checkout_url: checkoutResult.checkout_url,
         checkout_id: checkoutResult.checkout_id,
+        draft_order_id: checkoutResult.draft_order_id,
         product_id: product_id,
-        variant_id: variant_id
+        variant_id: variant_id,
+        product_date_id: reservation.productDate.id,
+        remaining_seats: reservation.productDate.available_seats - reservation.productDate.booked_seats,
+        hold_expires_at: reservation.hold_expires_at,
+        quoted_price: reservation.quote ? reservation.quote.total : null,
+        price_breakdown: reservation.quote
       }
     });
 
@@ -151,12 +387,399 @@ router.post('/create', validateBookingData, async (req, res) => {
   }
 });
 
+// POST /api/booking/waitlist - Join the waitlist of a sold-out departure
+router.post('/waitlist', validateBookingData, async (req, res) => {
+  try {
+    const {
+      booking_dates,
+      first_name,
+      last_name,
+      phone_number,
+      email,
+      product_id,
+      variant_id,
+      product_date_id,
+      quantity = 1
+    } = req.body;
+
+    if (!product_date_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'product_date_id is required'
+      });
+    }
+
+    const result = await withTransaction(async (connection) => {
+      const joined = await joinWaitlist(connection, {
+        product_id,
+        variant_id,
+        product_date_id,
+        booking_dates,
+        first_name,
+        last_name,
+        phone_number,
+        email,
+        quantity: Number(quantity)
+      });
+
+      if (joined.success) {
+        await recordAudit(connection, {
+          actor: actorFromRequest(req),
+          entityType: 'waitlist_entry',
+          entityId: joined.entry.id,
+          action: 'created',
+          after: await loadEntity(connection, 'waitlist_entry', joined.entry.id)
+        });
+      }
+
+      return joined;
+    });
+
+    if (!result.success) {
+      const errorResponse = {
+        success: false,
+        error: result.error
+      };
+      if (result.remaining_seats !== undefined) {
+        errorResponse.remaining_seats = result.remaining_seats;
+      }
+      return res.status(result.status).json(errorResponse);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist. We will email a claim link when seats become available.',
+      data: result.entry
+    });
+
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Claim a waitlist offer: the held seats become a pending booking with a payment link
+async function handleClaim(req, res, redirect) {
+  try {
+    const result = await claimOffer(req.params.token, actorFromRequest(req));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const { booking } = result;
+    let checkoutUrl = booking.shopify_checkout_url;
+
+    if (!result.already_claimed) {
+      // Claimed seats are priced like any new booking on the departure
+      const quoted = await calculateQuote(pool, {
+        productDateId: booking.product_date_id,
+        variantPrice: await getUnitPrice(booking.variant_id),
+        quantity: booking.quantity,
+        children: 0
+      });
+      if (quoted.success) {
+        await saveBookingQuote(pool, booking.id, quoted.quote);
+      }
+
+      const checkoutResult = await attachCheckout({
+        booking_id: booking.id,
+        booking_dates: typeof booking.booking_dates === 'string' ? JSON.parse(booking.booking_dates) : booking.booking_dates,
+        first_name: booking.first_name,
+        last_name: booking.last_name,
+        phone_number: booking.phone_number,
+        email: booking.email,
+        product_id: booking.product_id,
+        variant_id: booking.variant_id,
+        quantity: booking.quantity,
+        price_quote: quoted.success ? quoted.quote : null
+      });
+      checkoutUrl = checkoutResult.checkout_url;
+      await notifyBooking('booking_confirmation', booking.id);
+    }
+
+    // The offer page's form goes straight to payment
+    if (redirect && checkoutUrl && booking.status === 'pending') {
+      return res.redirect(checkoutUrl);
+    }
+
+    res.status(result.already_claimed ? 200 : 201).json({
+      success: true,
+      message: result.already_claimed ? 'This offer was already claimed' : 'Waitlist offer claimed',
+      data: {
+        booking_id: booking.id,
+        status: booking.status,
+        checkout_url: checkoutUrl,
+        product_date_id: booking.product_date_id,
+        quantity: booking.quantity,
+        hold_expires_at: booking.hold_expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Error claiming waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+// GET /api/booking/waitlist/claim/:token - Claim link from the offer email; shows the offer without claiming it
+router.get('/waitlist/claim/:token', async (req, res) => {
+  try {
+    const result = await getOffer(req.params.token);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const { offer } = result;
+    res.status(offer.lapsed && !offer.claimed ? 410 : 200)
+      .type('html')
+      .send(offerToHtml(offer));
+
+  } catch (error) {
+    console.error('Error loading waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/booking/waitlist/claim/:token - Claim an offer. The offer page's form
+// (redirect=true) goes on to payment; other callers get the payment link as JSON.
+router.post('/waitlist/claim/:token', (req, res) => handleClaim(req, res, Boolean(req.body && req.body.redirect === 'true')));
+
+// Availability settings for the public storefront endpoint
+const getAvailabilityConfig = () => ({
+  lowAvailabilityThreshold: parseInt(process.env.LOW_AVAILABILITY_THRESHOLD) || 5,
+  hideSeatCounts: process.env.AVAILABILITY_HIDE_SEAT_COUNTS === 'true',
+  cacheSeconds: parseInt(process.env.AVAILABILITY_CACHE_SECONDS) || 60,
+  maxWindowDays: 366
+});
+
+// POST /api/booking/quote - Itemised price of a party on a departure (public)
+router.post('/quote', async (req, res) => {
+  try {
+    const { product_id, variant_id, product_date_id, quantity = 1, children, travelers, promo_code, email } = req.body;
+
+    if (!product_id || !variant_id || !product_date_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required_fields: ['product_id', 'variant_id', 'product_date_id']
+      });
+    }
+
+    const seatCount = Number(quantity);
+    if (!Number.isInteger(seatCount) || seatCount < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'quantity must be a positive integer'
+      });
+    }
+
+    if (!isValidChildCount(children, seatCount)) {
+      return res.status(400).json({
+        success: false,
+        error: 'children must be a whole number from 0 to quantity'
+      });
+    }
+
+    // Dates of birth of the travelers decide who is a child
+    let parsedTravelers = [];
+    if (travelers !== undefined && travelers !== null) {
+      const travelerResult = parseTravelers(travelers, seatCount);
+      if (!travelerResult.success) {
+        return res.status(400).json({
+          success: false,
+          error: travelerResult.error
+        });
+      }
+      parsedTravelers = travelerResult.travelers;
+    }
+
+    const childError = await checkClaimedChildren(children, parsedTravelers, product_date_id);
+    if (childError) {
+      return res.status(400).json({
+        success: false,
+        error: childError
+      });
+    }
+
+    // The per-email limit of a code is only checked when the email is given
+    let promo = null;
+    if (promo_code !== undefined && promo_code !== null && String(promo_code).trim() !== '') {
+      const promoResult = await checkPromoCode(pool, promo_code, {
+        productId: product_id,
+        quantity: seatCount,
+        email: typeof email === 'string' && email.trim() !== '' ? email : null
+      });
+      if (!promoResult.success) {
+        return res.status(promoResult.status).json({
+          success: false,
+          error: promoResult.error,
+          reason: promoResult.reason
+        });
+      }
+      promo = promoResult.promo;
+    }
+
+    const result = await calculateQuote(pool, {
+      productId: product_id,
+      productDateId: product_date_id,
+      variantPrice: await getUnitPrice(variant_id),
+      quantity: seatCount,
+      travelers: parsedTravelers,
+      promo
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.quote
+    });
+
+  } catch (error) {
+    console.error('Error calculating quote:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/booking/availability - Public departure availability for storefront calendars
+router.get('/availability', async (req, res) => {
+  try {
+    const { product_id, variant_id, from, to } = req.query;
+    const config = getAvailabilityConfig();
+
+    if (!product_id || !/^\d+$/.test(String(product_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'product_id is required'
+      });
+    }
+
+    if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates in YYYY-MM-DD format'
+      });
+    }
+
+    // Default window: today until maxWindowDays ahead
+    const windowStart = from || new Date().toISOString().slice(0, 10);
+    const windowEnd = to || new Date(Date.parse(windowStart) + config.maxWindowDays * 86400000).toISOString().slice(0, 10);
+
+    if (windowEnd < windowStart) {
+      return res.status(400).json({
+        success: false,
+        error: 'to must be on or after from'
+      });
+    }
+
+    if ((Date.parse(windowEnd) - Date.parse(windowStart)) / 86400000 > config.maxWindowDays) {
+      return res.status(400).json({
+        success: false,
+        error: `Date window cannot exceed ${config.maxWindowDays} days`
+      });
+    }
+
+    // Ranges overlapping the window
+    const query = `
+      SELECT 
+        id,
+        DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+        DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+        available_seats,
+        booked_seats
+      FROM product_dates
+      WHERE product_id = ?
+      AND is_active = TRUE
+      AND end_date >= ?
+      AND start_date <= ?
+      ORDER BY start_date ASC, id ASC
+    `;
+
+    const [rows] = await pool.execute(query, [product_id, windowStart, windowEnd]);
+
+    const departures = rows.map(range => {
+      const remainingSeats = Math.max(0, range.available_seats - range.booked_seats);
+      const departure = {
+        product_date_id: range.id,
+        start_date: range.start_date,
+        end_date: range.end_date,
+        remaining_seats: remainingSeats,
+        sold_out: remainingSeats === 0,
+        low_availability: remainingSeats > 0 && remainingSeats <= config.lowAvailabilityThreshold
+      };
+
+      if (!config.hideSeatCounts) {
+        departure.available_seats = range.available_seats;
+        departure.booked_seats = range.booked_seats;
+      }
+
+      return departure;
+    });
+
+    const body = {
+      success: true,
+      data: {
+        product_id: String(product_id),
+        variant_id: variant_id ? String(variant_id) : null,
+        from: windowStart,
+        to: windowEnd,
+        departures
+      },
+      count: departures.length
+    };
+
+    // Strong ETag over the payload; Express answers 304 when If-None-Match matches
+    const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64')}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', `public, max-age=${config.cacheSeconds}`);
+
+    res.json(body);
+
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/booking/:id - Get specific booking details
 router.get('/:id', async (req, res) => {
   try {
     const bookingId = req.params.id;
 
-    const query = 'SELECT * FROM booking_orders WHERE id = ?';
+    const query = 'SELECT * FROM booking_orders WHERE id = ? AND deleted_at IS NULL';
     const [rows] = await pool.execute(query, [bookingId]);
 
     if (rows.length === 0) {
@@ -168,6 +791,7 @@ router.get('/:id', async (req, res) => {
 
     const booking = rows[0];
     booking.booking_dates = JSON.parse(booking.booking_dates);
+    booking.price_breakdown = getBookingQuote(booking);
 
     res.json({
       success: true,
@@ -184,29 +808,422 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// PUT /api/booking/:id/status - Update booking status
-router.put('/:id/status', async (req, res) => {
+// One "field: old -> new" line per changed field, for the change email
+function describeChanges(changes) {
+  const format = value => (Array.isArray(value) ? value.join(', ') : value);
+  return Object.entries(changes)
+    .map(([field, change]) => `${field.replace(/_/g, ' ')}: ${format(change.from)} -> ${format(change.to)}`)
+    .join('\n');
+}
+
+// PATCH /api/booking/:id - Reschedule, resize or update contact details (staff only)
+router.patch('/:id', requireAuth, requireRole('operator'), async (req, res) => {
   try {
-    const bookingId = req.params.id;
-    const { status } = req.body;
+    const parsed = parseBookingChanges(req.body);
 
-    if (!['pending', 'completed', 'cancelled'].includes(status)) {
+    if (!parsed.success) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Must be: pending, completed, or cancelled'
+        error: parsed.error
       });
     }
 
-    const updateQuery = 'UPDATE booking_orders SET status = ?, updated_at = NOW() WHERE id = ?';
-    const [result] = await pool.execute(updateQuery, [status, bookingId]);
+    const [bookings] = await pool.execute('SELECT variant_id, quantity FROM booking_orders WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
 
-    if (result.affectedRows === 0) {
+    if (bookings.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'Booking not found'
       });
     }
 
+    // Stored travelers must keep matching the quantity: a resize either brings
+    // the new passenger list or applies to a booking without one
+    const newQuantity = parsed.changes.quantity !== undefined ? parsed.changes.quantity : bookings[0].quantity;
+    let newTravelers = null;
+    if (req.body.travelers !== undefined) {
+      const travelerResult = parseTravelers(req.body.travelers, newQuantity);
+      if (!travelerResult.success) {
+        return res.status(400).json({
+          success: false,
+          error: travelerResult.error
+        });
+      }
+      newTravelers = travelerResult.travelers;
+    } else if (newQuantity !== bookings[0].quantity) {
+      const storedTravelers = await getTravelers(pool, req.params.id);
+      if (storedTravelers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `This booking lists its travelers: send travelers for all ${newQuantity} seats with the new quantity`
+        });
+      }
+    }
+
+    // Looked up before the transaction so no Shopify call happens while seats are locked
+    const seatsChange = ['quantity', 'product_date_id', 'booking_dates'].some(field => parsed.changes[field] !== undefined);
+    const unitPrice = seatsChange ? await getUnitPrice(bookings[0].variant_id) : null;
+
+    // A change that cannot take its new seats throws, rolling back the release of the old ones
+    const result = await withTransaction(async (connection) => {
+      const before = await loadEntity(connection, 'booking', req.params.id, { forUpdate: true });
+      const travelersBefore = newTravelers ? await getTravelers(connection, req.params.id) : null;
+
+      const changed = await applyBookingChanges(connection, req.params.id, {
+        changes: parsed.changes,
+        note: parsed.note,
+        staffId: req.staff.id,
+        unitPrice
+      });
+
+      if (changed.success) {
+        const after = await loadEntity(connection, 'booking', req.params.id);
+        const travelersAfter = newTravelers ? await saveTravelers(connection, req.params.id, newTravelers) : null;
+
+        await recordAudit(connection, {
+          actor: actorFromRequest(req),
+          entityType: 'booking',
+          entityId: req.params.id,
+          action: 'changed',
+          before: newTravelers ? { ...before, travelers: travelersBefore } : before,
+          after: newTravelers ? { ...after, travelers: travelersAfter } : after,
+          details: { revision_number: changed.revision.revision_number, note: parsed.note || null }
+        });
+      }
+
+      return changed;
+    }).catch(error => {
+      if (error instanceof BookingChangeError) {
+        return error.result;
+      }
+      throw error;
+    });
+
+    if (!result.success) {
+      const errorResponse = {
+        success: false,
+        error: result.error
+      };
+      if (result.remaining_seats !== undefined) {
+        errorResponse.remaining_seats = result.remaining_seats;
+      }
+      return res.status(result.status).json(errorResponse);
+    }
+
+    // Seats given up by a move or a smaller party go to the waitlist
+    const { previous_product_date_id: previousDateId, previous_quantity: previousQuantity } = result.revision;
+    if (previousDateId && (previousDateId !== result.booking.product_date_id || result.booking.quantity < previousQuantity)) {
+      await offerFreedSeatsSafely(previousDateId);
+    }
+
+    const payment = await arrangeRevisionPayment(result.booking, result.revision);
+
+    await notifyBooking('booking_changed', result.booking.id, {
+      changes: describeChanges(result.revision.changes),
+      price_difference: formatMoney(result.revision.price_difference),
+      payment_url: payment.payment_url
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking updated successfully',
+      data: {
+        booking_id: result.booking.id,
+        status: result.booking.status,
+        product_date_id: result.booking.product_date_id,
+        booking_dates: result.booking.booking_dates,
+        quantity: result.booking.quantity,
+        hold_expires_at: result.booking.hold_expires_at,
+        remaining_seats: result.productDate
+          ? result.productDate.available_seats - result.productDate.booked_seats
+          : undefined,
+        revision: {
+          ...result.revision,
+          payment_status: payment.payment_status
+        },
+        price_difference: result.revision.price_difference,
+        quoted_price: result.booking.quoted_price,
+        payment_url: payment.payment_url,
+        checkout_url: result.booking.status === 'pending' && payment.payment_url
+          ? payment.payment_url
+          : result.booking.shopify_checkout_url
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating booking:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/booking/:id/revisions - Change history of a booking (staff only)
+router.get('/:id/revisions', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const revisions = await getRevisions(req.params.id);
+
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching booking revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/booking/:id/travelers - Passenger details of a booking (staff only)
+router.get('/:id/travelers', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const [bookings] = await pool.execute(
+      'SELECT id, quantity FROM booking_orders WHERE id = ? AND deleted_at IS NULL',
+      [req.params.id]
+    );
+
+    if (bookings.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    const travelers = await getTravelers(pool, req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        booking_id: bookings[0].id,
+        quantity: bookings[0].quantity,
+        travelers
+      },
+      count: travelers.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching booking travelers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/booking/:id/travelers - Replace the passenger details of a booking (staff only)
+router.put('/:id/travelers', requireAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const result = await updateBookingTravelers(req.params.id, req.body.travelers, actorFromRequest(req));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const sync = await syncTravelerAttributes(result.booking, result.travelers);
+
+    res.json({
+      success: true,
+      message: 'Travelers updated successfully',
+      data: {
+        booking_id: result.booking.id,
+        quantity: result.booking.quantity,
+        travelers: result.travelers,
+        shopify_synced: sync.synced
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating booking travelers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/booking/:id/cancellation - Policy outcome of cancelling now, or the recorded cancellation (staff only)
+router.get('/:id/cancellation', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await previewCancellation(req.params.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      cancelled: result.cancelled,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Error previewing cancellation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/booking/:id/cancel - Cancel, release seats and refund per policy (staff only)
+router.post('/:id/cancel', requireAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'reason is required'
+      });
+    }
+
+    const result = await cancelBooking(req.params.id, { reason, staffId: req.staff.id, actor: actorFromRequest(req) });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: ['pending', 'refunding', 'failed', 'partial'].includes(result.cancellation.refund_status)
+        ? 'Booking cancelled, but the refund did not fully go through'
+        : 'Booking cancelled successfully',
+      data: result.cancellation
+    });
+
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/booking/:id/cancellation/refund - Retry refunds that failed (staff only)
+router.post('/:id/cancellation/refund', requireAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const result = await issueRefunds(req.params.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await recordAudit(pool, {
+      actor: actorFromRequest(req),
+      entityType: 'booking',
+      entityId: req.params.id,
+      action: 'refund_retried',
+      details: {
+        refund_status: result.cancellation.refund_status,
+        refund_amount: result.cancellation.refund_amount
+      }
+    });
+
+    res.json({
+      success: true,
+      data: result.cancellation
+    });
+
+  } catch (error) {
+    console.error('Error retrying refund:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/booking/:id/status - Update booking status (staff only)
+router.put('/:id/status', requireAuth, requireRole('operator'), async (req, res) => {
+  try {
+    const bookingId = req.params.id;
+    const { status } = req.body;
+
+    // Cancelling releases seats and refunds, which a bare status change would skip
+    if (status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        error: 'Use POST /api/booking/:id/cancel to cancel a booking'
+      });
+    }
+
+    if (!['pending', 'completed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Must be: pending or completed'
+      });
+    }
+
+    const result = await withTransaction(async (connection) => {
+      const before = await loadEntity(connection, 'booking', bookingId, { forUpdate: true });
+      if (!before) {
+        return { success: false, status: 404, error: 'Booking not found' };
+      }
+
+      // Expired and cancelled bookings gave their seats back; moving them to a
+      // seat-holding status here would not reserve them again
+      if (!['pending', 'completed'].includes(before.status)) {
+        return {
+          success: false,
+          status: 409,
+          error: `A ${before.status} booking cannot change status; create a new booking instead`
+        };
+      }
+
+      // A paid booking holds its seats for good; a pending one gets a fresh hold,
+      // so a booking moved back from completed is not expired on a stale hold
+      await connection.execute(
+        'UPDATE booking_orders SET status = ?, hold_expires_at = NULL, updated_at = NOW() WHERE id = ?',
+        [status, bookingId]
+      );
+      if (status === 'pending') {
+        await startHold(connection, bookingId, await getHoldMinutes(connection, before.product_id));
+      }
+
+      await recordAudit(connection, {
+        actor: actorFromRequest(req),
+        entityType: 'booking',
+        entityId: bookingId,
+        action: 'status_changed',
+        before,
+        after: await loadEntity(connection, 'booking', bookingId)
+      });
+
+      return { success: true };
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
     res.json({
       success: true,
       message: 'Booking status updated successfully'
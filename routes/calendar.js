@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const { isCalendarConfigured, verifyFeedToken, departuresCalendar, bookingCalendar } = require('../services/calendar');
+
+// Public iCalendar feeds. They need no staff login: every URL carries the
+// token of its feed instead (see services/calendar.js).
+
+function sendCalendar(res, filename, content) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(content);
+}
+
+// Rejects requests when feeds are off or the token does not match the scope; returns true when it answered
+function rejectFeedRequest(req, res, scope) {
+  if (!isCalendarConfigured()) {
+    res.status(503).json({
+      success: false,
+      error: 'Calendar feeds are not configured'
+    });
+    return true;
+  }
+
+  if (!verifyFeedToken(scope, req.query.token)) {
+    res.status(403).json({
+      success: false,
+      error: 'Invalid calendar token'
+    });
+    return true;
+  }
+
+  return false;
+}
+
+// GET /api/calendar/departures.ics - Active departures of every product
+router.get('/departures.ics', async (req, res) => {
+  try {
+    if (rejectFeedRequest(req, res, 'departures')) {
+      return;
+    }
+
+    sendCalendar(res, 'departures.ics', await departuresCalendar());
+  } catch (error) {
+    console.error('Error building departures calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/calendar/products/:productId.ics - Active departures of one product
+router.get('/products/:productId.ics', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    if (rejectFeedRequest(req, res, `product:${productId}`)) {
+      return;
+    }
+
+    const content = await departuresCalendar({ productId });
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product has no departures'
+      });
+    }
+
+    sendCalendar(res, `product-${productId}.ics`, content);
+  } catch (error) {
+    console.error('Error building product calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/calendar/bookings/:bookingId.ics - Calendar file of one booking (linked from its emails)
+router.get('/bookings/:bookingId.ics', async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    if (rejectFeedRequest(req, res, `booking:${bookingId}`)) {
+      return;
+    }
+
+    const calendar = await bookingCalendar(bookingId);
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    sendCalendar(res, calendar.filename, calendar.content);
+  } catch (error) {
+    console.error('Error building booking calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
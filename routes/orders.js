@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
+const { requireRole } = require('../services/auth');
+const { actorFromRequest } = require('../services/audit');
+const { csvField } = require('../services/csv');
+const { getPurgeDays, deletedFilter, softDeleteOrder, restoreOrder } = require('../services/order-trash');
 
 // GET /api/orders - Get all orders with pagination and filtering
 router.get('/', async (req, res) => {
@@ -14,7 +18,8 @@ router.get('/', async (req, res) => {
       start_date,
       end_date,
       sort_by = 'created_at',
-      sort_order = 'DESC'
+      sort_order = 'DESC',
+      include_deleted
     } = req.query;
 
     // Validate pagination parameters
@@ -22,8 +27,8 @@ router.get('/', async (req, res) => {
     const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
     const offset = (pageNum - 1) * limitNum;
 
-    // Build WHERE clause for filtering
-    let whereClause = 'WHERE 1=1';
+    // Build WHERE clause for filtering; deleted orders are hidden unless asked for
+    let whereClause = `WHERE 1=1${deletedFilter(include_deleted)}`;
     const queryParams = [];
 
     if (status) {
@@ -72,12 +77,17 @@ router.get('/', async (req, res) => {
         email,
         product_id,
         variant_id,
+        product_date_id,
         quantity,
         shopify_checkout_id,
         shopify_checkout_url,
+        shopify_draft_order_id,
         status,
+        hold_expires_at,
         created_at,
-        updated_at
+        updated_at,
+        deleted_at,
+        deleted_by
       FROM booking_orders 
       ${whereClause}
       ORDER BY ${sortField} ${sortDirection}
@@ -125,16 +135,20 @@ router.get('/', async (req, res) => {
 // GET /api/orders/stats - Get order statistics
 router.get('/stats', async (req, res) => {
   try {
+    const whereClause = `WHERE 1=1${deletedFilter(req.query.include_deleted)}`;
+
     const statsQuery = `
       SELECT 
         COUNT(*) as total_orders,
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_orders,
         COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_orders,
         COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_orders,
+        COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired_orders,
         COUNT(CASE WHEN DATE(created_at) = CURDATE() THEN 1 END) as today_orders,
         COUNT(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 END) as week_orders,
         COUNT(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 END) as month_orders
       FROM booking_orders
+      ${whereClause}
     `;
 
     const [stats] = await pool.execute(statsQuery);
@@ -145,6 +159,7 @@ router.get('/stats', async (req, res) => {
         product_id,
         COUNT(*) as order_count
       FROM booking_orders
+      ${whereClause}
       GROUP BY product_id
       ORDER BY order_count DESC
       LIMIT 10
@@ -171,16 +186,17 @@ router.get('/stats', async (req, res) => {
 });
 
 // GET /api/orders/export - Export orders to CSV
-router.get('/export', async (req, res) => {
+router.get('/export', requireRole('operator'), async (req, res) => {
   try {
     const {
       status,
       start_date,
-      end_date
+      end_date,
+      include_deleted
     } = req.query;
 
     // Build WHERE clause for filtering
-    let whereClause = 'WHERE 1=1';
+    let whereClause = `WHERE 1=1${deletedFilter(include_deleted)}`;
     const queryParams = [];
 
     if (status) {
@@ -208,6 +224,7 @@ router.get('/export', async (req, res) => {
         email,
         product_id,
         variant_id,
+        product_date_id,
         quantity,
         shopify_checkout_id,
         status,
@@ -221,25 +238,26 @@ router.get('/export', async (req, res) => {
     const [rows] = await pool.execute(query, queryParams);
 
     // Convert to CSV format
-    const csvHeader = 'ID,Booking Dates,First Name,Last Name,Phone,Email,Product ID,Variant ID,Quantity,Checkout ID,Status,Created At,Updated At\n';
+    const csvHeader = 'ID,Booking Dates,First Name,Last Name,Phone,Email,Product ID,Variant ID,Departure ID,Quantity,Checkout ID,Status,Created At,Updated At\n';
     
     const csvData = rows.map(row => {
       const bookingDates = JSON.parse(row.booking_dates).join(';');
       return [
         row.id,
-        `"${bookingDates}"`,
-        `"${row.first_name}"`,
-        `"${row.last_name}"`,
-        `"${row.phone_number}"`,
-        `"${row.email}"`,
+        bookingDates,
+        row.first_name,
+        row.last_name,
+        row.phone_number,
+        row.email,
         row.product_id,
         row.variant_id,
+        row.product_date_id,
         row.quantity,
-        `"${row.shopify_checkout_id || ''}"`,
+        row.shopify_checkout_id,
         row.status,
         row.created_at,
         row.updated_at
-      ].join(',');
+      ].map(csvField).join(',');
     }).join('\n');
 
     const csvContent = csvHeader + csvData;
@@ -258,24 +276,100 @@ router.get('/export', async (req, res) => {
   }
 });
 
-// DELETE /api/orders/:id - Delete a specific order
-router.delete('/:id', async (req, res) => {
+// GET /api/orders/trash - Deleted orders, most recently deleted first
+router.get('/trash', async (req, res) => {
   try {
-    const orderId = req.params.id;
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+    const offset = (pageNum - 1) * limitNum;
+    const purgeDays = getPurgeDays();
+
+    const [countResult] = await pool.execute('SELECT COUNT(*) as total FROM booking_orders WHERE deleted_at IS NOT NULL');
+    const totalRecords = countResult[0].total;
+
+    const [rows] = await pool.execute(`
+      SELECT
+        b.id,
+        b.booking_dates,
+        b.first_name,
+        b.last_name,
+        b.email,
+        b.product_id,
+        b.product_date_id,
+        b.quantity,
+        b.status,
+        b.paid_amount,
+        b.currency,
+        b.created_at,
+        b.deleted_at,
+        b.deleted_by,
+        s.name as deleted_by_name,
+        ${purgeDays > 0 ? 'DATE_ADD(b.deleted_at, INTERVAL ? DAY)' : 'NULL'} as purge_at
+      FROM booking_orders b
+      LEFT JOIN staff_users s ON s.id = b.deleted_by
+      WHERE b.deleted_at IS NOT NULL
+      ORDER BY b.deleted_at DESC, b.id DESC
+      LIMIT ? OFFSET ?
+    `, [...(purgeDays > 0 ? [purgeDays] : []), limitNum, offset]);
+
+    const orders = rows.map(order => ({
+      ...order,
+      booking_dates: JSON.parse(order.booking_dates)
+    }));
+
+    const totalPages = Math.ceil(totalRecords / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        purge_days: purgeDays,
+        pagination: {
+          current_page: pageNum,
+          total_pages: totalPages,
+          total_records: totalRecords,
+          per_page: limitNum,
+          has_next_page: pageNum < totalPages,
+          has_prev_page: pageNum > 1
+        }
+      }
+    });
 
-    const deleteQuery = 'DELETE FROM booking_orders WHERE id = ?';
-    const [result] = await pool.execute(deleteQuery, [orderId]);
+  } catch (error) {
+    console.error('Error fetching deleted orders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
+// DELETE /api/orders/:id - Move an order to the trash
+router.delete('/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const result = await softDeleteOrder(req.params.id, actorFromRequest(req));
+
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        error: 'Order not found'
+        error: result.error
       });
     }
 
+    const purgeDays = getPurgeDays();
+
     res.json({
       success: true,
-      message: 'Order deleted successfully'
+      message: purgeDays > 0
+        ? `Order moved to the trash; it will be permanently deleted after ${purgeDays} days`
+        : 'Order moved to the trash',
+      data: {
+        id: result.booking.id,
+        deleted_at: result.booking.deleted_at
+      }
     });
 
   } catch (error) {
@@ -288,4 +382,32 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/orders/:id/restore - Take an order out of the trash
+router.post('/:id/restore', requireRole('owner'), async (req, res) => {
+  try {
+    const result = await restoreOrder(req.params.id, actorFromRequest(req));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order restored successfully',
+      data: { id: result.booking.id, status: result.booking.status }
+    });
+
+  } catch (error) {
+    console.error('Error restoring order:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
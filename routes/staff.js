@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { ROLES, isValidRole, hashPassword } = require('../services/auth');
+const { actorFromRequest, loadEntity, recordAudit } = require('../services/audit');
+
+// Staff management; mounted behind requireAuth + requireRole('owner') in server.js
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Refuse changes that would leave no active owner
+async function isLastActiveOwner(staffId) {
+  const [rows] = await pool.execute(
+    "SELECT id FROM staff_users WHERE role = 'owner' AND is_active = TRUE"
+  );
+  return rows.length === 1 && rows[0].id === Number(staffId);
+}
+
+// GET /api/admin/staff - List staff accounts
+router.get('/', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT id, email, name, role, is_active, last_login_at, created_at, updated_at
+      FROM staff_users
+      ORDER BY created_at ASC
+    `);
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/staff - Create a staff account
+router.post('/', async (req, res) => {
+  try {
+    const { email, name, password, role = 'viewer' } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: email, password'
+      });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const passwordHash = await hashPassword(String(password));
+
+    const [result] = await pool.execute(
+      'INSERT INTO staff_users (email, name, password_hash, role) VALUES (?, ?, ?, ?)',
+      [String(email).trim(), name || null, passwordHash, role]
+    );
+
+    await recordAudit(pool, {
+      actor: actorFromRequest(req),
+      entityType: 'staff_user',
+      entityId: result.insertId,
+      action: 'created',
+      after: await loadEntity(pool, 'staff_user', result.insertId)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff account created successfully',
+      data: { id: result.insertId }
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        error: 'A staff account with this email already exists'
+      });
+    }
+
+    console.error('Error creating staff account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/staff/:staffId - Update role, name, active flag or password
+router.put('/:staffId', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    const { name, role, is_active, password } = req.body;
+
+    const updateFields = [];
+    const updateValues = [];
+
+    if (name !== undefined) {
+      updateFields.push('name = ?');
+      updateValues.push(name);
+    }
+    if (role !== undefined) {
+      if (!isValidRole(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid role. Must be: ${ROLES.join(', ')}`
+        });
+      }
+      updateFields.push('role = ?');
+      updateValues.push(role);
+    }
+    if (is_active !== undefined) {
+      updateFields.push('is_active = ?');
+      updateValues.push(Boolean(is_active));
+    }
+    if (password !== undefined) {
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+        });
+      }
+      updateFields.push('password_hash = ?');
+      updateValues.push(await hashPassword(String(password)));
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const demotesOwner = (role !== undefined && role !== 'owner') || (is_active !== undefined && !is_active);
+    if (demotesOwner && await isLastActiveOwner(staffId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot demote or deactivate the last active owner'
+      });
+    }
+
+    updateValues.push(staffId);
+
+    const before = await loadEntity(pool, 'staff_user', staffId);
+
+    const [result] = await pool.execute(
+      `UPDATE staff_users SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      updateValues
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff account not found'
+      });
+    }
+
+    // Role or access changes take effect immediately: log the account out everywhere
+    if (role !== undefined || is_active !== undefined || password !== undefined) {
+      await pool.execute('DELETE FROM staff_sessions WHERE staff_id = ?', [staffId]);
+    }
+
+    // The password itself is never logged, only that it changed
+    await recordAudit(pool, {
+      actor: actorFromRequest(req),
+      entityType: 'staff_user',
+      entityId: staffId,
+      action: 'updated',
+      before,
+      after: await loadEntity(pool, 'staff_user', staffId),
+      details: password !== undefined ? { password_changed: true } : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Staff account updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating staff account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/staff/:staffId - Delete a staff account
+router.delete('/:staffId', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+
+    if (Number(staffId) === req.staff.id) {
+      return res.status(409).json({
+        success: false,
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastActiveOwner(staffId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot delete the last active owner'
+      });
+    }
+
+    const before = await loadEntity(pool, 'staff_user', staffId);
+
+    const [result] = await pool.execute('DELETE FROM staff_users WHERE id = ?', [staffId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff account not found'
+      });
+    }
+
+    await recordAudit(pool, {
+      actor: actorFromRequest(req),
+      entityType: 'staff_user',
+      entityId: staffId,
+      action: 'deleted',
+      before
+    });
+
+    res.json({
+      success: true,
+      message: 'Staff account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting staff account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const router = express.Router();
+const {
+  getWebhookSecret,
+  verifyWebhookHmac,
+  recordDelivery,
+  processDelivery
+} = require('../services/webhooks');
+
+// HMAC is computed over the exact bytes Shopify sent, so keep the raw body
+router.use(bodyParser.raw({ type: '*/*', limit: '5mb' }));
+
+// POST /api/webhooks/shopify - Receive Shopify webhooks
+router.post('/shopify', async (req, res) => {
+  try {
+    if (!getWebhookSecret()) {
+      console.error('Shopify webhook received but SHOPIFY_WEBHOOK_SECRET is not configured');
+      return res.status(503).json({
+        success: false,
+        error: 'Webhook secret not configured'
+      });
+    }
+
+    const hmac = req.get('X-Shopify-Hmac-Sha256');
+    if (!verifyWebhookHmac(req.body, hmac)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+    const topic = req.get('X-Shopify-Topic');
+
+    if (!webhookId || !topic) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing X-Shopify-Webhook-Id or X-Shopify-Topic header'
+      });
+    }
+
+    const { duplicate, in_progress: inProgress, delivery } = await recordDelivery({
+      webhookId,
+      topic,
+      shopDomain: req.get('X-Shopify-Shop-Domain'),
+      rawBody: req.body
+    });
+
+    if (duplicate) {
+      return res.json({
+        success: true,
+        message: 'Duplicate delivery ignored'
+      });
+    }
+
+    // Answered with an error so Shopify sends it again once the other request is done
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        error: 'Delivery is already being processed'
+      });
+    }
+
+    const outcome = await processDelivery(delivery);
+
+    // A non-2xx response makes Shopify retry the delivery later
+    if (outcome.status === 'failed') {
+      console.error(`Shopify webhook ${topic} (${webhookId}) failed:`, outcome.message);
+      return res.status(500).json({
+        success: false,
+        error: 'Webhook processing failed',
+        message: outcome.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: outcome.message
+    });
+
+  } catch (error) {
+    console.error('Error handling Shopify webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
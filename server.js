@@ -6,19 +6,35 @@ require('dotenv').config({ path: './config.env' });
 const bookingRoutes = require('./routes/booking');
 const ordersRoutes = require('./routes/orders');
 const { initializeDatabase } = require('./config/database');
+const { startHoldSweeper } = require('./services/holds');
+const { startWaitlistSweeper } = require('./services/waitlist');
+const { startNotificationSweeper } = require('./services/notifications');
+const { startReminderScheduler } = require('./services/reminders');
+const { startOrderPurger } = require('./services/order-trash');
+const { requireAuth, requireRole, requireRoleForMethod } = require('./services/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+
+// Webhooks verify an HMAC over the raw body, so they are mounted before the JSON parser
+app.use('/api/webhooks', require('./routes/webhooks'));
+
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Routes
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/booking', bookingRoutes);
-app.use('/api/orders', ordersRoutes);
-app.use('/api/admin', require('./routes/admin'));
+// Calendar feeds check the token in their URL instead of a staff session
+app.use('/api/calendar', require('./routes/calendar'));
+
+// Staff-only APIs: viewers can read, operators can change data, owners manage staff
+app.use('/api/orders', requireAuth, requireRoleForMethod, ordersRoutes);
+app.use('/api/admin/staff', requireAuth, requireRole('owner'), require('./routes/staff'));
+app.use('/api/admin', requireAuth, requireRoleForMethod, require('./routes/admin'));
 
 // Serve static files for admin panel
 app.use(express.static('public'));
@@ -52,6 +68,21 @@ async function startServer() {
   try {
     await initializeDatabase();
     console.log('✅ Database initialized successfully');
+
+    // Release seats held by bookings whose checkout was never completed
+    startHoldSweeper();
+
+    // Offer freed seats to the waitlist and expire unclaimed offers
+    startWaitlistSweeper();
+
+    // Retry customer emails that failed to send
+    startNotificationSweeper();
+
+    // Pre-departure reminders and post-trip follow-ups
+    startReminderScheduler();
+
+    // Permanently delete orders that have been in the trash for ORDER_PURGE_DAYS
+    startOrderPurger();
     
     app.listen(PORT, () => {
       console.log('\n🚀 Server started successfully!');
@@ -61,8 +92,8 @@ async function startServer() {
       console.log(`📋 API base: http://localhost:${PORT}/api`);
     });
   } catch (error) {
-    console.error('\n❌ Failed to start server due to database connection error');
-    console.error('Please fix the database connection issue and try again.\n');
+    console.error('\n❌ Failed to start server: the database is unreachable or its schema is not up to date');
+    console.error('Please fix the database issue above and try again.\n');
     process.exit(1);
   }
 }
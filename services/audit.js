@@ -0,0 +1,260 @@
+const { pool } = require('../config/database');
+
+// Append-only audit trail. Every change to a booking, departure, product,
+// waitlist entry, email template or staff account is recorded in audit_log
+// with who made it, when, and the values before and after. Entries are
+// written on the same connection as the change, so inside a transaction they
+// commit or roll back with it. Nothing here updates or deletes an entry.
+
+const ACTOR_TYPES = ['staff', 'customer', 'shopify', 'system'];
+
+// Columns kept in the before/after values of each entity
+const AUDITED_FIELDS = {
+  booking: [
+    'status', 'product_date_id', 'booking_dates', 'quantity', 'first_name', 'last_name',
+    'email', 'phone_number', 'hold_expires_at', 'shopify_order_id', 'paid_amount', 'currency', 'child_count', 'quoted_price', 'deleted_at',
+    // Not a column: callers add the passenger list when it changes
+    'travelers'
+  ],
+  product_date: ['product_id', 'start_date', 'end_date', 'available_seats', 'booked_seats', 'is_active', 'pricing'],
+  product: [
+    'product_id', 'variant_id', 'product_name', 'variant_name', 'hold_minutes', 'cancellation_policy', 'reminder_schedule',
+    'meeting_point', 'meeting_instructions'
+  ],
+  waitlist_entry: ['product_date_id', 'email', 'quantity', 'position', 'status', 'booking_id'],
+  notification_template: ['subject', 'body_text', 'body_html'],
+  staff_user: ['email', 'name', 'role', 'is_active'],
+  promo_code: [
+    'code', 'description', 'discount_type', 'discount_value', 'valid_from', 'valid_until', 'product_ids',
+    'max_uses', 'max_uses_per_email', 'min_quantity', 'is_active'
+  ]
+};
+
+// Table and key column of each entity, for loading its current row
+const ENTITY_TABLES = {
+  booking: { table: 'booking_orders', key: 'id' },
+  product_date: { table: 'product_dates', key: 'id' },
+  product: { table: 'products', key: 'product_id' },
+  waitlist_entry: { table: 'waitlist_entries', key: 'id' },
+  staff_user: { table: 'staff_users', key: 'id' },
+  promo_code: { table: 'promo_codes', key: 'id' }
+};
+
+const JSON_FIELDS = ['booking_dates', 'cancellation_policy', 'reminder_schedule', 'pricing', 'product_ids'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// The staff member (or anonymous customer) behind a request
+function actorFromRequest(req) {
+  if (req.staff) {
+    return { type: 'staff', id: req.staff.id, name: req.staff.name || req.staff.email, ip: req.ip };
+  }
+  return { type: 'customer', id: null, name: null, ip: req.ip };
+}
+
+// Changes made by the server itself, e.g. systemActor('hold sweeper')
+function systemActor(name) {
+  return { type: 'system', id: null, name, ip: null };
+}
+
+// Changes reported by a Shopify webhook, e.g. shopifyActor('orders/paid')
+function shopifyActor(topic) {
+  return { type: 'shopify', id: null, name: topic, ip: null };
+}
+
+// DATE columns come back as local midnight; keep them as plain dates
+function normalizeValue(field, value) {
+  if (value instanceof Date) {
+    const isDateOnly = value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0 && value.getMilliseconds() === 0;
+    if (isDateOnly) {
+      const pad = number => String(number).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return value.toISOString();
+  }
+
+  if (JSON_FIELDS.includes(field) && typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return value.toString();
+  }
+
+  return value === undefined ? null : value;
+}
+
+// The audited columns of a row, ready to be stored as JSON
+function snapshot(entityType, row) {
+  if (!row) {
+    return null;
+  }
+
+  const fields = AUDITED_FIELDS[entityType] || Object.keys(row);
+  const values = {};
+  fields.forEach(field => {
+    if (field in row) {
+      values[field] = normalizeValue(field, row[field]);
+    }
+  });
+  return values;
+}
+
+// Current row of an entity, or null. Pass forUpdate inside a transaction
+// to keep the row from changing between this read and the audited write.
+async function loadEntity(connection, entityType, entityId, { forUpdate = false } = {}) {
+  const { table, key } = ENTITY_TABLES[entityType];
+  const [rows] = await connection.execute(
+    `SELECT * FROM ${table} WHERE ${key} = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [entityId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Only the fields that differ between two snapshots
+function diffValues(before, after) {
+  const changed = { before: {}, after: {} };
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changed.before[field] = before[field] === undefined ? null : before[field];
+      changed.after[field] = after[field] === undefined ? null : after[field];
+    }
+  });
+
+  return changed;
+}
+
+// Record one change. `before` and `after` are rows (or plain objects) of the
+// entity: a create passes only `after`, a delete only `before`, and an update
+// both, in which case only the changed fields are kept. An update that
+// changed nothing and has no details is not recorded. Returns the entry id or null.
+async function recordAudit(connection, { actor, entityType, entityId, action, before = null, after = null, details = null }) {
+  if (!actor || !ACTOR_TYPES.includes(actor.type)) {
+    throw new Error(`Audit entry for ${entityType} ${entityId} has no valid actor`);
+  }
+
+  let beforeValues = snapshot(entityType, before);
+  let afterValues = snapshot(entityType, after);
+
+  if (beforeValues && afterValues) {
+    ({ before: beforeValues, after: afterValues } = diffValues(beforeValues, afterValues));
+    if (Object.keys(afterValues).length === 0 && !details) {
+      return null;
+    }
+  }
+
+  const [result] = await connection.execute(`
+    INSERT INTO audit_log
+    (entity_type, entity_id, action, actor_type, actor_id, actor_name, ip_address, before_values, after_values, details)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    entityType,
+    String(entityId),
+    action,
+    actor.type,
+    actor.id || null,
+    actor.name || null,
+    actor.ip || null,
+    beforeValues ? JSON.stringify(beforeValues) : null,
+    afterValues ? JSON.stringify(afterValues) : null,
+    details ? JSON.stringify(details) : null
+  ]);
+
+  return result.insertId;
+}
+
+function parseJsonColumn(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Audit entries, newest first. Page backwards with before_id (the last id of the previous page).
+async function listAuditEntries({ entity_type, entity_id, actor_type, actor_id, action, from, to, before_id, limit = DEFAULT_LIMIT } = {}) {
+  const limitNum = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_LIMIT));
+
+  let whereClause = 'WHERE 1=1';
+  const queryParams = [];
+
+  if (entity_type) {
+    whereClause += ' AND entity_type = ?';
+    queryParams.push(entity_type);
+  }
+
+  if (entity_id) {
+    whereClause += ' AND entity_id = ?';
+    queryParams.push(String(entity_id));
+  }
+
+  if (actor_type) {
+    whereClause += ' AND actor_type = ?';
+    queryParams.push(actor_type);
+  }
+
+  if (actor_id) {
+    whereClause += ' AND actor_id = ?';
+    queryParams.push(actor_id);
+  }
+
+  if (action) {
+    whereClause += ' AND action = ?';
+    queryParams.push(action);
+  }
+
+  if (from) {
+    whereClause += ' AND created_at >= ?';
+    queryParams.push(from);
+  }
+
+  if (to) {
+    whereClause += ' AND created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+    queryParams.push(to);
+  }
+
+  if (before_id) {
+    whereClause += ' AND id < ?';
+    queryParams.push(before_id);
+  }
+
+  const [rows] = await pool.execute(`
+    SELECT
+      id,
+      entity_type,
+      entity_id,
+      action,
+      actor_type,
+      actor_id,
+      actor_name,
+      ip_address,
+      before_values,
+      after_values,
+      details,
+      created_at
+    FROM audit_log
+    ${whereClause}
+    ORDER BY id DESC
+    LIMIT ?
+  `, [...queryParams, limitNum]);
+
+  return rows.map(row => ({
+    ...row,
+    before_values: parseJsonColumn(row.before_values),
+    after_values: parseJsonColumn(row.after_values),
+    details: parseJsonColumn(row.details)
+  }));
+}
+
+module.exports = {
+  AUDITED_FIELDS,
+  actorFromRequest,
+  systemActor,
+  shopifyActor,
+  snapshot,
+  loadEntity,
+  recordAudit,
+  listAuditEntries
+};
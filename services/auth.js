@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+
+// Staff authentication for the admin panel and the admin/orders APIs.
+// Passwords are hashed with scrypt; sessions are random tokens handed to the
+// browser as an HttpOnly cookie (or sent as a Bearer token by scripts) and
+// stored in staff_sessions by their SHA-256 hash only.
+
+const SESSION_COOKIE = 'admin_session';
+const DEFAULT_SESSION_HOURS = 12;
+
+// Roles in increasing order of privilege; each role can do everything the previous ones can
+const ROLES = ['viewer', 'operator', 'owner'];
+
+const SCRYPT_KEY_LENGTH = 64;
+
+function getSessionHours() {
+  return parseInt(process.env.ADMIN_SESSION_HOURS) || DEFAULT_SESSION_HOURS;
+}
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(storedHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return resolve(false);
+    }
+
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a session for a staff member and return the raw token
+async function createSession(staffId) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.execute(
+    'INSERT INTO staff_sessions (token_hash, staff_id, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))',
+    [hashToken(token), staffId, getSessionHours()]
+  );
+
+  // Opportunistically drop expired sessions
+  await pool.execute('DELETE FROM staff_sessions WHERE expires_at <= NOW()');
+
+  return token;
+}
+
+async function destroySession(token) {
+  if (token) {
+    await pool.execute('DELETE FROM staff_sessions WHERE token_hash = ?', [hashToken(token)]);
+  }
+}
+
+// Staff member for a session token, or null when the session is unknown, expired or disabled
+async function getSessionStaff(token) {
+  if (!token) {
+    return null;
+  }
+
+  const [rows] = await pool.execute(`
+    SELECT s.id, s.email, s.name, s.role
+    FROM staff_sessions ss
+    JOIN staff_users s ON s.id = ss.staff_id
+    WHERE ss.token_hash = ?
+    AND ss.expires_at > NOW()
+    AND s.is_active = TRUE
+  `, [hashToken(token)]);
+
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Session token from the Authorization header or the session cookie
+function getRequestToken(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  const cookies = (req.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...valueParts] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(valueParts.join('='));
+    }
+  }
+
+  return null;
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: '/',
+    maxAge: getSessionHours() * 60 * 60 * 1000
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Middleware: reject the request unless it carries a valid session; sets req.staff
+async function requireAuth(req, res, next) {
+  try {
+    const staff = await getSessionStaff(getRequestToken(req));
+
+    if (!staff) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    req.staff = staff;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware factory: require at least `minimumRole` (use after requireAuth)
+function requireRole(minimumRole) {
+  const minimumLevel = ROLES.indexOf(minimumRole);
+
+  return (req, res, next) => {
+    if (!req.staff || ROLES.indexOf(req.staff.role) < minimumLevel) {
+      return res.status(403).json({
+        success: false,
+        error: `This action requires the ${minimumRole} role`
+      });
+    }
+
+    next();
+  };
+}
+
+// Middleware: read-only requests need a viewer, anything that changes data an operator
+function requireRoleForMethod(req, res, next) {
+  const readOnly = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+  return requireRole(readOnly ? 'viewer' : 'operator')(req, res, next);
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  destroySession,
+  getRequestToken,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAuth,
+  requireRole,
+  requireRoleForMethod
+};
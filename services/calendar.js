@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+
+// iCalendar (.ics) feeds: departures for guides and partners (all products,
+// or one product) and one event per booking for the customer. Every event
+// keeps the same UID for the life of its date range or booking, so calendar
+// apps that re-fetch a feed update the event instead of adding a copy.
+//
+// Feed URLs carry a token: an HMAC of the feed's scope with
+// CALENDAR_FEED_SECRET, so a link can be shared without a staff login and
+// stops working everywhere when the secret changes.
+
+const PRODUCT_ID = '-//Shumaila Travel//Booking API//EN';
+
+// How often subscribed calendars should re-fetch a feed
+const REFRESH_INTERVAL = 'PT1H';
+
+function getFeedSecret() {
+  return process.env.CALENDAR_FEED_SECRET || null;
+}
+
+function isCalendarConfigured() {
+  return Boolean(getFeedSecret());
+}
+
+function getBaseUrl() {
+  return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+}
+
+// Domain part of event UIDs; changing it would duplicate every event in subscribed calendars
+function getUidDomain() {
+  if (process.env.CALENDAR_UID_DOMAIN) {
+    return process.env.CALENDAR_UID_DOMAIN;
+  }
+  try {
+    return new URL(getBaseUrl()).hostname;
+  } catch (error) {
+    return 'localhost';
+  }
+}
+
+// Scopes: 'departures', 'product:<id>' and 'booking:<id>'
+function feedToken(scope) {
+  return crypto.createHmac('sha256', getFeedSecret()).update(scope).digest('hex').slice(0, 32);
+}
+
+function verifyFeedToken(scope, token) {
+  if (!isCalendarConfigured() || typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(feedToken(scope));
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function departuresFeedUrl() {
+  return `${getBaseUrl()}/api/calendar/departures.ics?token=${feedToken('departures')}`;
+}
+
+function productFeedUrl(productId) {
+  return `${getBaseUrl()}/api/calendar/products/${productId}.ics?token=${feedToken(`product:${productId}`)}`;
+}
+
+function bookingCalendarUrl(bookingId) {
+  return `${getBaseUrl()}/api/calendar/bookings/${bookingId}.ics?token=${feedToken(`booking:${bookingId}`)}`;
+}
+
+// Text values escape backslashes, semicolons, commas and newlines (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let limit = 75;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// YYYY-MM-DD (or a DATE column read as local midnight) as 20250314
+function formatDate(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}${pad(value.getMonth() + 1)}${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10).replace(/-/g, '');
+}
+
+// The day after a date: all-day events end on the day after their last day
+function nextDay(value) {
+  const isoDate = value instanceof Date
+    ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+    : String(value).slice(0, 10);
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatTimestamp(value) {
+  return new Date(value || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// One VEVENT. `start` and `end` are the first and last day (inclusive).
+function buildEvent({ uid, start, end, summary, description, location, status, lastModified }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatTimestamp(lastModified)}`,
+    `LAST-MODIFIED:${formatTimestamp(lastModified)}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${nextDay(end)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  lines.push(`STATUS:${status || 'CONFIRMED'}`, 'TRANSP:TRANSPARENT', 'END:VEVENT');
+
+  return lines;
+}
+
+function buildCalendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function productLabel(row) {
+  return row.product_name || `Product ${row.product_id}`;
+}
+
+// Feed of the active departures of every product, or of one product.
+// Returns the .ics text, or null when the product has no date ranges at all.
+async function departuresCalendar({ productId } = {}) {
+  let whereClause = 'WHERE d.is_active = TRUE';
+  const params = [];
+
+  if (productId) {
+    const [known] = await pool.execute('SELECT 1 FROM product_dates WHERE product_id = ? LIMIT 1', [productId]);
+    if (known.length === 0) {
+      return null;
+    }
+    whereClause += ' AND d.product_id = ?';
+    params.push(productId);
+  }
+
+  const [rows] = await pool.execute(`
+    SELECT
+      d.id,
+      d.product_id,
+      p.product_name,
+      p.meeting_point,
+      DATE_FORMAT(d.start_date, '%Y-%m-%d') as start_date,
+      DATE_FORMAT(d.end_date, '%Y-%m-%d') as end_date,
+      d.available_seats,
+      d.booked_seats,
+      d.updated_at
+    FROM product_dates d
+    LEFT JOIN products p ON p.product_id = d.product_id
+    ${whereClause}
+    ORDER BY d.start_date ASC, d.id ASC
+  `, params);
+
+  const domain = getUidDomain();
+  const events = rows.map(row => {
+    const remaining = row.available_seats - row.booked_seats;
+    return buildEvent({
+      uid: `departure-${row.id}@${domain}`,
+      start: row.start_date,
+      end: row.end_date,
+      summary: `${productLabel(row)} (${row.booked_seats}/${row.available_seats} booked)`,
+      description: [
+        `Departure #${row.id}: ${row.start_date} to ${row.end_date}`,
+        `Seats: ${row.available_seats}, booked: ${row.booked_seats}, remaining: ${remaining}`,
+        row.meeting_point ? `Meeting point: ${row.meeting_point}` : null
+      ].filter(Boolean).join('\n'),
+      location: row.meeting_point,
+      lastModified: row.updated_at
+    });
+  });
+
+  const name = productId
+    ? `${rows.length > 0 ? productLabel(rows[0]) : `Product ${productId}`} departures`
+    : 'All departures';
+
+  return buildCalendar(name, events);
+}
+
+const BOOKING_EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  expired: 'CANCELLED'
+};
+
+// Calendar file of one booking: its trip dates and meeting details.
+// Returns { filename, content }, or null when there is no such booking.
+async function bookingCalendar(bookingId) {
+  const [rows] = await pool.execute(`
+    SELECT
+      b.id,
+      b.product_id,
+      b.booking_dates,
+      b.quantity,
+      b.status,
+      b.updated_at,
+      p.product_name,
+      p.meeting_point,
+      p.meeting_instructions
+    FROM booking_orders b
+    LEFT JOIN products p ON p.product_id = b.product_id
+    WHERE b.id = ? AND b.deleted_at IS NULL
+  `, [bookingId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const booking = rows[0];
+  const dates = [...(typeof booking.booking_dates === 'string' ? JSON.parse(booking.booking_dates) : booking.booking_dates)].sort();
+
+  const event = buildEvent({
+    uid: `booking-${booking.id}@${getUidDomain()}`,
+    start: dates[0],
+    end: dates[dates.length - 1],
+    summary: `${productLabel(booking)} - booking #${booking.id}`,
+    description: [
+      `Booking #${booking.id} for ${booking.quantity} traveler(s)`,
+      `Dates: ${dates.join(', ')}`,
+      booking.meeting_point ? `Meeting point: ${booking.meeting_point}` : null,
+      booking.meeting_instructions || null
+    ].filter(Boolean).join('\n'),
+    location: booking.meeting_point,
+    status: BOOKING_EVENT_STATUS[booking.status],
+    lastModified: booking.updated_at
+  });
+
+  return {
+    filename: `booking-${booking.id}.ics`,
+    content: buildCalendar(`${productLabel(booking)} - booking #${booking.id}`, [event])
+  };
+}
+
+module.exports = {
+  isCalendarConfigured,
+  verifyFeedToken,
+  departuresFeedUrl,
+  productFeedUrl,
+  bookingCalendarUrl,
+  departuresCalendar,
+  bookingCalendar
+};
@@ -0,0 +1,525 @@
+const { pool, withTransaction } = require('../config/database');
+const { createRefund, getOrderRefunds, deleteDraftOrder, getOrder, isShopifyConfigured } = require('../config/shopify');
+const { releaseSeats } = require('./seats');
+const { offerFreedSeatsSafely } = require('./waitlist');
+const { notifyBooking, formatMoney } = require('./notifications');
+const { loadEntity, recordAudit } = require('./audit');
+
+// Cancelling bookings: seats go back to the departure, the product's
+// cancellation policy decides how much of the payment is refunded, and the
+// refund is issued through Shopify. Each cancellation is recorded in
+// booking_cancellations with its reason, refund and who cancelled it;
+// cancellations that happen in Shopify are recorded by the webhooks.
+
+// Used when neither the product nor DEFAULT_CANCELLATION_POLICY sets a policy:
+// full refund more than 30 days before departure, half more than 14, none after
+const DEFAULT_POLICY = [
+  { days_before: 30, refund_percent: 100 },
+  { days_before: 14, refund_percent: 50 }
+];
+
+const CANCELLABLE_STATUSES = ['pending', 'completed'];
+
+// Parse a policy from JSON (array of tiers) or the compact "30:100,14:50" form.
+// Returns the tiers sorted by days_before, largest first, or null when invalid.
+function parsePolicy(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let tiers = value;
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        tiers = JSON.parse(trimmed);
+      } catch (error) {
+        return null;
+      }
+    } else {
+      tiers = trimmed.split(',').map(tier => {
+        const [daysBefore, refundPercent] = tier.split(':');
+        return { days_before: Number(daysBefore), refund_percent: Number(refundPercent) };
+      });
+    }
+  }
+
+  if (!Array.isArray(tiers)) {
+    return null;
+  }
+
+  const valid = tiers.every(tier =>
+    tier &&
+    Number.isInteger(Number(tier.days_before)) && Number(tier.days_before) >= 0 &&
+    Number.isFinite(Number(tier.refund_percent)) && Number(tier.refund_percent) >= 0 && Number(tier.refund_percent) <= 100
+  );
+
+  if (!valid) {
+    return null;
+  }
+
+  return tiers
+    .map(tier => ({ days_before: Number(tier.days_before), refund_percent: Number(tier.refund_percent) }))
+    .sort((a, b) => b.days_before - a.days_before);
+}
+
+function getDefaultPolicy() {
+  const fromEnv = parsePolicy(process.env.DEFAULT_CANCELLATION_POLICY);
+  if (process.env.DEFAULT_CANCELLATION_POLICY && !fromEnv) {
+    console.warn('⚠️  DEFAULT_CANCELLATION_POLICY is invalid, using the built-in policy');
+  }
+  return fromEnv || DEFAULT_POLICY;
+}
+
+// Policy for a product: products.cancellation_policy, else the default
+async function getCancellationPolicy(connection, productId) {
+  const [rows] = await connection.execute(
+    'SELECT cancellation_policy FROM products WHERE product_id = ?',
+    [productId]
+  );
+
+  const policy = rows.length > 0 ? parsePolicy(rows[0].cancellation_policy) : null;
+  return policy || getDefaultPolicy();
+}
+
+// Refund percentage for cancelling `daysBeforeDeparture` days ahead: the first
+// tier whose days_before is exceeded applies, otherwise nothing is refunded
+function evaluatePolicy(policy, daysBeforeDeparture) {
+  if (daysBeforeDeparture === null) {
+    return 0;
+  }
+
+  const tier = policy.find(candidate => daysBeforeDeparture > candidate.days_before);
+  return tier ? tier.refund_percent : 0;
+}
+
+// Shopify orders that paid for a booking: its own order plus paid booking changes.
+// Amounts recorded by the orders/paid webhook are used; older bookings ask Shopify.
+async function getPaidOrders(connection, booking) {
+  const orders = [];
+
+  if (booking.status === 'completed' && booking.shopify_order_id) {
+    orders.push({
+      order_id: booking.shopify_order_id,
+      revision_id: null,
+      paid_amount: booking.paid_amount !== null ? Number(booking.paid_amount) : null,
+      currency: booking.currency
+    });
+  }
+
+  const [revisions] = await connection.execute(`
+    SELECT id, shopify_order_id, paid_amount
+    FROM booking_revisions
+    WHERE booking_id = ? AND payment_status = 'paid' AND shopify_order_id IS NOT NULL
+  `, [booking.id]);
+
+  revisions.forEach(revision => {
+    orders.push({
+      order_id: revision.shopify_order_id,
+      revision_id: revision.id,
+      paid_amount: revision.paid_amount !== null ? Number(revision.paid_amount) : null,
+      currency: booking.currency
+    });
+  });
+
+  for (const order of orders) {
+    if (order.paid_amount === null && isShopifyConfigured()) {
+      const result = await getOrder(order.order_id);
+      if (result.success && result.order) {
+        order.paid_amount = Number(result.order.total_price);
+        order.currency = result.order.currency;
+      }
+    }
+  }
+
+  return orders;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Departure date and days from today until it; bookings without a departure use their first date
+async function getDepartureTiming(connection, booking) {
+  const dates = typeof booking.booking_dates === 'string' ? JSON.parse(booking.booking_dates) : booking.booking_dates;
+  const firstDate = [...dates].sort()[0];
+
+  const [[timing]] = await connection.execute(`
+    SELECT
+      DATE_FORMAT(COALESCE(pd.start_date, ?), '%Y-%m-%d') as departure_date,
+      DATEDIFF(COALESCE(pd.start_date, ?), CURDATE()) as days_before_departure
+    FROM (SELECT 1) base
+    LEFT JOIN product_dates pd ON pd.id = ?
+  `, [firstDate, firstDate, booking.product_date_id]);
+
+  return {
+    departure_date: timing.departure_date,
+    days_before_departure: timing.days_before_departure !== null ? Number(timing.days_before_departure) : null
+  };
+}
+
+// What cancelling the booking now would mean: policy tier, paid and refund amounts
+async function buildCancellationQuote(connection, booking) {
+  const policy = await getCancellationPolicy(connection, booking.product_id);
+  const timing = await getDepartureTiming(connection, booking);
+  const daysBeforeDeparture = timing.days_before_departure;
+  const refundPercent = evaluatePolicy(policy, daysBeforeDeparture);
+  const orders = await getPaidOrders(connection, booking);
+
+  orders.forEach(order => {
+    order.refund_amount = order.paid_amount !== null ? roundMoney(order.paid_amount * refundPercent / 100) : null;
+  });
+
+  const paidAmount = roundMoney(orders.reduce((total, order) => total + (order.paid_amount || 0), 0));
+  const refundAmount = roundMoney(orders.reduce((total, order) => total + (order.refund_amount || 0), 0));
+
+  return {
+    departure_date: timing.departure_date,
+    days_before_departure: daysBeforeDeparture,
+    policy,
+    refund_percent: refundPercent,
+    paid_amount: paidAmount,
+    refund_amount: refundAmount,
+    currency: orders.length > 0 ? orders[0].currency : booking.currency,
+    orders,
+    // Orders whose amount could not be determined are left for manual refunds
+    unknown_amounts: orders.some(order => order.paid_amount === null)
+  };
+}
+
+async function loadBooking(connection, bookingId, forUpdate = false) {
+  const [rows] = await connection.execute(
+    `SELECT * FROM booking_orders WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [bookingId]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Write the booking_cancellations row of a booking being cancelled on `connection`.
+// `booking` is the row as it was before the cancellation.
+async function recordCancellation(connection, booking, { reason, staffId, actor, quote, refundStatus, refunds }) {
+  await connection.execute(`
+    INSERT INTO booking_cancellations
+    (booking_id, staff_id, actor_type, actor_name, reason, previous_status, departure_date, days_before_departure, policy,
+     refund_percent, paid_amount, refund_amount, currency, refund_status, refunds)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    booking.id,
+    staffId || null,
+    actor.type,
+    actor.name || null,
+    reason,
+    booking.status,
+    quote.departure_date,
+    quote.days_before_departure,
+    JSON.stringify(quote.policy),
+    quote.refund_percent,
+    quote.paid_amount,
+    quote.refund_amount,
+    quote.currency || null,
+    refundStatus,
+    JSON.stringify(refunds)
+  ]);
+}
+
+// Record a cancellation that happened in Shopify (order cancelled or fully
+// refunded there). The refund was already issued by Shopify, so the amount
+// comes from the webhook instead of the cancellation policy.
+async function recordShopifyCancellation(connection, booking, { reason, actor, refundAmount, refundId }) {
+  const policy = await getCancellationPolicy(connection, booking.product_id);
+  const timing = await getDepartureTiming(connection, booking);
+  const paidAmount = booking.paid_amount !== null ? Number(booking.paid_amount) : 0;
+  const refunded = roundMoney(refundAmount || 0);
+
+  const refunds = booking.shopify_order_id
+    ? [{
+      order_id: booking.shopify_order_id,
+      revision_id: null,
+      paid_amount: booking.paid_amount !== null ? paidAmount : null,
+      refund_amount: refunded,
+      currency: booking.currency,
+      refund_id: refundId || null,
+      error: null
+    }]
+    : [];
+
+  await recordCancellation(connection, booking, {
+    reason,
+    staffId: null,
+    actor,
+    quote: {
+      ...timing,
+      policy,
+      refund_percent: paidAmount > 0 ? Math.min(roundMoney(refunded / paidAmount * 100), 100) : 0,
+      paid_amount: paidAmount,
+      refund_amount: refunded,
+      currency: booking.currency
+    },
+    refundStatus: refunded > 0 ? 'refunded' : 'not_applicable',
+    refunds
+  });
+}
+
+async function getCancellation(bookingId) {
+  const [rows] = await pool.execute(`
+    SELECT c.*, s.email as staff_email
+    FROM booking_cancellations c
+    LEFT JOIN staff_users s ON s.id = c.staff_id
+    WHERE c.booking_id = ?
+  `, [bookingId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const cancellation = rows[0];
+  ['policy', 'refunds'].forEach(field => {
+    if (typeof cancellation[field] === 'string') {
+      cancellation[field] = JSON.parse(cancellation[field]);
+    }
+  });
+  return cancellation;
+}
+
+// Preview for the admin panel: the policy outcome if the booking were cancelled now.
+// Already cancelled bookings return their recorded cancellation instead.
+async function previewCancellation(bookingId) {
+  const booking = await loadBooking(pool, bookingId);
+
+  if (!booking) {
+    return { success: false, status: 404, error: 'Booking not found' };
+  }
+
+  if (booking.status === 'cancelled') {
+    return { success: true, cancelled: true, data: await getCancellation(bookingId) };
+  }
+
+  if (!CANCELLABLE_STATUSES.includes(booking.status)) {
+    return { success: false, status: 409, error: `A ${booking.status} booking cannot be cancelled` };
+  }
+
+  const quote = await buildCancellationQuote(pool, booking);
+
+  return {
+    success: true,
+    cancelled: false,
+    data: {
+      booking_id: booking.id,
+      status: booking.status,
+      ...quote
+    }
+  };
+}
+
+// Minutes after which a refund run that never finished (e.g. the server
+// stopped halfway) may be claimed again
+const STALE_REFUND_MINUTES = 10;
+
+function refundNote(bookingId, reason) {
+  return `Booking ${bookingId} cancelled: ${reason}`;
+}
+
+// The refund an earlier run already issued for this booking on an order, found by its note.
+// Covers a refund Shopify accepted whose response never arrived.
+async function findIssuedRefund(orderId, bookingId) {
+  const existing = await getOrderRefunds(orderId);
+  if (!existing.success) {
+    return existing;
+  }
+
+  const prefix = refundNote(bookingId, '');
+  return {
+    success: true,
+    refund: existing.refunds.find(refund => typeof refund.note === 'string' && refund.note.startsWith(prefix)) || null
+  };
+}
+
+// Issue the Shopify refunds of a cancellation that are not done yet and record the outcome.
+// Safe to call again after a failure: orders that were already refunded are skipped.
+// The cancellation is claimed first ('refunding'), so concurrent runs never refund twice.
+async function issueRefunds(bookingId) {
+  const cancellation = await getCancellation(bookingId);
+
+  if (!cancellation) {
+    return { success: false, status: 404, error: 'Booking has not been cancelled' };
+  }
+
+  if (!['pending', 'partial', 'failed', 'refunding'].includes(cancellation.refund_status)) {
+    return { success: true, cancellation };
+  }
+
+  if (!isShopifyConfigured()) {
+    return { success: false, status: 400, error: 'Shopify is not configured; refunds must be issued manually' };
+  }
+
+  const [claim] = await pool.execute(`
+    UPDATE booking_cancellations
+    SET refund_status = 'refunding', refund_started_at = NOW()
+    WHERE booking_id = ?
+    AND (
+      refund_status IN ('pending', 'partial', 'failed')
+      OR (refund_status = 'refunding' AND refund_started_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+    )
+  `, [bookingId, STALE_REFUND_MINUTES]);
+
+  if (claim.affectedRows !== 1) {
+    const current = await getCancellation(bookingId);
+    if (current.refund_status === 'refunding') {
+      return { success: false, status: 409, error: 'The refund of this booking is already in progress' };
+    }
+    return { success: true, cancellation: current };
+  }
+
+  // Read again under the claim: another run may have finished just before it
+  const claimed = await getCancellation(bookingId);
+  const refunds = claimed.refunds || [];
+  const errors = [];
+
+  for (const refund of refunds) {
+    // Done, nothing to refund, or an amount we could not determine (left for staff)
+    if (refund.refund_id || !refund.refund_amount) {
+      continue;
+    }
+
+    // Never refund an order again without knowing an earlier attempt did not go through
+    const issued = await findIssuedRefund(refund.order_id, bookingId);
+    let result = issued;
+    if (issued.success) {
+      result = issued.refund
+        ? { success: true, refund: issued.refund }
+        : await createRefund(refund.order_id, {
+          amount: refund.refund_amount,
+          currency: refund.currency,
+          note: refundNote(bookingId, claimed.reason)
+        });
+    }
+
+    if (result.success) {
+      refund.refund_id = result.refund.id;
+      refund.error = null;
+    } else {
+      refund.error = result.error;
+      errors.push(`Order ${refund.order_id}: ${result.error}`);
+    }
+
+    // Saved after every order, so a run that stops halfway keeps what it refunded
+    await pool.execute('UPDATE booking_cancellations SET refunds = ? WHERE booking_id = ?', [JSON.stringify(refunds), bookingId]);
+  }
+
+  const refundedCount = refunds.filter(refund => refund.refund_id || refund.refund_amount === 0).length;
+  let refundStatus = 'refunded';
+  if (errors.length > 0) {
+    refundStatus = refunds.some(refund => refund.refund_id) ? 'partial' : 'failed';
+  } else if (refundedCount < refunds.length) {
+    refundStatus = 'partial';
+  }
+
+  await pool.execute(`
+    UPDATE booking_cancellations
+    SET refunds = ?, refund_status = ?, refund_started_at = NULL, refund_error = ?
+    WHERE booking_id = ?
+  `, [JSON.stringify(refunds), refundStatus, errors.length > 0 ? errors.join('; ') : null, bookingId]);
+
+  if (errors.length > 0) {
+    console.warn(`⚠️  Refund for booking ${bookingId} incomplete:`, errors.join('; '));
+  }
+
+  return { success: true, cancellation: await getCancellation(bookingId) };
+}
+
+// Cancel a booking: release its seats, apply the cancellation policy and refund through Shopify.
+// Returns { success: true, cancellation } or { success: false, status, error }.
+async function cancelBooking(bookingId, { reason, staffId, actor }) {
+  const existing = await loadBooking(pool, bookingId);
+
+  if (!existing) {
+    return { success: false, status: 404, error: 'Booking not found' };
+  }
+
+  if (!CANCELLABLE_STATUSES.includes(existing.status)) {
+    return { success: false, status: 409, error: `A ${existing.status} booking cannot be cancelled` };
+  }
+
+  // Computed before the transaction: it may need Shopify for older bookings
+  const quote = await buildCancellationQuote(pool, existing);
+
+  const result = await withTransaction(async (connection) => {
+    const booking = await loadBooking(connection, bookingId, true);
+
+    // A webhook may have paid or cancelled the booking in the meantime
+    if (!booking || booking.status !== existing.status) {
+      return { success: false, status: 409, error: 'The booking changed while cancelling; please try again' };
+    }
+
+    await releaseSeats(connection, booking.product_date_id, booking.quantity);
+
+    await connection.execute(
+      "UPDATE booking_orders SET status = 'cancelled', hold_expires_at = NULL, updated_at = NOW() WHERE id = ?",
+      [booking.id]
+    );
+
+    const refunds = quote.orders.map(order => ({
+      order_id: order.order_id,
+      revision_id: order.revision_id,
+      paid_amount: order.paid_amount,
+      refund_amount: order.refund_amount,
+      currency: order.currency,
+      refund_id: null,
+      error: order.paid_amount === null ? 'Paid amount unknown; refund manually' : null
+    }));
+
+    const refundStatus = quote.refund_percent > 0 && quote.orders.length > 0 ? 'pending' : 'not_applicable';
+
+    await recordCancellation(connection, booking, { reason, staffId, actor, quote, refundStatus, refunds });
+
+    await recordAudit(connection, {
+      actor,
+      entityType: 'booking',
+      entityId: booking.id,
+      action: 'cancelled',
+      before: booking,
+      after: await loadEntity(connection, 'booking', booking.id),
+      details: { reason, refund_percent: quote.refund_percent, refund_amount: quote.refund_amount }
+    });
+
+    return { success: true, booking, refundStatus };
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  // An unpaid booking's payment link must stop working
+  if (result.booking.status === 'pending' && result.booking.shopify_draft_order_id && isShopifyConfigured()) {
+    const deleted = await deleteDraftOrder(result.booking.shopify_draft_order_id);
+    if (!deleted.success) {
+      console.warn(`⚠️  Could not delete draft order of cancelled booking ${bookingId}:`, deleted.error);
+    }
+  }
+
+  await offerFreedSeatsSafely(result.booking.product_date_id);
+
+  // The booking is cancelled either way; refunds that could not start stay pending for a retry
+  const refunded = result.refundStatus === 'pending' ? await issueRefunds(bookingId) : null;
+  const cancellation = refunded && refunded.success ? refunded.cancellation : await getCancellation(bookingId);
+
+  await notifyBooking('booking_cancelled', bookingId, {
+    cancellation_reason: reason,
+    refund_amount: formatMoney(cancellation.refund_amount, cancellation.currency)
+  });
+
+  return { success: true, cancellation };
+}
+
+module.exports = {
+  parsePolicy,
+  getCancellationPolicy,
+  evaluatePolicy,
+  previewCancellation,
+  cancelBooking,
+  recordShopifyCancellation,
+  issueRefunds,
+  getCancellation
+};
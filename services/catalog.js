@@ -0,0 +1,208 @@
+const { pool, withTransaction } = require('../config/database');
+const { iterateProducts } = require('../config/shopify');
+
+// Local mirror of the Shopify catalog in the products and product_variants tables.
+// Kept current by a full sync (npm run sync-catalog or the admin panel) and by
+// the products/create, products/update and products/delete webhooks.
+
+// Fields fetched for the mirror; images are needed to resolve variant images
+const CATALOG_FIELDS = ['id', 'title', 'handle', 'status', 'vendor', 'product_type', 'created_at', 'updated_at', 'variants', 'image', 'images'];
+
+// Status given to products that no longer exist in Shopify
+const DELETED_STATUS = 'deleted';
+
+let runningSync = null;
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+// Insert or update one Shopify product and all of its variants
+async function upsertProduct(connection, product) {
+  const variants = product.variants || [];
+  const images = product.images || [];
+  const defaultVariant = variants[0];
+
+  await connection.execute(`
+    INSERT INTO products
+    (product_id, variant_id, product_name, variant_name, handle, status, vendor, product_type,
+     image_url, shopify_created_at, shopify_updated_at, synced_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    ON DUPLICATE KEY UPDATE
+      variant_id = VALUES(variant_id),
+      product_name = VALUES(product_name),
+      variant_name = VALUES(variant_name),
+      handle = VALUES(handle),
+      status = VALUES(status),
+      vendor = VALUES(vendor),
+      product_type = VALUES(product_type),
+      image_url = VALUES(image_url),
+      shopify_created_at = VALUES(shopify_created_at),
+      shopify_updated_at = VALUES(shopify_updated_at),
+      synced_at = NOW(),
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    product.id,
+    // Products without variants use their own id as variant id, as elsewhere in the API
+    defaultVariant ? defaultVariant.id : product.id,
+    product.title || `Product ${product.id}`,
+    defaultVariant ? (defaultVariant.title || 'Default') : 'Default',
+    product.handle || null,
+    product.status || null,
+    product.vendor || null,
+    product.product_type || null,
+    product.image ? product.image.src : (images[0] ? images[0].src : null),
+    toDate(product.created_at),
+    toDate(product.updated_at)
+  ]);
+
+  for (const variant of variants) {
+    const image = images.find(img => img.id === variant.image_id);
+
+    await connection.execute(`
+      INSERT INTO product_variants
+      (variant_id, product_id, title, price, sku, inventory_quantity, position, image_url, synced_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+      ON DUPLICATE KEY UPDATE
+        product_id = VALUES(product_id),
+        title = VALUES(title),
+        price = VALUES(price),
+        sku = VALUES(sku),
+        inventory_quantity = VALUES(inventory_quantity),
+        position = VALUES(position),
+        image_url = VALUES(image_url),
+        synced_at = NOW(),
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      variant.id,
+      product.id,
+      variant.title || 'Default',
+      variant.price || 0,
+      variant.sku || null,
+      variant.inventory_quantity || 0,
+      variant.position || 1,
+      image ? image.src : null
+    ]);
+  }
+
+  // Drop variants removed in Shopify
+  const variantIds = variants.map(variant => variant.id);
+  if (variantIds.length > 0) {
+    await connection.execute(
+      `DELETE FROM product_variants WHERE product_id = ? AND variant_id NOT IN (${variantIds.map(() => '?').join(',')})`,
+      [product.id, ...variantIds]
+    );
+  } else {
+    await connection.execute('DELETE FROM product_variants WHERE product_id = ?', [product.id]);
+  }
+}
+
+// Mark a product as deleted in Shopify. The row is kept because bookings,
+// date ranges and per-product settings still refer to it.
+async function markProductDeleted(connection, productId) {
+  await connection.execute(
+    'UPDATE products SET status = ?, synced_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE product_id = ?',
+    [DELETED_STATUS, productId]
+  );
+  await connection.execute('DELETE FROM product_variants WHERE product_id = ?', [productId]);
+}
+
+async function runFullSyncOnce() {
+  const [started] = await pool.execute("INSERT INTO catalog_syncs (status, started_at) VALUES ('running', NOW())");
+  const syncId = started.insertId;
+  const [[{ started_at: startedAt }]] = await pool.execute('SELECT started_at FROM catalog_syncs WHERE id = ?', [syncId]);
+
+  let productsSynced = 0;
+
+  try {
+    // Every status, so drafts and archived products are mirrored accurately too
+    for await (const product of iterateProducts({ status: null, fields: CATALOG_FIELDS })) {
+      await withTransaction(connection => upsertProduct(connection, product));
+      productsSynced++;
+    }
+
+    // Anything mirrored earlier that the sync did not see is gone from Shopify.
+    // Rows never synced (placeholders added by booking creation) are left alone.
+    const [stale] = await pool.execute(`
+      SELECT product_id FROM products
+      WHERE synced_at IS NOT NULL AND synced_at < ?
+      AND (status IS NULL OR status <> ?)
+    `, [startedAt, DELETED_STATUS]);
+
+    for (const row of stale) {
+      await withTransaction(connection => markProductDeleted(connection, row.product_id));
+    }
+
+    await pool.execute(`
+      UPDATE catalog_syncs
+      SET status = 'completed', products_synced = ?, products_removed = ?, finished_at = NOW()
+      WHERE id = ?
+    `, [productsSynced, stale.length, syncId]);
+
+    console.log(`✅ Catalog sync completed: ${productsSynced} products, ${stale.length} removed`);
+
+    return {
+      success: true,
+      sync_id: syncId,
+      products_synced: productsSynced,
+      products_removed: stale.length
+    };
+  } catch (error) {
+    const message = error.message || 'Unknown error';
+    await pool.execute(`
+      UPDATE catalog_syncs
+      SET status = 'failed', products_synced = ?, error = ?, finished_at = NOW()
+      WHERE id = ?
+    `, [productsSynced, message, syncId]);
+
+    console.error('❌ Catalog sync failed:', message);
+
+    return {
+      success: false,
+      sync_id: syncId,
+      products_synced: productsSynced,
+      error: message
+    };
+  }
+}
+
+// Mirror the whole Shopify catalog. Only one full sync runs at a time per process;
+// a second caller gets { success: false, running: true }.
+async function runFullSync() {
+  if (runningSync) {
+    return { success: false, running: true, error: 'A catalog sync is already running' };
+  }
+
+  runningSync = runFullSyncOnce();
+  try {
+    return await runningSync;
+  } finally {
+    runningSync = null;
+  }
+}
+
+// Most recent full sync, or null if the catalog was never synced
+async function getLastSync() {
+  const [rows] = await pool.execute(`
+    SELECT id, status, products_synced, products_removed, error, started_at, finished_at
+    FROM catalog_syncs
+    ORDER BY id DESC
+    LIMIT 1
+  `);
+
+  const [completed] = await pool.execute(
+    "SELECT MAX(finished_at) as last_synced_at FROM catalog_syncs WHERE status = 'completed'"
+  );
+
+  return {
+    last_sync: rows[0] || null,
+    last_synced_at: completed[0].last_synced_at || null
+  };
+}
+
+module.exports = {
+  upsertProduct,
+  markProductDeleted,
+  runFullSync,
+  getLastSync
+};
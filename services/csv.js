@@ -0,0 +1,74 @@
+// CSV helpers shared by the exports and the departure import.
+// Exported files are meant to be opened in a spreadsheet, so text that a
+// spreadsheet would run as a formula (customer names, emails, ...) is
+// neutralised.
+
+// Leading characters that make a spreadsheet read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// One field: quoted when needed; text starting like a formula gets a leading '.
+// Numbers are written as they are, so negative counts stay numbers.
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of a CSV text as arrays of strings (RFC 4180: quoted fields may hold commas, quotes and newlines)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+module.exports = {
+  csvField,
+  parseCsv
+};
@@ -0,0 +1,287 @@
+const { pool, withTransaction } = require('../config/database');
+const { isIsoDate } = require('./seats');
+const { loadEntity, recordAudit } = require('./audit');
+const { csvField, parseCsv } = require('./csv');
+
+// Date ranges (departures) as CSV, for planning seasons in a spreadsheet.
+// The export and the import use the same columns, so an exported file can be
+// edited and imported again. The import upserts by product + start and end
+// date: a known range gets its seats and status updated, anything else is
+// created. A dry run validates every row and reports what would happen; a
+// real import writes all rows in one transaction, or none when a row is invalid.
+
+const CSV_COLUMNS = [
+  'id', 'product_id', 'product_name', 'start_date', 'end_date',
+  'available_seats', 'booked_seats', 'remaining_seats', 'is_active'
+];
+
+// Columns the import reads; the others (id, product_name, booked_seats, remaining_seats) are ignored
+const REQUIRED_COLUMNS = ['product_id', 'start_date', 'end_date', 'available_seats'];
+
+const MAX_IMPORT_ROWS = 2000;
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'active'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', 'inactive'];
+
+// All date ranges as CSV, optionally for one product and departures starting in a window
+async function exportDeparturesCsv({ productId, from, until } = {}) {
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+
+  if (productId) {
+    whereClause += ' AND d.product_id = ?';
+    params.push(productId);
+  }
+  if (from) {
+    whereClause += ' AND d.start_date >= ?';
+    params.push(from);
+  }
+  if (until) {
+    whereClause += ' AND d.start_date <= ?';
+    params.push(until);
+  }
+
+  const [rows] = await pool.execute(`
+    SELECT
+      d.id,
+      d.product_id,
+      p.product_name,
+      DATE_FORMAT(d.start_date, '%Y-%m-%d') as start_date,
+      DATE_FORMAT(d.end_date, '%Y-%m-%d') as end_date,
+      d.available_seats,
+      d.booked_seats,
+      d.available_seats - d.booked_seats as remaining_seats,
+      d.is_active
+    FROM product_dates d
+    LEFT JOIN products p ON p.product_id = d.product_id
+    ${whereClause}
+    ORDER BY d.product_id ASC, d.start_date ASC, d.end_date ASC
+  `, params);
+
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach(row => {
+    lines.push(CSV_COLUMNS.map(column => csvField(column === 'is_active' ? Boolean(row.is_active) : row[column])).join(','));
+  });
+
+  return { csv: lines.join('\r\n') + '\r\n', count: rows.length };
+}
+
+// Validate the fields of one CSV row. Returns { values, errors }.
+function parseRow(record) {
+  const errors = [];
+  const values = {};
+
+  const productId = record.product_id.trim();
+  if (!/^\d+$/.test(productId)) {
+    errors.push('product_id must be a Shopify product ID');
+  }
+  values.product_id = productId;
+
+  for (const field of ['start_date', 'end_date']) {
+    const value = record[field].trim();
+    if (!isIsoDate(value)) {
+      errors.push(`${field} must be a date in YYYY-MM-DD format`);
+    }
+    values[field] = value;
+  }
+  if (isIsoDate(values.start_date) && isIsoDate(values.end_date) && values.end_date < values.start_date) {
+    errors.push('end_date must be on or after start_date');
+  }
+
+  const seats = record.available_seats.trim();
+  if (!/^\d+$/.test(seats)) {
+    errors.push('available_seats must be a non-negative integer');
+  }
+  values.available_seats = Number(seats);
+
+  // Empty keeps the current status (new ranges are active)
+  const isActive = (record.is_active || '').trim().toLowerCase();
+  if (isActive === '') {
+    values.is_active = null;
+  } else if (TRUE_VALUES.includes(isActive)) {
+    values.is_active = true;
+  } else if (FALSE_VALUES.includes(isActive)) {
+    values.is_active = false;
+  } else {
+    errors.push('is_active must be true or false');
+  }
+
+  return { values, errors };
+}
+
+// Rows of an import file keyed by column name, with their line numbers.
+// Returns { success: true, rows } or { success: false, status, error }.
+function readImportRows(csvText) {
+  if (typeof csvText !== 'string' || csvText.trim() === '') {
+    return { success: false, status: 400, error: 'The CSV file is empty' };
+  }
+
+  const [header, ...records] = parseCsv(csvText);
+  const columns = header.map(column => column.trim().toLowerCase());
+
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { success: false, status: 400, error: `The CSV file is missing the column(s): ${missing.join(', ')}` };
+  }
+
+  // Line numbers as a spreadsheet shows them: the header is line 1
+  const rows = records
+    .map((fields, index) => ({ line: index + 2, fields }))
+    .filter(({ fields }) => fields.some(field => field.trim() !== ''))
+    .map(({ line, fields }) => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = fields[index] !== undefined ? fields[index] : '';
+      });
+      return { line, ...parseRow(record) };
+    });
+
+  if (rows.length === 0) {
+    return { success: false, status: 400, error: 'The CSV file has no rows' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { success: false, status: 400, error: `A CSV import can have at most ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  return { success: true, rows };
+}
+
+async function findRange(connection, { product_id, start_date, end_date }, { forUpdate = false } = {}) {
+  const [rows] = await connection.execute(`
+    SELECT id, available_seats, booked_seats, is_active
+    FROM product_dates
+    WHERE product_id = ? AND start_date = ? AND end_date = ?
+    ORDER BY id ASC
+    LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}
+  `, [product_id, start_date, end_date]);
+
+  return rows.length > 0 ? rows[0] : null;
+}
+
+function summarize(rows) {
+  const count = action => rows.filter(row => row.action === action).length;
+  return {
+    rows: rows.length,
+    create: count('create'),
+    update: count('update'),
+    unchanged: count('unchanged'),
+    invalid: rows.filter(row => row.errors.length > 0).length
+  };
+}
+
+// Import date ranges from CSV. With dryRun nothing is written. Returns
+// { success: true, dry_run, summary, rows } or { success: false, status, error[, summary, rows] };
+// each row has its line, action (create, update, unchanged) and errors.
+async function importDeparturesCsv(csvText, { dryRun = false, actor }) {
+  const read = readImportRows(csvText);
+  if (!read.success) {
+    return read;
+  }
+
+  return withTransaction(async (connection) => {
+    const seen = new Map();
+
+    const rows = [];
+    for (const row of read.rows) {
+      const { values, errors } = row;
+      const result = {
+        line: row.line,
+        product_id: values.product_id,
+        start_date: values.start_date,
+        end_date: values.end_date,
+        available_seats: values.available_seats,
+        is_active: values.is_active,
+        action: null,
+        id: null,
+        errors: [...errors]
+      };
+      rows.push(result);
+
+      if (errors.length > 0) {
+        continue;
+      }
+
+      const key = `${values.product_id}|${values.start_date}|${values.end_date}`;
+      if (seen.has(key)) {
+        result.errors.push(`Same product and dates as line ${seen.get(key)}`);
+        continue;
+      }
+      seen.set(key, row.line);
+
+      const existing = await findRange(connection, values, { forUpdate: !dryRun });
+      if (!existing) {
+        result.action = 'create';
+        continue;
+      }
+
+      result.id = existing.id;
+      if (values.available_seats < existing.booked_seats) {
+        result.errors.push(`available_seats cannot be below the ${existing.booked_seats} seat(s) already booked`);
+        continue;
+      }
+
+      const isActive = values.is_active !== null ? values.is_active : Boolean(existing.is_active);
+      const changed = values.available_seats !== existing.available_seats || isActive !== Boolean(existing.is_active);
+      result.action = changed ? 'update' : 'unchanged';
+    }
+
+    const summary = summarize(rows);
+
+    if (dryRun) {
+      return { success: true, dry_run: true, summary, rows };
+    }
+
+    if (summary.invalid > 0) {
+      return {
+        success: false,
+        status: 400,
+        error: `${summary.invalid} row(s) have errors; nothing was imported`,
+        summary,
+        rows
+      };
+    }
+
+    for (const row of rows) {
+      if (row.action === 'create') {
+        const [result] = await connection.execute(`
+          INSERT INTO product_dates (product_id, start_date, end_date, available_seats, is_active)
+          VALUES (?, ?, ?, ?, ?)
+        `, [row.product_id, row.start_date, row.end_date, row.available_seats, row.is_active !== null ? row.is_active : true]);
+        row.id = result.insertId;
+
+        await recordAudit(connection, {
+          actor,
+          entityType: 'product_date',
+          entityId: row.id,
+          action: 'created',
+          after: await loadEntity(connection, 'product_date', row.id),
+          details: { source: 'csv_import', line: row.line }
+        });
+      } else if (row.action === 'update') {
+        const before = await loadEntity(connection, 'product_date', row.id);
+        await connection.execute(
+          'UPDATE product_dates SET available_seats = ?, is_active = COALESCE(?, is_active), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [row.available_seats, row.is_active, row.id]
+        );
+
+        await recordAudit(connection, {
+          actor,
+          entityType: 'product_date',
+          entityId: row.id,
+          action: 'updated',
+          before,
+          after: await loadEntity(connection, 'product_date', row.id),
+          details: { source: 'csv_import', line: row.line }
+        });
+      }
+    }
+
+    return { success: true, dry_run: false, summary, rows };
+  });
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  exportDeparturesCsv,
+  importDeparturesCsv
+};
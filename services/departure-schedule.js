@@ -0,0 +1,457 @@
+const { withTransaction } = require('../config/database');
+const { isIsoDate } = require('./seats');
+const { parsePricing } = require('./pricing');
+const { loadEntity, recordAudit } = require('./audit');
+
+// Bulk creation of date ranges (departures) for a product, either from a
+// weekly recurrence rule or by copying another schedule shifted in time.
+// Both are previewed first: every generated range is checked for overlaps
+// with the product's existing ranges (and with the other generated ones),
+// since a booking is matched to the first range that covers its dates.
+// Creating writes all the ranges in one transaction, or none.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_GENERATED_RANGES = 366;
+const MAX_NIGHTS = 60;
+const DAY_MS = 86400000;
+
+function toDayNumber(isoDate) {
+  return Date.parse(`${isoDate}T00:00:00Z`) / DAY_MS;
+}
+
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+function addDays(isoDate, days) {
+  return fromDayNumber(toDayNumber(isoDate) + days);
+}
+
+// 0 = sunday ... 6 = saturday
+function weekdayOf(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+// Weekday names ("fri", "Friday") or numbers (0 = Sunday) to numbers, or null when invalid
+function parseWeekday(value) {
+  if (Number.isInteger(value) && value >= 0 && value <= 6) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    const name = value.trim().toLowerCase();
+    const index = WEEKDAYS.findIndex(weekday => name.length >= 3 && weekday.startsWith(name));
+    return index === -1 ? null : index;
+  }
+  return null;
+}
+
+// Blackout dates: single days or { start_date, end_date } periods.
+// Returns { success: true, blackouts } or { success: false, error }.
+function parseBlackouts(value) {
+  if (value === undefined || value === null) {
+    return { success: true, blackouts: [] };
+  }
+  if (!Array.isArray(value)) {
+    return { success: false, error: 'blackout_dates must be a list of dates or { start_date, end_date } periods' };
+  }
+
+  const blackouts = [];
+  for (const entry of value) {
+    if (isIsoDate(entry)) {
+      blackouts.push({ start_date: entry, end_date: entry });
+    } else if (entry && isIsoDate(entry.start_date) && isIsoDate(entry.end_date) && entry.start_date <= entry.end_date) {
+      blackouts.push({ start_date: entry.start_date, end_date: entry.end_date });
+    } else {
+      return { success: false, error: 'blackout_dates must contain YYYY-MM-DD dates or { start_date, end_date } periods' };
+    }
+  }
+
+  return { success: true, blackouts };
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(Number(value)) && Number(value) >= 1;
+}
+
+// Validate a recurrence rule:
+//   {
+//     "weekdays": ["friday"],          departure days (names or 0 = Sunday ... 6 = Saturday)
+//     "every_weeks": 1,                 1 = every week, 2 = every other week, ...
+//     "nights": 5,                      end_date = start_date + nights
+//     "available_seats": 20,
+//     "from": "2025-03-01",             first and last possible departure day
+//     "until": "2025-10-31",
+//     "blackout_dates": ["2025-06-06", { "start_date": "2025-08-10", "end_date": "2025-08-20" }],
+//     "is_active": true,
+//     "pricing": { ... }                optional departure pricing rules (see pricing.js)
+//   }
+// Returns { success: true, rule } or { success: false, error }.
+function parseRecurrence(input) {
+  const body = input || {};
+
+  if (!Array.isArray(body.weekdays) || body.weekdays.length === 0) {
+    return { success: false, error: 'weekdays must be a non-empty list of weekdays, e.g. ["friday"]' };
+  }
+  const weekdays = body.weekdays.map(parseWeekday);
+  if (weekdays.includes(null)) {
+    return { success: false, error: `weekdays must be weekday names (${WEEKDAYS.join(', ')}) or numbers from 0 (Sunday) to 6` };
+  }
+
+  const everyWeeks = body.every_weeks === undefined || body.every_weeks === null ? 1 : Number(body.every_weeks);
+  if (!isPositiveInteger(everyWeeks) || everyWeeks > 52) {
+    return { success: false, error: 'every_weeks must be a whole number from 1 to 52' };
+  }
+
+  const nights = Number(body.nights);
+  if (!Number.isInteger(nights) || nights < 0 || nights > MAX_NIGHTS) {
+    return { success: false, error: `nights must be a whole number from 0 to ${MAX_NIGHTS}` };
+  }
+
+  if (!Number.isInteger(Number(body.available_seats)) || Number(body.available_seats) < 0) {
+    return { success: false, error: 'available_seats must be a non-negative integer' };
+  }
+
+  if (!isIsoDate(body.from) || !isIsoDate(body.until)) {
+    return { success: false, error: 'from and until must be dates in YYYY-MM-DD format' };
+  }
+  if (body.until < body.from) {
+    return { success: false, error: 'until must be on or after from' };
+  }
+
+  const blackoutResult = parseBlackouts(body.blackout_dates);
+  if (!blackoutResult.success) {
+    return blackoutResult;
+  }
+
+  const pricingResult = parsePricing(body.pricing);
+  if (!pricingResult.success) {
+    return pricingResult;
+  }
+
+  return {
+    success: true,
+    rule: {
+      weekdays: [...new Set(weekdays)].sort(),
+      every_weeks: everyWeeks,
+      nights,
+      available_seats: Number(body.available_seats),
+      from: body.from,
+      until: body.until,
+      blackouts: blackoutResult.blackouts,
+      is_active: body.is_active !== undefined ? Boolean(body.is_active) : true,
+      pricing: pricingResult.pricing
+    }
+  };
+}
+
+function rangesOverlap(a, b) {
+  return a.start_date <= b.end_date && b.start_date <= a.end_date;
+}
+
+// Date ranges of a recurrence rule. A departure whose trip touches a blackout
+// date is skipped. Weeks are counted from the first departure, so with
+// every_weeks 2 the week of the first matching day is always included.
+// Returns { success: true, ranges, skipped } or { success: false, status, error }.
+function generateRanges(rule) {
+  const ranges = [];
+  const skipped = [];
+  const firstDay = toDayNumber(rule.from);
+  const firstWeekStart = firstDay - weekdayOf(rule.from);
+  let firstWeek = null;
+
+  for (let day = firstDay; day <= toDayNumber(rule.until); day++) {
+    const startDate = fromDayNumber(day);
+    if (!rule.weekdays.includes(weekdayOf(startDate))) {
+      continue;
+    }
+
+    const week = Math.floor((day - firstWeekStart) / 7);
+    if (firstWeek === null) {
+      firstWeek = week;
+    }
+    if ((week - firstWeek) % rule.every_weeks !== 0) {
+      continue;
+    }
+
+    const range = { start_date: startDate, end_date: addDays(startDate, rule.nights) };
+    const blackout = rule.blackouts.find(candidate => rangesOverlap(candidate, range));
+    if (blackout) {
+      skipped.push({ ...range, reason: 'blackout', blackout });
+      continue;
+    }
+
+    ranges.push({
+      ...range,
+      available_seats: rule.available_seats,
+      is_active: rule.is_active,
+      pricing: rule.pricing
+    });
+
+    if (ranges.length > MAX_GENERATED_RANGES) {
+      return { success: false, status: 400, error: `A schedule can create at most ${MAX_GENERATED_RANGES} date ranges at once` };
+    }
+  }
+
+  return { success: true, ranges, skipped };
+}
+
+// Shift a date by whole years. Feb 29 becomes Feb 28 in a year without it.
+function shiftYears(isoDate, years) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year + years, month, 0)).getUTCDate();
+  return `${year + years}-${String(month).padStart(2, '0')}-${String(Math.min(day, lastDay)).padStart(2, '0')}`;
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+// Validate a clone request:
+//   {
+//     "target_product_id": 987,        default: the same product
+//     "from": "2025-01-01",            source ranges starting in this window (both optional)
+//     "until": "2025-12-31",
+//     "shift_years": 1,                or "shift_days": 7; default 0 (another product, same dates)
+//     "keep_weekday": true,            with shift_years, move to the same weekday (a Friday stays a Friday)
+//     "copy_pricing": true,
+//     "available_seats": 20            optional: replaces the source capacity
+//   }
+// Returns { success: true, options } or { success: false, error }.
+function parseCloneOptions(input) {
+  const body = input || {};
+
+  if (hasValue(body.target_product_id) && !/^\d+$/.test(String(body.target_product_id))) {
+    return { success: false, error: 'target_product_id must be a Shopify product ID' };
+  }
+
+  for (const field of ['from', 'until']) {
+    if (body[field] !== undefined && body[field] !== null && !isIsoDate(body[field])) {
+      return { success: false, error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+  }
+
+  const hasYears = body.shift_years !== undefined && body.shift_years !== null;
+  const hasDays = body.shift_days !== undefined && body.shift_days !== null;
+  if (hasYears && hasDays) {
+    return { success: false, error: 'Give either shift_years or shift_days, not both' };
+  }
+  if (hasYears && (!Number.isInteger(Number(body.shift_years)) || Math.abs(Number(body.shift_years)) > 10)) {
+    return { success: false, error: 'shift_years must be a whole number from -10 to 10' };
+  }
+  if (hasDays && (!Number.isInteger(Number(body.shift_days)) || Math.abs(Number(body.shift_days)) > 3660)) {
+    return { success: false, error: 'shift_days must be a whole number of days (up to 3660)' };
+  }
+
+  if (body.available_seats !== undefined && body.available_seats !== null &&
+      (!Number.isInteger(Number(body.available_seats)) || Number(body.available_seats) < 0)) {
+    return { success: false, error: 'available_seats must be a non-negative integer' };
+  }
+
+  return {
+    success: true,
+    options: {
+      target_product_id: hasValue(body.target_product_id) ? String(body.target_product_id) : null,
+      from: body.from || null,
+      until: body.until || null,
+      shift_years: hasYears ? Number(body.shift_years) : 0,
+      shift_days: hasDays ? Number(body.shift_days) : 0,
+      keep_weekday: body.keep_weekday !== undefined ? Boolean(body.keep_weekday) : true,
+      copy_pricing: body.copy_pricing !== undefined ? Boolean(body.copy_pricing) : true,
+      available_seats: hasValue(body.available_seats) ? Number(body.available_seats) : null
+    }
+  };
+}
+
+// New start of a cloned range. With keep_weekday the year shift lands on the
+// nearest day with the same weekday (at most 3 days from the calendar date).
+function shiftStartDate(startDate, options) {
+  if (options.shift_days) {
+    return addDays(startDate, options.shift_days);
+  }
+  if (!options.shift_years) {
+    return startDate;
+  }
+
+  const shifted = shiftYears(startDate, options.shift_years);
+  if (!options.keep_weekday) {
+    return shifted;
+  }
+
+  let difference = weekdayOf(startDate) - weekdayOf(shifted);
+  if (difference > 3) difference -= 7;
+  if (difference < -3) difference += 7;
+  return addDays(shifted, difference);
+}
+
+function parseJsonColumn(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+async function getProductRanges(connection, productId, { forUpdate = false } = {}) {
+  const [rows] = await connection.execute(`
+    SELECT
+      id,
+      DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+      DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+      available_seats,
+      is_active,
+      pricing
+    FROM product_dates
+    WHERE product_id = ?
+    ORDER BY start_date ASC${forUpdate ? ' FOR UPDATE' : ''}
+  `, [productId]);
+
+  return rows.map(row => ({ ...row, is_active: Boolean(row.is_active), pricing: parseJsonColumn(row.pricing) }));
+}
+
+// Ranges of a source product shifted as asked
+async function cloneRanges(connection, sourceProductId, options) {
+  const sources = (await getProductRanges(connection, sourceProductId))
+    .filter(range => (!options.from || range.start_date >= options.from) && (!options.until || range.start_date <= options.until));
+
+  if (sources.length > MAX_GENERATED_RANGES) {
+    return { success: false, status: 400, error: `A schedule can create at most ${MAX_GENERATED_RANGES} date ranges at once; narrow from and until` };
+  }
+
+  const ranges = sources.map(source => {
+    const startDate = shiftStartDate(source.start_date, options);
+    const nights = toDayNumber(source.end_date) - toDayNumber(source.start_date);
+    return {
+      start_date: startDate,
+      end_date: addDays(startDate, nights),
+      available_seats: options.available_seats !== null ? options.available_seats : source.available_seats,
+      is_active: source.is_active,
+      pricing: options.copy_pricing ? source.pricing : null,
+      source_id: source.id
+    };
+  });
+
+  return { success: true, ranges, skipped: [] };
+}
+
+// Mark each generated range with the existing ranges (and earlier generated
+// ranges) it overlaps
+function findOverlaps(ranges, existing) {
+  return ranges.map((range, index) => ({
+    ...range,
+    overlaps: [
+      ...existing.filter(candidate => rangesOverlap(candidate, range))
+        .map(candidate => ({ id: candidate.id, start_date: candidate.start_date, end_date: candidate.end_date })),
+      ...ranges.slice(0, index).filter(candidate => rangesOverlap(candidate, range))
+        .map(candidate => ({ id: null, start_date: candidate.start_date, end_date: candidate.end_date }))
+    ]
+  }));
+}
+
+function summarize(productId, ranges, skipped) {
+  const overlapping = ranges.filter(range => range.overlaps.length > 0).length;
+  return {
+    product_id: String(productId),
+    ranges,
+    skipped,
+    count: ranges.length,
+    overlapping
+  };
+}
+
+// Preview, or create when `create` is set. Overlapping ranges block the
+// creation unless skip_overlapping is set, in which case they are left out.
+// Runs in one transaction with the product's ranges locked, so the overlap
+// check still holds when the rows are written.
+async function applySchedule(productId, buildRanges, { create = false, skipOverlapping = false, actor, source }) {
+  return withTransaction(async (connection) => {
+    const built = await buildRanges(connection);
+    if (!built.success) {
+      return built;
+    }
+
+    const existing = await getProductRanges(connection, productId, { forUpdate: create });
+    const preview = summarize(productId, findOverlaps(built.ranges, existing), built.skipped);
+
+    if (!create) {
+      return { success: true, created: false, ...preview };
+    }
+
+    if (preview.overlapping > 0 && !skipOverlapping) {
+      return {
+        success: false,
+        status: 409,
+        error: `${preview.overlapping} of the date ranges overlap existing ones; fix them or set skip_overlapping`,
+        preview
+      };
+    }
+
+    const toCreate = preview.ranges.filter(range => range.overlaps.length === 0);
+    const created = [];
+
+    for (const range of toCreate) {
+      const [result] = await connection.execute(`
+        INSERT INTO product_dates (product_id, start_date, end_date, available_seats, is_active, pricing)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        productId,
+        range.start_date,
+        range.end_date,
+        range.available_seats,
+        range.is_active,
+        range.pricing ? JSON.stringify(range.pricing) : null
+      ]);
+
+      await recordAudit(connection, {
+        actor,
+        entityType: 'product_date',
+        entityId: result.insertId,
+        action: 'created',
+        after: await loadEntity(connection, 'product_date', result.insertId),
+        details: range.source_id ? { ...source, source_id: range.source_id } : source
+      });
+
+      created.push({ id: result.insertId, start_date: range.start_date, end_date: range.end_date });
+    }
+
+    return {
+      success: true,
+      created: true,
+      ...preview,
+      ranges: created,
+      count: created.length,
+      skipped: [
+        ...preview.skipped,
+        ...preview.ranges.filter(range => range.overlaps.length > 0)
+          .map(({ start_date, end_date, overlaps }) => ({ start_date, end_date, reason: 'overlap', overlaps }))
+      ]
+    };
+  });
+}
+
+// Preview or create the ranges of a recurrence rule for a product
+async function generateSchedule(productId, rule, options) {
+  return applySchedule(productId, async () => generateRanges(rule), {
+    ...options,
+    source: { generated_by: 'recurrence' }
+  });
+}
+
+// Preview or create copies of a product's ranges, on the same or another product
+async function cloneSchedule(sourceProductId, cloneOptions, options) {
+  const targetProductId = cloneOptions.target_product_id || String(sourceProductId);
+
+  if (targetProductId === String(sourceProductId) && !cloneOptions.shift_years && !cloneOptions.shift_days) {
+    return { success: false, status: 400, error: 'Cloning a schedule onto the same product needs shift_years or shift_days' };
+  }
+
+  return applySchedule(targetProductId, connection => cloneRanges(connection, sourceProductId, cloneOptions), {
+    ...options,
+    source: { generated_by: 'clone', source_product_id: String(sourceProductId) }
+  });
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseRecurrence,
+  parseCloneOptions,
+  generateRanges,
+  shiftStartDate,
+  generateSchedule,
+  cloneSchedule
+};
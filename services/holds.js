@@ -0,0 +1,169 @@
+const { pool, withTransaction } = require('../config/database');
+const { releaseSeats } = require('./seats');
+const { systemActor, loadEntity, recordAudit } = require('./audit');
+
+// Seats reserved at booking creation are only held for a limited time.
+// If the customer never completes the Shopify checkout, the sweeper below
+// gives the seats back to product_dates and marks the booking as expired.
+// The freed seats are offered to the departure's waitlist right away.
+
+const DEFAULT_HOLD_MINUTES = 30;
+const DEFAULT_SWEEP_INTERVAL_SECONDS = 60;
+
+let sweeperTimer = null;
+let sweepInProgress = false;
+
+// Hold length used when a product does not configure its own
+function getDefaultHoldMinutes() {
+  const minutes = parseInt(process.env.SEAT_HOLD_MINUTES);
+  return minutes > 0 ? minutes : DEFAULT_HOLD_MINUTES;
+}
+
+// Hold length for a product: products.hold_minutes, else the global default
+async function getHoldMinutes(connection, productId) {
+  const [rows] = await connection.execute(
+    'SELECT hold_minutes FROM products WHERE product_id = ?',
+    [productId]
+  );
+
+  if (rows.length > 0 && rows[0].hold_minutes > 0) {
+    return rows[0].hold_minutes;
+  }
+
+  return getDefaultHoldMinutes();
+}
+
+// Start (or restart) the hold on a booking and return its expiry.
+// The expiry is computed by MySQL so it compares cleanly with NOW() in the sweeper.
+async function startHold(connection, bookingId, minutes) {
+  await connection.execute(
+    'UPDATE booking_orders SET hold_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?',
+    [minutes, bookingId]
+  );
+
+  const [rows] = await connection.execute(
+    'SELECT hold_expires_at FROM booking_orders WHERE id = ?',
+    [bookingId]
+  );
+
+  return rows.length > 0 ? rows[0].hold_expires_at : null;
+}
+
+// Expire every pending booking whose hold has run out.
+// Each booking is handled in its own short transaction so a slow sweep
+// never keeps product_dates rows locked against new bookings.
+async function releaseExpiredHolds() {
+  // Loaded here rather than at the top: the waitlist starts holds through this module
+  const { offerFreedSeatsSafely } = require('./waitlist');
+
+  const [candidates] = await pool.execute(`
+    SELECT id
+    FROM booking_orders
+    WHERE status = 'pending'
+    AND hold_expires_at IS NOT NULL
+    AND hold_expires_at <= NOW()
+    ORDER BY hold_expires_at ASC
+    LIMIT 100
+  `);
+
+  let expiredCount = 0;
+
+  for (const candidate of candidates) {
+    try {
+      const expired = await withTransaction(async (connection) => {
+        // Re-check under lock: the booking may have been paid in the meantime
+        const [rows] = await connection.execute(`
+          SELECT id, product_date_id, quantity
+          FROM booking_orders
+          WHERE id = ?
+          AND status = 'pending'
+          AND hold_expires_at <= NOW()
+          FOR UPDATE
+        `, [candidate.id]);
+
+        if (rows.length === 0) {
+          return null;
+        }
+
+        const booking = await loadEntity(connection, 'booking', rows[0].id);
+        await releaseSeats(connection, booking.product_date_id, booking.quantity);
+        await connection.execute(
+          "UPDATE booking_orders SET status = 'expired', updated_at = NOW() WHERE id = ?",
+          [booking.id]
+        );
+
+        await recordAudit(connection, {
+          actor: systemActor('hold sweeper'),
+          entityType: 'booking',
+          entityId: booking.id,
+          action: 'expired',
+          before: booking,
+          after: await loadEntity(connection, 'booking', booking.id)
+        });
+
+        return { productDateId: booking.product_date_id };
+      });
+
+      if (expired) {
+        expiredCount++;
+
+        // Offered as soon as the expiry commits, not on the next waitlist sweep
+        if (expired.productDateId) {
+          await offerFreedSeatsSafely(expired.productDateId);
+        }
+      }
+    } catch (error) {
+      console.error(`Error expiring hold for booking ${candidate.id}:`, error.message);
+    }
+  }
+
+  if (expiredCount > 0) {
+    console.log(`⏱️  Released ${expiredCount} expired seat hold(s)`);
+  }
+
+  return expiredCount;
+}
+
+// Run releaseExpiredHolds periodically inside the server process
+function startHoldSweeper() {
+  if (sweeperTimer) {
+    return;
+  }
+
+  const seconds = parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS) || DEFAULT_SWEEP_INTERVAL_SECONDS;
+
+  sweeperTimer = setInterval(async () => {
+    // Skip a tick rather than run two sweeps side by side
+    if (sweepInProgress) {
+      return;
+    }
+
+    sweepInProgress = true;
+    try {
+      await releaseExpiredHolds();
+    } catch (error) {
+      console.error('Seat hold sweeper error:', error.message);
+    } finally {
+      sweepInProgress = false;
+    }
+  }, seconds * 1000);
+
+  // Don't keep the process alive just for the sweeper
+  sweeperTimer.unref();
+}
+
+function stopHoldSweeper() {
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer);
+    sweeperTimer = null;
+  }
+}
+
+module.exports = {
+  getDefaultHoldMinutes,
+  getHoldMinutes,
+  startHold,
+  releaseExpiredHolds,
+  startHoldSweeper,
+  stopHoldSweeper
+};
@@ -0,0 +1,293 @@
+const { pool } = require('../config/database');
+const { escapeHtml } = require('./notification-templates');
+const { formatMoney } = require('./notifications');
+const { csvField } = require('./csv');
+
+// Departure manifest: who is coming on one date range, for the guides.
+// Lists every booking that holds seats on the departure (pending or paid;
+// cancelled, expired and deleted bookings are left out) with its lead
+// contact, payment status and travelers, plus seat totals.
+
+const MANIFEST_STATUSES = ['pending', 'completed'];
+
+// unpaid: checkout not completed; paid: order paid and no extra payment
+// outstanding; partially_paid: paid, but a change added seats not yet paid for
+function paymentStatus(booking) {
+  if (booking.status !== 'completed') {
+    return 'unpaid';
+  }
+  return Number(booking.pending_revision_payments) > 0 ? 'partially_paid' : 'paid';
+}
+
+// Manifest of a departure, or null when the date range does not belong to the product
+async function getManifest(productId, productDateId) {
+  const [departures] = await pool.execute(`
+    SELECT
+      d.id,
+      d.product_id,
+      p.product_name,
+      DATE_FORMAT(d.start_date, '%Y-%m-%d') as start_date,
+      DATE_FORMAT(d.end_date, '%Y-%m-%d') as end_date,
+      d.available_seats,
+      d.booked_seats,
+      d.is_active
+    FROM product_dates d
+    LEFT JOIN products p ON p.product_id = d.product_id
+    WHERE d.id = ? AND d.product_id = ?
+  `, [productDateId, productId]);
+
+  if (departures.length === 0) {
+    return null;
+  }
+
+  const departure = departures[0];
+
+  const [bookings] = await pool.execute(`
+    SELECT
+      b.id,
+      b.first_name,
+      b.last_name,
+      b.phone_number,
+      b.email,
+      b.quantity,
+      b.status,
+      b.paid_amount,
+      b.currency,
+      b.shopify_order_id,
+      b.hold_expires_at,
+      b.created_at,
+      (
+        SELECT COUNT(*) FROM booking_revisions r
+        WHERE r.booking_id = b.id AND r.payment_status = 'pending'
+      ) as pending_revision_payments
+    FROM booking_orders b
+    WHERE b.product_date_id = ?
+    AND b.status IN (${MANIFEST_STATUSES.map(() => '?').join(', ')})
+    AND b.deleted_at IS NULL
+    ORDER BY b.last_name ASC, b.first_name ASC, b.id ASC
+  `, [productDateId, ...MANIFEST_STATUSES]);
+
+  const [travelers] = bookings.length > 0
+    ? await pool.execute(`
+      SELECT
+        booking_id,
+        position,
+        first_name,
+        last_name,
+        DATE_FORMAT(date_of_birth, '%Y-%m-%d') as date_of_birth,
+        gender,
+        nationality,
+        document_type,
+        document_number,
+        emergency_contact_name,
+        emergency_contact_phone
+      FROM booking_travelers
+      WHERE booking_id IN (${bookings.map(() => '?').join(', ')})
+      ORDER BY booking_id ASC, position ASC
+    `, bookings.map(booking => booking.id))
+    : [[]];
+
+  const totals = {
+    bookings: bookings.length,
+    seats: 0,
+    paid_seats: 0,
+    unpaid_seats: 0,
+    travelers_listed: 0,
+    travelers_missing: 0
+  };
+
+  const manifestBookings = bookings.map(booking => {
+    const bookingTravelers = travelers
+      .filter(traveler => traveler.booking_id === booking.id)
+      .map(({ booking_id, ...traveler }) => traveler);
+    const status = paymentStatus(booking);
+
+    totals.seats += booking.quantity;
+    totals[status === 'unpaid' ? 'unpaid_seats' : 'paid_seats'] += booking.quantity;
+    totals.travelers_listed += bookingTravelers.length;
+    totals.travelers_missing += Math.max(0, booking.quantity - bookingTravelers.length);
+
+    return {
+      booking_id: booking.id,
+      first_name: booking.first_name,
+      last_name: booking.last_name,
+      phone_number: booking.phone_number,
+      email: booking.email,
+      quantity: booking.quantity,
+      status: booking.status,
+      payment_status: status,
+      paid_amount: booking.paid_amount,
+      currency: booking.currency,
+      shopify_order_id: booking.shopify_order_id,
+      hold_expires_at: booking.status === 'pending' ? booking.hold_expires_at : null,
+      travelers: bookingTravelers
+    };
+  });
+
+  return {
+    departure: {
+      ...departure,
+      remaining_seats: departure.available_seats - departure.booked_seats
+    },
+    totals,
+    bookings: manifestBookings,
+    generated_at: new Date().toISOString()
+  };
+}
+
+const CSV_COLUMNS = [
+  'Booking ID', 'Booking Status', 'Payment Status', 'Paid Amount', 'Seats',
+  'Lead First Name', 'Lead Last Name', 'Lead Phone', 'Lead Email',
+  'Traveler #', 'Traveler First Name', 'Traveler Last Name', 'Date of Birth', 'Gender', 'Nationality',
+  'Document Type', 'Document Number', 'Emergency Contact', 'Emergency Phone'
+];
+
+// One row per traveler; a booking without traveler details gets one row with the traveler columns empty
+function manifestToCsv(manifest) {
+  const rows = [CSV_COLUMNS];
+
+  manifest.bookings.forEach(booking => {
+    const bookingColumns = [
+      booking.booking_id,
+      booking.status,
+      booking.payment_status,
+      formatMoney(booking.paid_amount, booking.currency),
+      booking.quantity,
+      booking.first_name,
+      booking.last_name,
+      booking.phone_number,
+      booking.email
+    ];
+
+    const travelers = booking.travelers.length > 0 ? booking.travelers : [null];
+    travelers.forEach(traveler => {
+      rows.push([
+        ...bookingColumns,
+        ...(traveler
+          ? [
+            traveler.position,
+            traveler.first_name,
+            traveler.last_name,
+            traveler.date_of_birth,
+            traveler.gender,
+            traveler.nationality,
+            traveler.document_type,
+            traveler.document_number,
+            traveler.emergency_contact_name,
+            traveler.emergency_contact_phone
+          ]
+          : Array(10).fill(null))
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function manifestTitle(manifest) {
+  const { departure } = manifest;
+  return `${departure.product_name || `Product ${departure.product_id}`}: ${departure.start_date} - ${departure.end_date}`;
+}
+
+// Printable page for the guides; the browser's print dialog saves it as PDF
+function manifestToHtml(manifest) {
+  const { departure, totals } = manifest;
+  const cell = value => (value === null || value === undefined ? '' : escapeHtml(value));
+
+  const bookingRows = manifest.bookings.map(booking => {
+    const travelerRows = booking.travelers.map(traveler => `
+          <tr class="traveler">
+            <td>${cell(traveler.position)}</td>
+            <td>${cell(traveler.first_name)} ${cell(traveler.last_name)}</td>
+            <td>${cell(traveler.date_of_birth)}</td>
+            <td>${cell(traveler.gender)}</td>
+            <td>${cell(traveler.nationality)}</td>
+            <td>${traveler.document_number ? `${cell(traveler.document_type.toUpperCase())} ${cell(traveler.document_number)}` : ''}</td>
+            <td>${cell(traveler.emergency_contact_name)} ${cell(traveler.emergency_contact_phone)}</td>
+          </tr>`).join('');
+
+    const missing = booking.quantity - booking.travelers.length;
+
+    return `
+        <tbody class="booking">
+          <tr class="lead">
+            <th colspan="7">
+              #${cell(booking.booking_id)} ${cell(booking.first_name)} ${cell(booking.last_name)}
+              · ${cell(booking.quantity)} seat(s)
+              · ${cell(booking.phone_number)} · ${cell(booking.email)}
+              · <span class="payment ${cell(booking.payment_status)}">${cell(booking.payment_status.replace('_', ' '))}</span>
+              ${booking.paid_amount !== null ? `(${cell(formatMoney(booking.paid_amount, booking.currency))})` : ''}
+            </th>
+          </tr>${travelerRows}${missing > 0 ? `
+          <tr class="traveler missing"><td colspan="7">${missing} traveler(s) without details</td></tr>` : ''}
+        </tbody>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Manifest - ${cell(manifestTitle(manifest))}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .meta { color: #666; margin-bottom: 16px; }
+    .totals { display: flex; gap: 24px; margin-bottom: 16px; }
+    .totals div { border: 1px solid #ddd; padding: 8px 12px; }
+    .totals strong { display: block; font-size: 16px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+    thead th { background: #f0f0f0; }
+    tr.lead th { background: #fafafa; font-weight: normal; }
+    tr.missing td { color: #b00; font-style: italic; }
+    .payment.unpaid, .payment.partially_paid { color: #b00; font-weight: bold; }
+    .payment.paid { color: #070; }
+    tbody.booking { page-break-inside: avoid; }
+    .print-button { float: right; padding: 6px 12px; }
+    @media print { .print-button { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+  <h1>${cell(manifestTitle(manifest))}</h1>
+  <div class="meta">
+    Departure #${cell(departure.id)}${departure.is_active ? '' : ' (inactive)'} · Generated ${cell(manifest.generated_at.slice(0, 16).replace('T', ' '))} UTC
+  </div>
+  <div class="totals">
+    <div><strong>${totals.bookings}</strong>bookings</div>
+    <div><strong>${totals.seats}</strong>seats booked</div>
+    <div><strong>${totals.paid_seats}</strong>paid seats</div>
+    <div><strong>${totals.unpaid_seats}</strong>unpaid seats</div>
+    <div><strong>${departure.booked_seats} / ${departure.available_seats}</strong>seats taken on departure</div>
+    <div><strong>${totals.travelers_missing}</strong>travelers without details</div>
+  </div>
+  ${manifest.bookings.length === 0 ? '<p>No bookings for this departure.</p>' : `
+  <table>
+    <thead>
+      <tr>
+        <th>#</th>
+        <th>Traveler</th>
+        <th>Date of Birth</th>
+        <th>Gender</th>
+        <th>Nationality</th>
+        <th>Document</th>
+        <th>Emergency Contact</th>
+      </tr>
+    </thead>${bookingRows}
+  </table>`}
+</body>
+</html>
+`;
+}
+
+// File name for downloads, e.g. manifest_2024-05-01_12.csv
+function manifestFilename(manifest, extension) {
+  return `manifest_${manifest.departure.start_date}_${manifest.departure.id}.${extension}`;
+}
+
+module.exports = {
+  getManifest,
+  manifestToCsv,
+  manifestToHtml,
+  manifestFilename
+};
@@ -0,0 +1,335 @@
+const { pool } = require('../config/database');
+
+// Built-in email templates. Staff can override any of them through
+// /api/admin/notification-templates; the override is kept in
+// notification_templates and "reset" deletes it again.
+//
+// Placeholders are {{name}}. In body_html values are HTML-escaped;
+// a placeholder without a value renders as an empty string.
+
+// Available in every template that is about a booking
+const BOOKING_VARIABLES = [
+  'booking_id',
+  'first_name',
+  'last_name',
+  'email',
+  'phone_number',
+  'product_name',
+  'quantity',
+  'booking_dates',
+  'first_date',
+  'last_date',
+  'departure_start',
+  'departure_end',
+  'status',
+  'checkout_url',
+  'hold_expires_at',
+  // Link to the booking's .ics file; empty unless CALENDAR_FEED_SECRET is set
+  'calendar_url'
+];
+
+const DEFAULT_TEMPLATES = {
+  booking_confirmation: {
+    description: 'Sent when a booking is created (also when a waitlist offer is claimed)',
+    variables: BOOKING_VARIABLES,
+    subject: 'Your booking #{{booking_id}} for {{product_name}}',
+    body_text: [
+      'Hi {{first_name}},',
+      '',
+      'Thank you for booking {{product_name}}.',
+      '',
+      'Booking: #{{booking_id}}',
+      'Dates: {{booking_dates}}',
+      'Travelers: {{quantity}}',
+      '',
+      'Your seats are held until {{hold_expires_at}}. Complete your payment here to confirm them:',
+      '{{checkout_url}}',
+      '',
+      'See you soon!'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>Thank you for booking <strong>{{product_name}}</strong>.</p>',
+      '<p>Booking: #{{booking_id}}<br>Dates: {{booking_dates}}<br>Travelers: {{quantity}}</p>',
+      '<p>Your seats are held until {{hold_expires_at}}.</p>',
+      '<p><a href="{{checkout_url}}">Complete your payment</a> to confirm them.</p>',
+      '<p>See you soon!</p>'
+    ].join('\n')
+  },
+
+  payment_received: {
+    description: 'Sent when Shopify reports the booking paid',
+    variables: [...BOOKING_VARIABLES, 'paid_amount'],
+    subject: 'Payment received for booking #{{booking_id}}',
+    body_text: [
+      'Hi {{first_name}},',
+      '',
+      'We received your payment of {{paid_amount}}. Your booking is confirmed.',
+      '',
+      'Booking: #{{booking_id}}',
+      'Trip: {{product_name}}',
+      'Dates: {{booking_dates}}',
+      'Travelers: {{quantity}}',
+      '',
+      'See you on {{first_date}}!'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>We received your payment of {{paid_amount}}. Your booking is confirmed.</p>',
+      '<p>Booking: #{{booking_id}}<br>Trip: {{product_name}}<br>Dates: {{booking_dates}}<br>Travelers: {{quantity}}</p>',
+      '<p>See you on {{first_date}}!</p>'
+    ].join('\n')
+  },
+
+  booking_cancelled: {
+    description: 'Sent when a booking is cancelled by staff or in Shopify',
+    variables: [...BOOKING_VARIABLES, 'cancellation_reason', 'refund_amount'],
+    subject: 'Booking #{{booking_id}} cancelled',
+    body_text: [
+      'Hi {{first_name}},',
+      '',
+      'Your booking #{{booking_id}} for {{product_name}} on {{booking_dates}} has been cancelled.',
+      '{{cancellation_reason}}',
+      '',
+      'Refund: {{refund_amount}}',
+      '',
+      'If you have any questions, just reply to this email.'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>Your booking #{{booking_id}} for <strong>{{product_name}}</strong> on {{booking_dates}} has been cancelled.</p>',
+      '<p>{{cancellation_reason}}</p>',
+      '<p>Refund: {{refund_amount}}</p>',
+      '<p>If you have any questions, just reply to this email.</p>'
+    ].join('\n')
+  },
+
+  booking_changed: {
+    description: 'Sent when staff change the dates, departure, travelers or contact details of a booking',
+    variables: [...BOOKING_VARIABLES, 'changes', 'price_difference', 'payment_url'],
+    subject: 'Your booking #{{booking_id}} was updated',
+    body_text: [
+      'Hi {{first_name}},',
+      '',
+      'Your booking #{{booking_id}} for {{product_name}} was updated:',
+      '{{changes}}',
+      '',
+      'Dates: {{booking_dates}}',
+      'Travelers: {{quantity}}',
+      '',
+      'Price difference: {{price_difference}}',
+      '{{payment_url}}'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>Your booking #{{booking_id}} for <strong>{{product_name}}</strong> was updated:</p>',
+      '<pre>{{changes}}</pre>',
+      '<p>Dates: {{booking_dates}}<br>Travelers: {{quantity}}</p>',
+      '<p>Price difference: {{price_difference}}</p>',
+      '<p><a href="{{payment_url}}">{{payment_url}}</a></p>'
+    ].join('\n')
+  },
+
+  departure_reminder: {
+    description: 'Sent before departure, following the reminder schedule of the product',
+    variables: [...BOOKING_VARIABLES, 'days_until_departure'],
+    subject: '{{product_name}} starts in {{days_until_departure}} day(s)',
+    body_text: [
+      'Hi {{first_name}},',
+      '',
+      'Your trip is coming up: {{product_name}} starts on {{departure_start}}.',
+      '',
+      'Booking: #{{booking_id}}',
+      'Dates: {{booking_dates}}',
+      'Travelers: {{quantity}}',
+      '',
+      'If anything has changed, just reply to this email. See you soon!'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>Your trip is coming up: <strong>{{product_name}}</strong> starts on {{departure_start}}.</p>',
+      '<p>Booking: #{{booking_id}}<br>Dates: {{booking_dates}}<br>Travelers: {{quantity}}</p>',
+      '<p>If anything has changed, just reply to this email. See you soon!</p>'
+    ].join('\n')
+  },
+
+  trip_follow_up: {
+    description: 'Sent after the trip, following the reminder schedule of the product',
+    variables: [...BOOKING_VARIABLES, 'feedback_url'],
+    subject: 'How was {{product_name}}?',
+    body_text: [
+      'Hi {{first_name}},',
+      '',
+      'Thank you for traveling with us on {{product_name}}. We would love to hear how it went:',
+      '{{feedback_url}}',
+      '',
+      'We hope to see you again soon!'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>Thank you for traveling with us on <strong>{{product_name}}</strong>.</p>',
+      '<p><a href="{{feedback_url}}">Tell us how it went</a></p>',
+      '<p>We hope to see you again soon!</p>'
+    ].join('\n')
+  },
+
+  waitlist_offer: {
+    description: 'Sent when seats are offered to a waitlist entry',
+    variables: ['first_name', 'last_name', 'email', 'product_name', 'quantity', 'booking_dates', 'departure_start', 'departure_end', 'claim_url', 'offer_expires_at'],
+    subject: 'Seats are available for {{product_name}}',
+    body_text: [
+      'Hi {{first_name}},',
+      '',
+      'Good news: {{quantity}} seat(s) opened up for {{product_name}} on {{booking_dates}}.',
+      '',
+      'They are reserved for you until {{offer_expires_at}}. Claim them here:',
+      '{{claim_url}}'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>Good news: {{quantity}} seat(s) opened up for <strong>{{product_name}}</strong> on {{booking_dates}}.</p>',
+      '<p>They are reserved for you until {{offer_expires_at}}.</p>',
+      '<p><a href="{{claim_url}}">Claim your seats</a></p>'
+    ].join('\n')
+  }
+};
+
+const PLACEHOLDER_REGEX = /{{\s*([a-z_]+)\s*}}/g;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderString(template, variables, { html = false } = {}) {
+  return template.replace(PLACEHOLDER_REGEX, (match, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+// Placeholders used by a template that it does not provide
+function findUnknownPlaceholders(key, fields) {
+  const allowed = DEFAULT_TEMPLATES[key].variables;
+  const unknown = new Set();
+
+  Object.values(fields).forEach(text => {
+    for (const match of String(text || '').matchAll(PLACEHOLDER_REGEX)) {
+      if (!allowed.includes(match[1])) {
+        unknown.add(match[1]);
+      }
+    }
+  });
+
+  return [...unknown];
+}
+
+// The template in use: the staff override when there is one, else the default
+async function getTemplate(key) {
+  const defaults = DEFAULT_TEMPLATES[key];
+  if (!defaults) {
+    return null;
+  }
+
+  const [rows] = await pool.execute(
+    'SELECT subject, body_text, body_html, updated_by, updated_at FROM notification_templates WHERE template_key = ?',
+    [key]
+  );
+
+  const template = {
+    key,
+    description: defaults.description,
+    variables: defaults.variables,
+    customized: rows.length > 0,
+    subject: defaults.subject,
+    body_text: defaults.body_text,
+    body_html: defaults.body_html,
+    updated_by: null,
+    updated_at: null
+  };
+
+  if (rows.length > 0) {
+    Object.assign(template, rows[0]);
+  }
+
+  return template;
+}
+
+async function listTemplates() {
+  return Promise.all(Object.keys(DEFAULT_TEMPLATES).map(getTemplate));
+}
+
+// Store a staff override. Returns { success: true, template } or { success: false, status, error }.
+async function saveTemplate(key, { subject, body_text, body_html }, staffId) {
+  if (!DEFAULT_TEMPLATES[key]) {
+    return { success: false, status: 404, error: 'Unknown notification template' };
+  }
+
+  if (!subject || !String(subject).trim() || !body_text || !String(body_text).trim()) {
+    return { success: false, status: 400, error: 'subject and body_text are required' };
+  }
+
+  const unknown = findUnknownPlaceholders(key, { subject, body_text, body_html });
+  if (unknown.length > 0) {
+    return {
+      success: false,
+      status: 400,
+      error: `Unknown placeholders: ${unknown.join(', ')}. Available: ${DEFAULT_TEMPLATES[key].variables.join(', ')}`
+    };
+  }
+
+  await pool.execute(`
+    INSERT INTO notification_templates (template_key, subject, body_text, body_html, updated_by)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      subject = VALUES(subject),
+      body_text = VALUES(body_text),
+      body_html = VALUES(body_html),
+      updated_by = VALUES(updated_by)
+  `, [key, String(subject).trim(), body_text, body_html || null, staffId || null]);
+
+  return { success: true, template: await getTemplate(key) };
+}
+
+// Drop the override so the built-in template is used again
+async function resetTemplate(key) {
+  if (!DEFAULT_TEMPLATES[key]) {
+    return { success: false, status: 404, error: 'Unknown notification template' };
+  }
+
+  await pool.execute('DELETE FROM notification_templates WHERE template_key = ?', [key]);
+
+  return { success: true, template: await getTemplate(key) };
+}
+
+// Render a template for sending: { subject, text, html }
+async function renderTemplate(key, variables) {
+  const template = await getTemplate(key);
+  if (!template) {
+    throw new Error(`Unknown notification template "${key}"`);
+  }
+
+  return {
+    subject: renderString(template.subject, variables).replace(/\s+/g, ' ').trim(),
+    text: renderString(template.body_text, variables),
+    html: template.body_html ? renderString(template.body_html, variables, { html: true }) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  escapeHtml,
+  renderString,
+  getTemplate,
+  listTemplates,
+  saveTemplate,
+  resetTemplate,
+  renderTemplate
+};
@@ -0,0 +1,409 @@
+const { pool } = require('../config/database');
+const { getTransport, getMailFrom } = require('../config/mailer');
+const { renderTemplate } = require('./notification-templates');
+const { isCalendarConfigured, bookingCalendarUrl, bookingCalendar } = require('./calendar');
+
+// Customer emails. Every message is rendered when it is queued and stored in
+// the notifications table, then sent through the configured mail transport.
+// A failed send is retried with backoff by the sweeper below until it
+// succeeds or runs out of attempts. Nothing here throws into the booking
+// flow: a broken mail server must never fail a booking.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_SWEEP_INTERVAL_SECONDS = 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+// A send that has not finished after this long is assumed lost (e.g. the process died)
+const STALE_SENDING_MINUTES = 10;
+
+// Booking emails that carry the trip as an .ics attachment
+const CALENDAR_TEMPLATES = ['booking_confirmation', 'payment_received', 'booking_changed'];
+
+let sweeperTimer = null;
+let sweepInProgress = false;
+
+function getMaxAttempts() {
+  const attempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS);
+  return attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+// 1, 2, 4, 8 ... minutes after each failed attempt
+function getBackoffSeconds(attempts) {
+  return Math.min(MAX_BACKOFF_SECONDS, 60 * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+function formatDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+function formatDateTime(value) {
+  if (!value) {
+    return null;
+  }
+  return `${new Date(value).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) {
+    return null;
+  }
+  return `${Number(amount).toFixed(2)}${currency ? ' ' + currency : ''}`;
+}
+
+// Template variables shared by every booking email
+async function loadBookingVariables(bookingId) {
+  const [rows] = await pool.execute(`
+    SELECT
+      b.*,
+      p.product_name,
+      d.start_date as departure_start,
+      d.end_date as departure_end
+    FROM booking_orders b
+    LEFT JOIN products p ON p.product_id = b.product_id
+    LEFT JOIN product_dates d ON d.id = b.product_date_id
+    WHERE b.id = ?
+  `, [bookingId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const booking = rows[0];
+  const dates = [...(typeof booking.booking_dates === 'string' ? JSON.parse(booking.booking_dates) : booking.booking_dates)].sort();
+
+  return {
+    booking,
+    variables: {
+      booking_id: booking.id,
+      first_name: booking.first_name,
+      last_name: booking.last_name,
+      email: booking.email,
+      phone_number: booking.phone_number,
+      product_name: booking.product_name || `Product ${booking.product_id}`,
+      quantity: booking.quantity,
+      booking_dates: dates.join(', '),
+      first_date: dates[0],
+      last_date: dates[dates.length - 1],
+      departure_start: formatDate(booking.departure_start),
+      departure_end: formatDate(booking.departure_end),
+      status: booking.status,
+      checkout_url: booking.shopify_checkout_url,
+      hold_expires_at: formatDateTime(booking.hold_expires_at),
+      paid_amount: formatMoney(booking.paid_amount, booking.currency),
+      calendar_url: isCalendarConfigured() ? bookingCalendarUrl(booking.id) : null
+    }
+  };
+}
+
+// Render and store a notification, then send it in the background.
+// Returns the notification id, or null when notifications are switched off.
+async function queueNotification({ template, to, bookingId = null, waitlistEntryId = null, variables }) {
+  const transport = getTransport();
+  if (!transport) {
+    return null;
+  }
+
+  const message = await renderTemplate(template, variables);
+
+  const [result] = await pool.execute(`
+    INSERT INTO notifications
+    (template, booking_id, waitlist_entry_id, recipient, subject, body_text, body_html, transport)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [template, bookingId, waitlistEntryId, to, message.subject, message.text, message.html, transport.name]);
+
+  // The caller does not wait for the mail server
+  deliverNotification(result.insertId).catch(error => {
+    console.error(`Error sending notification ${result.insertId}:`, error.message);
+  });
+
+  return result.insertId;
+}
+
+// Email the customer of a booking. `extra` adds or overrides template variables.
+async function notifyBooking(template, bookingId, extra = {}) {
+  try {
+    const loaded = await loadBookingVariables(bookingId);
+    if (!loaded) {
+      return null;
+    }
+
+    return await queueNotification({
+      template,
+      to: loaded.booking.email,
+      bookingId,
+      variables: { ...loaded.variables, ...extra }
+    });
+  } catch (error) {
+    console.error(`Error queuing ${template} email for booking ${bookingId}:`, error.message);
+    return null;
+  }
+}
+
+// Email a waitlist entry the link to claim the seats offered to it
+async function notifyWaitlistOffer(entryId, claimUrl) {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT
+        w.*,
+        p.product_name,
+        d.start_date as departure_start,
+        d.end_date as departure_end
+      FROM waitlist_entries w
+      LEFT JOIN products p ON p.product_id = w.product_id
+      LEFT JOIN product_dates d ON d.id = w.product_date_id
+      WHERE w.id = ?
+    `, [entryId]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const entry = rows[0];
+    const dates = [...(typeof entry.booking_dates === 'string' ? JSON.parse(entry.booking_dates) : entry.booking_dates)].sort();
+
+    return await queueNotification({
+      template: 'waitlist_offer',
+      to: entry.email,
+      waitlistEntryId: entry.id,
+      variables: {
+        first_name: entry.first_name,
+        last_name: entry.last_name,
+        email: entry.email,
+        product_name: entry.product_name || `Product ${entry.product_id}`,
+        quantity: entry.quantity,
+        booking_dates: dates.join(', '),
+        departure_start: formatDate(entry.departure_start),
+        departure_end: formatDate(entry.departure_end),
+        claim_url: claimUrl,
+        offer_expires_at: formatDateTime(entry.offer_expires_at)
+      }
+    });
+  } catch (error) {
+    console.error(`Error queuing waitlist offer email for entry ${entryId}:`, error.message);
+    return null;
+  }
+}
+
+// The booking's calendar file, built when the email is sent so it has the
+// latest dates. A failure only leaves the attachment out.
+async function buildAttachments(notification) {
+  if (!notification.booking_id || !CALENDAR_TEMPLATES.includes(notification.template)) {
+    return undefined;
+  }
+
+  try {
+    const calendar = await bookingCalendar(notification.booking_id);
+    return calendar
+      ? [{ filename: calendar.filename, content: calendar.content, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }]
+      : undefined;
+  } catch (error) {
+    console.warn(`⚠️  Could not attach the calendar of booking ${notification.booking_id}:`, error.message);
+    return undefined;
+  }
+}
+
+// Send one stored notification. Only pending and failed notifications are sent,
+// and claiming the row first keeps the sweeper and a manual retry from both sending it.
+async function deliverNotification(notificationId) {
+  const [claimed] = await pool.execute(`
+    UPDATE notifications
+    SET status = 'sending', attempts = attempts + 1
+    WHERE id = ? AND status IN ('pending', 'failed')
+  `, [notificationId]);
+
+  if (claimed.affectedRows === 0) {
+    return { sent: false, skipped: true };
+  }
+
+  const [rows] = await pool.execute('SELECT * FROM notifications WHERE id = ?', [notificationId]);
+  const notification = rows[0];
+
+  try {
+    const transport = getTransport();
+    if (!transport) {
+      throw new Error('Notifications are switched off (MAIL_TRANSPORT=none)');
+    }
+
+    const info = await transport.send({
+      from: getMailFrom(),
+      to: notification.recipient,
+      subject: notification.subject,
+      text: notification.body_text,
+      html: notification.body_html || undefined,
+      attachments: await buildAttachments(notification)
+    });
+
+    await pool.execute(`
+      UPDATE notifications
+      SET status = 'sent', message_id = ?, sent_at = NOW(), last_error = NULL, next_attempt_at = NULL
+      WHERE id = ?
+    `, [info.messageId || null, notificationId]);
+
+    return { sent: true };
+  } catch (error) {
+    const giveUp = notification.attempts >= getMaxAttempts();
+
+    await pool.execute(`
+      UPDATE notifications
+      SET status = ?, last_error = ?, next_attempt_at = ${giveUp ? 'NULL' : 'DATE_ADD(NOW(), INTERVAL ? SECOND)'}
+      WHERE id = ?
+    `, giveUp
+      ? ['abandoned', error.message, notificationId]
+      : ['failed', error.message, getBackoffSeconds(notification.attempts), notificationId]);
+
+    console.warn(`⚠️  Notification ${notificationId} to ${notification.recipient} failed (attempt ${notification.attempts}):`, error.message);
+
+    return { sent: false, error: error.message };
+  }
+}
+
+// Send a notification again now, including one that ran out of attempts
+async function retryNotification(notificationId) {
+  const [rows] = await pool.execute('SELECT status FROM notifications WHERE id = ?', [notificationId]);
+
+  if (rows.length === 0) {
+    return { success: false, status: 404, error: 'Notification not found' };
+  }
+
+  if (!['failed', 'abandoned'].includes(rows[0].status)) {
+    return { success: false, status: 409, error: `A ${rows[0].status} notification cannot be retried` };
+  }
+
+  await pool.execute(
+    "UPDATE notifications SET status = 'failed', next_attempt_at = NOW() WHERE id = ? AND status IN ('failed', 'abandoned')",
+    [notificationId]
+  );
+
+  const result = await deliverNotification(notificationId);
+  const [updated] = await pool.execute('SELECT * FROM notifications WHERE id = ?', [notificationId]);
+
+  return { success: true, sent: result.sent, notification: updated[0] };
+}
+
+// Retry failed notifications that are due, and pick up sends that were lost
+async function processNotifications() {
+  await pool.execute(`
+    UPDATE notifications
+    SET status = 'failed', last_error = 'Send interrupted', next_attempt_at = NOW()
+    WHERE status = 'sending'
+    AND updated_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `, [STALE_SENDING_MINUTES]);
+
+  const [due] = await pool.execute(`
+    SELECT id
+    FROM notifications
+    WHERE (status = 'failed' AND next_attempt_at <= NOW())
+    OR (status = 'pending' AND created_at <= DATE_SUB(NOW(), INTERVAL 1 MINUTE))
+    ORDER BY id ASC
+    LIMIT 50
+  `);
+
+  let sentCount = 0;
+  for (const notification of due) {
+    const result = await deliverNotification(notification.id);
+    if (result.sent) {
+      sentCount++;
+    }
+  }
+
+  if (sentCount > 0) {
+    console.log(`📧 Sent ${sentCount} notification(s) on retry`);
+  }
+
+  return sentCount;
+}
+
+async function listNotifications({ status, booking_id, template, limit = 50 } = {}) {
+  const limitNum = Math.min(500, Math.max(1, parseInt(limit) || 50));
+
+  let whereClause = 'WHERE 1=1';
+  const queryParams = [];
+
+  if (status) {
+    whereClause += ' AND status = ?';
+    queryParams.push(status);
+  }
+
+  if (booking_id) {
+    whereClause += ' AND booking_id = ?';
+    queryParams.push(booking_id);
+  }
+
+  if (template) {
+    whereClause += ' AND template = ?';
+    queryParams.push(template);
+  }
+
+  const [rows] = await pool.execute(`
+    SELECT
+      id,
+      template,
+      booking_id,
+      waitlist_entry_id,
+      recipient,
+      subject,
+      transport,
+      status,
+      attempts,
+      last_error,
+      next_attempt_at,
+      message_id,
+      sent_at,
+      created_at
+    FROM notifications
+    ${whereClause}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `, [...queryParams, limitNum]);
+
+  return rows;
+}
+
+// Run processNotifications periodically inside the server process
+function startNotificationSweeper() {
+  if (sweeperTimer) {
+    return;
+  }
+
+  const seconds = parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_SECONDS) || DEFAULT_SWEEP_INTERVAL_SECONDS;
+
+  sweeperTimer = setInterval(async () => {
+    if (sweepInProgress) {
+      return;
+    }
+
+    sweepInProgress = true;
+    try {
+      await processNotifications();
+    } catch (error) {
+      console.error('Notification sweeper error:', error.message);
+    } finally {
+      sweepInProgress = false;
+    }
+  }, seconds * 1000);
+
+  sweeperTimer.unref();
+}
+
+function stopNotificationSweeper() {
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer);
+    sweeperTimer = null;
+  }
+}
+
+module.exports = {
+  formatMoney,
+  loadBookingVariables,
+  queueNotification,
+  notifyBooking,
+  notifyWaitlistOffer,
+  deliverNotification,
+  retryNotification,
+  processNotifications,
+  listNotifications,
+  startNotificationSweeper,
+  stopNotificationSweeper
+};
@@ -0,0 +1,228 @@
+const { pool, withTransaction } = require('../config/database');
+const { systemActor, loadEntity, recordAudit } = require('./audit');
+const { releaseSeats } = require('./seats');
+const { offerFreedSeatsSafely } = require('./waitlist');
+
+// Deleting an order only moves it to the trash: deleted_at is set and the
+// order is hidden from listings, statistics and exports until it is
+// restored. Orders that stay in the trash for ORDER_PURGE_DAYS are removed
+// for good by the purger below, together with their revisions, cancellation,
+// reminders and emails. Their audit log entries are kept as a timeline of
+// actions only: the snapshots (contact and passenger details) are redacted.
+// An order that still holds seats has to be cancelled before it can be
+// deleted, so the trash never hides seats that are taken.
+
+const DEFAULT_PURGE_DAYS = 30;
+const PURGE_INTERVAL_MINUTES = 60;
+const PURGE_BATCH_SIZE = 100;
+const SEAT_HOLDING_STATUSES = ['pending', 'completed'];
+
+let purgeTimer = null;
+let purgeInProgress = false;
+
+// Days an order stays in the trash; 0 keeps deleted orders forever
+function getPurgeDays() {
+  const days = parseInt(process.env.ORDER_PURGE_DAYS);
+  return days >= 0 ? days : DEFAULT_PURGE_DAYS;
+}
+
+// WHERE condition for the include_deleted filter of order listings:
+// "true" lists deleted orders too, "only" lists just the trash, anything else hides them
+function deletedFilter(includeDeleted, column = 'deleted_at') {
+  if (includeDeleted === 'true') {
+    return '';
+  }
+  if (includeDeleted === 'only') {
+    return ` AND ${column} IS NOT NULL`;
+  }
+  return ` AND ${column} IS NULL`;
+}
+
+// Move an order to the trash. Returns { success: true, booking } or { success: false, status, error }.
+async function softDeleteOrder(bookingId, actor) {
+  return withTransaction(async (connection) => {
+    const before = await loadEntity(connection, 'booking', bookingId, { forUpdate: true });
+
+    if (!before) {
+      return { success: false, status: 404, error: 'Order not found' };
+    }
+
+    if (before.deleted_at) {
+      return { success: false, status: 409, error: 'Order is already deleted' };
+    }
+
+    if (SEAT_HOLDING_STATUSES.includes(before.status)) {
+      return { success: false, status: 409, error: 'Order still holds seats; cancel it before deleting it' };
+    }
+
+    await connection.execute(
+      'UPDATE booking_orders SET deleted_at = NOW(), deleted_by = ? WHERE id = ?',
+      [actor.type === 'staff' ? actor.id : null, bookingId]
+    );
+
+    const booking = await loadEntity(connection, 'booking', bookingId);
+
+    await recordAudit(connection, {
+      actor,
+      entityType: 'booking',
+      entityId: bookingId,
+      action: 'deleted',
+      before,
+      after: booking
+    });
+
+    return { success: true, booking };
+  });
+}
+
+// Take an order out of the trash
+async function restoreOrder(bookingId, actor) {
+  return withTransaction(async (connection) => {
+    const before = await loadEntity(connection, 'booking', bookingId, { forUpdate: true });
+
+    if (!before) {
+      return { success: false, status: 404, error: 'Order not found' };
+    }
+
+    if (!before.deleted_at) {
+      return { success: false, status: 409, error: 'Order is not deleted' };
+    }
+
+    await connection.execute(
+      'UPDATE booking_orders SET deleted_at = NULL, deleted_by = NULL WHERE id = ?',
+      [bookingId]
+    );
+
+    const booking = await loadEntity(connection, 'booking', bookingId);
+
+    await recordAudit(connection, {
+      actor,
+      entityType: 'booking',
+      entityId: bookingId,
+      action: 'restored',
+      before,
+      after: booking
+    });
+
+    return { success: true, booking };
+  });
+}
+
+// Permanently remove orders that have been in the trash for ORDER_PURGE_DAYS.
+// Each order is removed in its own transaction. Returns the number purged.
+async function purgeDeletedOrders() {
+  const days = getPurgeDays();
+  if (days === 0) {
+    return 0;
+  }
+
+  const [candidates] = await pool.execute(`
+    SELECT id
+    FROM booking_orders
+    WHERE deleted_at IS NOT NULL
+    AND deleted_at <= DATE_SUB(NOW(), INTERVAL ? DAY)
+    ORDER BY deleted_at ASC
+    LIMIT ?
+  `, [days, PURGE_BATCH_SIZE]);
+
+  let purgedCount = 0;
+
+  for (const candidate of candidates) {
+    try {
+      const purged = await withTransaction(async (connection) => {
+        // Re-check under lock: the order may have been restored in the meantime
+        const booking = await loadEntity(connection, 'booking', candidate.id, { forUpdate: true });
+        if (!booking || !booking.deleted_at) {
+          return null;
+        }
+
+        // Orders trashed while still holding seats (or paid after they were
+        // trashed) give them back before they disappear
+        let freedProductDateId = null;
+        if (SEAT_HOLDING_STATUSES.includes(booking.status) && booking.product_date_id) {
+          await releaseSeats(connection, booking.product_date_id, booking.quantity);
+          freedProductDateId = booking.product_date_id;
+        }
+
+        // Earlier entries keep who did what and when, without the customer's data
+        const [redacted] = await connection.execute(`
+          UPDATE audit_log
+          SET before_values = NULL, after_values = NULL, details = NULL
+          WHERE entity_type = 'booking' AND entity_id = ?
+        `, [String(booking.id)]);
+
+        // The purge itself is recorded with ids only
+        await recordAudit(connection, {
+          actor: systemActor('order purge'),
+          entityType: 'booking',
+          entityId: booking.id,
+          action: 'purged',
+          details: { purge_days: days, redacted_entries: redacted.affectedRows }
+        });
+
+        // Sent emails hold the customer's name, address and booking details
+        await connection.execute('DELETE FROM notifications WHERE booking_id = ?', [booking.id]);
+        await connection.execute('DELETE FROM booking_orders WHERE id = ?', [booking.id]);
+
+        return { freedProductDateId };
+      });
+
+      if (purged) {
+        purgedCount++;
+
+        if (purged.freedProductDateId) {
+          await offerFreedSeatsSafely(purged.freedProductDateId);
+        }
+      }
+    } catch (error) {
+      console.error(`Error purging deleted order ${candidate.id}:`, error.message);
+    }
+  }
+
+  if (purgedCount > 0) {
+    console.log(`🗑️  Purged ${purgedCount} deleted order(s) older than ${days} days`);
+  }
+
+  return purgedCount;
+}
+
+// Run purgeDeletedOrders periodically inside the server process
+function startOrderPurger() {
+  if (purgeTimer) {
+    return;
+  }
+
+  purgeTimer = setInterval(async () => {
+    if (purgeInProgress) {
+      return;
+    }
+
+    purgeInProgress = true;
+    try {
+      await purgeDeletedOrders();
+    } catch (error) {
+      console.error('Order purge error:', error.message);
+    } finally {
+      purgeInProgress = false;
+    }
+  }, PURGE_INTERVAL_MINUTES * 60 * 1000);
+
+  purgeTimer.unref();
+}
+
+function stopOrderPurger() {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+}
+
+module.exports = {
+  getPurgeDays,
+  deletedFilter,
+  softDeleteOrder,
+  restoreOrder,
+  purgeDeletedOrders,
+  startOrderPurger,
+  stopOrderPurger
+};
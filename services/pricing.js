@@ -0,0 +1,330 @@
+const { pool } = require('../config/database');
+const { getVariant, isShopifyConfigured } = require('../config/shopify');
+
+// Departure pricing. A date range can carry pricing rules
+// (product_dates.pricing); without them a seat costs the variant price.
+//
+//   {
+//     "base_price": 300,                                  adult seat price, replaces the variant price
+//     "season": { "label": "Eid", "multiplier": 1.25 },   applied to every seat
+//     "early_bird": [{ "days_before": 60, "discount_percent": 15 }],
+//     "child": { "max_age": 11, "percent": 50 }           or { "max_age": 11, "price": 150 }
+//   }
+//
+// A quote prices each seat (adults and children), applies the season
+// multiplier, then the early-bird discount of the tier reached by the days
+// left until departure, then a promo code (see promo-codes.js) on what is
+// left. The quote is stored on the booking and is exactly
+// what its Shopify draft order charges.
+
+const MAX_MULTIPLIER = 10;
+const DEFAULT_CHILD_MAX_AGE = 11;
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function isNonNegativeNumber(value) {
+  return value !== null && value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+}
+
+// Validate pricing rules. Returns { success: true, pricing } (null for no rules) or { success: false, error }.
+function parsePricing(value) {
+  if (value === null || value === undefined || value === '') {
+    return { success: true, pricing: null };
+  }
+
+  let input = value;
+  if (typeof value === 'string') {
+    try {
+      input = JSON.parse(value);
+    } catch (error) {
+      return { success: false, error: 'pricing must be a JSON object' };
+    }
+  }
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { success: false, error: 'pricing must be an object' };
+  }
+
+  const pricing = {};
+
+  if (input.base_price !== undefined && input.base_price !== null) {
+    if (!isNonNegativeNumber(input.base_price)) {
+      return { success: false, error: 'pricing.base_price must be a non-negative amount' };
+    }
+    pricing.base_price = round(Number(input.base_price));
+  }
+
+  if (input.season !== undefined && input.season !== null) {
+    const multiplier = Number(input.season.multiplier);
+    if (!Number.isFinite(multiplier) || multiplier <= 0 || multiplier > MAX_MULTIPLIER) {
+      return { success: false, error: `pricing.season.multiplier must be above 0 and at most ${MAX_MULTIPLIER}` };
+    }
+    pricing.season = {
+      label: typeof input.season.label === 'string' && input.season.label.trim() !== '' ? input.season.label.trim() : 'Season',
+      multiplier
+    };
+  }
+
+  if (input.early_bird !== undefined && input.early_bird !== null) {
+    if (!Array.isArray(input.early_bird)) {
+      return { success: false, error: 'pricing.early_bird must be a list of { days_before, discount_percent } tiers' };
+    }
+
+    const valid = input.early_bird.every(tier =>
+      tier &&
+      Number.isInteger(Number(tier.days_before)) && Number(tier.days_before) >= 1 &&
+      Number.isFinite(Number(tier.discount_percent)) && Number(tier.discount_percent) > 0 && Number(tier.discount_percent) <= 100
+    );
+
+    if (!valid) {
+      return { success: false, error: 'pricing.early_bird tiers need days_before (1 or more) and discount_percent (above 0, at most 100)' };
+    }
+
+    pricing.early_bird = input.early_bird
+      .map(tier => ({ days_before: Number(tier.days_before), discount_percent: Number(tier.discount_percent) }))
+      .sort((a, b) => b.days_before - a.days_before);
+  }
+
+  if (input.child !== undefined && input.child !== null) {
+    const child = input.child;
+    const hasPrice = child.price !== undefined && child.price !== null;
+    const hasPercent = child.percent !== undefined && child.percent !== null;
+
+    if (hasPrice === hasPercent) {
+      return { success: false, error: 'pricing.child needs either price or percent' };
+    }
+    if (hasPrice && !isNonNegativeNumber(child.price)) {
+      return { success: false, error: 'pricing.child.price must be a non-negative amount' };
+    }
+    if (hasPercent && (!isNonNegativeNumber(child.percent) || Number(child.percent) > 100)) {
+      return { success: false, error: 'pricing.child.percent must be from 0 to 100' };
+    }
+
+    const maxAge = child.max_age !== undefined && child.max_age !== null ? Number(child.max_age) : DEFAULT_CHILD_MAX_AGE;
+    if (!Number.isInteger(maxAge) || maxAge < 0 || maxAge > 17) {
+      return { success: false, error: 'pricing.child.max_age must be an age from 0 to 17' };
+    }
+
+    pricing.child = hasPrice
+      ? { max_age: maxAge, price: round(Number(child.price)) }
+      : { max_age: maxAge, percent: Number(child.percent) };
+  }
+
+  return { success: true, pricing: Object.keys(pricing).length > 0 ? pricing : null };
+}
+
+// Price of one seat: the mirrored variant price, else Shopify, else null (unknown)
+async function getUnitPrice(variantId) {
+  const [rows] = await pool.execute('SELECT price FROM product_variants WHERE variant_id = ?', [variantId]);
+  if (rows.length > 0 && rows[0].price !== null) {
+    return Number(rows[0].price);
+  }
+
+  if (isShopifyConfigured()) {
+    const result = await getVariant(variantId);
+    if (result.success && result.variant && result.variant.price !== undefined) {
+      return Number(result.variant.price);
+    }
+  }
+
+  return null;
+}
+
+function parseJsonColumn(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Departure with its pricing rules, or null
+async function getDeparturePricing(connection, productDateId) {
+  const [rows] = await connection.execute(`
+    SELECT
+      d.id,
+      d.product_id,
+      p.product_name,
+      DATE_FORMAT(d.start_date, '%Y-%m-%d') as start_date,
+      DATE_FORMAT(d.end_date, '%Y-%m-%d') as end_date,
+      d.pricing
+    FROM product_dates d
+    LEFT JOIN products p ON p.product_id = d.product_id
+    WHERE d.id = ?
+  `, [productDateId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return { ...rows[0], pricing: parseJsonColumn(rows[0].pricing) };
+}
+
+// Age in whole years on a YYYY-MM-DD date
+function ageOn(dateOfBirth, isoDate) {
+  const [birthYear, birthMonth, birthDay] = dateOfBirth.split('-').map(Number);
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return year - birthYear - (month < birthMonth || (month === birthMonth && day < birthDay) ? 1 : 0);
+}
+
+// Travelers who are children on the departure day, by their dates of birth
+function countChildren(travelers, departureStart, pricing) {
+  const maxAge = pricing && pricing.child ? pricing.child.max_age : DEFAULT_CHILD_MAX_AGE;
+  return (travelers || []).filter(traveler =>
+    traveler.date_of_birth && ageOn(traveler.date_of_birth, departureStart) <= maxAge
+  ).length;
+}
+
+function daysBetween(fromIsoDate, toIsoDate) {
+  return Math.round((Date.parse(`${toIsoDate}T00:00:00Z`) - Date.parse(`${fromIsoDate}T00:00:00Z`)) / 86400000);
+}
+
+function localIsoDate(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Discount of a promo code ({ code, discount_type, discount_value }) on an
+// amount; a fixed discount never takes more than the amount
+function promoDiscount(promo, amount) {
+  const value = Number(promo.discount_value);
+  const discount = promo.discount_type === 'percentage'
+    ? round(amount * Math.min(value, 100) / 100)
+    : Math.min(round(value), amount);
+
+  return {
+    type: 'promo',
+    label: `Promo code ${promo.code}`,
+    code: promo.code,
+    discount_type: promo.discount_type,
+    discount_value: value,
+    amount: discount
+  };
+}
+
+// Promo code applied by a stored quote, or null
+function getQuotePromo(quote) {
+  const discount = quote && (quote.discounts || []).find(candidate => candidate.type === 'promo');
+  return discount
+    ? { code: discount.code, discount_type: discount.discount_type, discount_value: discount.discount_value }
+    : null;
+}
+
+// Itemised price of a party on a departure. `asOf` is the day the early-bird
+// discount is judged from (the booking day); `promo` is a checked promo code.
+// Returns { success: true, quote } or { success: false, status, error }.
+function computeQuote(departure, { variantPrice, quantity, children = 0, asOf = new Date(), promo = null }) {
+  const pricing = departure.pricing || {};
+  const basePrice = pricing.base_price !== undefined ? pricing.base_price : variantPrice;
+
+  if (basePrice === null || basePrice === undefined) {
+    return { success: false, status: 422, error: 'No price is known for this variant; sync the catalog or set a base_price on the departure' };
+  }
+
+  if (!Number.isInteger(children) || children < 0 || children > quantity) {
+    return { success: false, status: 400, error: 'children must be a whole number from 0 to quantity' };
+  }
+
+  const multiplier = pricing.season ? pricing.season.multiplier : 1;
+  const adultUnit = round(basePrice * multiplier);
+  let childUnit = adultUnit;
+  if (pricing.child) {
+    childUnit = pricing.child.price !== undefined
+      ? round(pricing.child.price * multiplier)
+      : round(adultUnit * pricing.child.percent / 100);
+  }
+
+  const lineItems = [];
+  const adults = quantity - children;
+  if (adults > 0) {
+    lineItems.push({ type: 'adult', label: 'Adult', quantity: adults, unit_price: adultUnit, total: round(adultUnit * adults) });
+  }
+  if (children > 0) {
+    const label = pricing.child ? `Child (up to ${pricing.child.max_age})` : 'Child';
+    lineItems.push({ type: 'child', label, quantity: children, unit_price: childUnit, total: round(childUnit * children) });
+  }
+
+  const subtotal = round(lineItems.reduce((sum, line) => sum + line.total, 0));
+
+  const daysBeforeDeparture = daysBetween(localIsoDate(asOf), departure.start_date);
+  const discounts = [];
+  const tier = (pricing.early_bird || []).find(candidate => daysBeforeDeparture >= candidate.days_before);
+  if (tier) {
+    discounts.push({
+      type: 'early_bird',
+      label: `Early bird (${tier.days_before}+ days before departure)`,
+      percent: tier.discount_percent,
+      amount: round(subtotal * tier.discount_percent / 100)
+    });
+  }
+
+  if (promo) {
+    discounts.push(promoDiscount(promo, round(subtotal - discounts.reduce((sum, discount) => sum + discount.amount, 0))));
+  }
+
+  const total = round(subtotal - discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+  return {
+    success: true,
+    quote: {
+      product_id: departure.product_id,
+      product_name: departure.product_name || null,
+      product_date_id: departure.id,
+      start_date: departure.start_date,
+      end_date: departure.end_date,
+      quantity,
+      adults,
+      children,
+      price_source: pricing.base_price !== undefined ? 'departure' : 'variant',
+      base_price: basePrice,
+      season: pricing.season || null,
+      line_items: lineItems,
+      subtotal,
+      discounts,
+      total,
+      days_before_departure: daysBeforeDeparture,
+      // The plain variant price already charges this; otherwise the checkout carries the quoted lines
+      custom_price: lineItems.some(line => line.unit_price !== variantPrice) || discounts.length > 0,
+      quoted_at: new Date().toISOString()
+    }
+  };
+}
+
+// Quote a party on a departure of a product. Children are `children` when
+// given, else counted from the travelers' dates of birth.
+async function calculateQuote(connection, { productId, productDateId, variantPrice, quantity, children, travelers, asOf, promo }) {
+  const departure = await getDeparturePricing(connection, productDateId);
+
+  if (!departure || (productId !== undefined && String(departure.product_id) !== String(productId))) {
+    return { success: false, status: 404, error: 'Departure not found for this product' };
+  }
+
+  const childCount = children !== undefined && children !== null
+    ? Number(children)
+    : countChildren(travelers, departure.start_date, departure.pricing);
+
+  return computeQuote(departure, { variantPrice, quantity: Number(quantity), children: childCount, asOf, promo });
+}
+
+// Store a quote on a booking (inside the caller's transaction)
+async function saveBookingQuote(connection, bookingId, quote) {
+  await connection.execute(
+    'UPDATE booking_orders SET child_count = ?, quoted_price = ?, price_breakdown = ? WHERE id = ?',
+    [quote.children, quote.total, JSON.stringify(quote), bookingId]
+  );
+}
+
+// Stored quote of a booking row, or null for bookings priced by the variant alone
+function getBookingQuote(booking) {
+  return booking.price_breakdown ? parseJsonColumn(booking.price_breakdown) : null;
+}
+
+module.exports = {
+  parsePricing,
+  getUnitPrice,
+  getDeparturePricing,
+  countChildren,
+  computeQuote,
+  getQuotePromo,
+  calculateQuote,
+  saveBookingQuote,
+  getBookingQuote
+};
@@ -0,0 +1,401 @@
+const { pool, withTransaction } = require('../config/database');
+const { isIsoDate } = require('./seats');
+const { loadEntity, recordAudit } = require('./audit');
+
+// Promo codes for campaigns. A code takes a percentage or a fixed amount off
+// a booking's quoted price (see pricing.js) and can be limited to a date
+// window, some products, a minimum party size, and a number of uses in total
+// and per email. Every use is a promo_redemptions row tied to the booking;
+// only bookings that still hold seats (pending or paid, not deleted) count
+// towards the limits, so a cancelled or expired booking gives its use back.
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const CODE_REGEX = /^[A-Z0-9_-]{3,50}$/;
+
+// Statuses of bookings whose redemption counts as a use
+const COUNTED_STATUSES = ['pending', 'completed'];
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function todayIsoDate() {
+  const now = new Date();
+  const pad = number => String(number).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function optionalPositiveInteger(value) {
+  return value === null || (Number.isInteger(Number(value)) && Number(value) >= 1);
+}
+
+// Validate the fields of a promo code. With `partial` (updates) only the given
+// fields are checked. Returns { success: true, values } or { success: false, error }.
+function parsePromoCodeInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+
+  const has = field => input[field] !== undefined;
+
+  if (!partial || has('code')) {
+    const code = normalizeCode(input.code);
+    if (!CODE_REGEX.test(code)) {
+      return { success: false, error: 'code must be 3 to 50 letters, digits, dashes or underscores' };
+    }
+    values.code = code;
+  }
+
+  if (!partial || has('discount_type')) {
+    if (!DISCOUNT_TYPES.includes(input.discount_type)) {
+      return { success: false, error: `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    values.discount_type = input.discount_type;
+  }
+
+  if (!partial || has('discount_value')) {
+    const value = Number(input.discount_value);
+    if (input.discount_value === null || input.discount_value === '' || !Number.isFinite(value) || value <= 0) {
+      return { success: false, error: 'discount_value must be a positive number' };
+    }
+    values.discount_value = Math.round(value * 100) / 100;
+  }
+
+  if (has('description')) {
+    values.description = input.description === null ? null : String(input.description).trim().slice(0, 255) || null;
+  }
+
+  for (const field of ['valid_from', 'valid_until']) {
+    if (has(field)) {
+      if (input[field] !== null && !isIsoDate(input[field])) {
+        return { success: false, error: `${field} must be a date in YYYY-MM-DD format (or null)` };
+      }
+      values[field] = input[field];
+    }
+  }
+
+  if (has('product_ids')) {
+    if (input.product_ids !== null &&
+        (!Array.isArray(input.product_ids) || !input.product_ids.every(id => /^\d+$/.test(String(id))))) {
+      return { success: false, error: 'product_ids must be a list of Shopify product IDs (or null for every product)' };
+    }
+    values.product_ids = input.product_ids && input.product_ids.length > 0 ? input.product_ids.map(String) : null;
+  }
+
+  for (const field of ['max_uses', 'max_uses_per_email', 'min_quantity']) {
+    if (has(field)) {
+      if (!optionalPositiveInteger(input[field])) {
+        return { success: false, error: `${field} must be a positive integer (or null for no limit)` };
+      }
+      values[field] = input[field] === null ? null : Number(input[field]);
+    }
+  }
+
+  if (has('is_active')) {
+    values.is_active = Boolean(input.is_active);
+  }
+
+  return { success: true, values };
+}
+
+function parseJsonColumn(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+const PROMO_COLUMNS = `
+  p.id,
+  p.code,
+  p.description,
+  p.discount_type,
+  p.discount_value,
+  DATE_FORMAT(p.valid_from, '%Y-%m-%d') as valid_from,
+  DATE_FORMAT(p.valid_until, '%Y-%m-%d') as valid_until,
+  p.product_ids,
+  p.max_uses,
+  p.max_uses_per_email,
+  p.min_quantity,
+  p.is_active,
+  p.created_at,
+  p.updated_at
+`;
+
+function formatPromoCode(row) {
+  return {
+    ...row,
+    discount_value: Number(row.discount_value),
+    product_ids: parseJsonColumn(row.product_ids),
+    is_active: Boolean(row.is_active)
+  };
+}
+
+// Uses of a code that count towards its limits, optionally for one email
+async function countUses(connection, promoCodeId, email) {
+  let query = `
+    SELECT COUNT(*) as uses
+    FROM promo_redemptions r
+    JOIN booking_orders b ON b.id = r.booking_id
+    WHERE r.promo_code_id = ?
+    AND b.status IN (${COUNTED_STATUSES.map(() => '?').join(', ')})
+    AND b.deleted_at IS NULL
+  `;
+  const params = [promoCodeId, ...COUNTED_STATUSES];
+
+  if (email) {
+    query += ' AND r.email = ?';
+    params.push(email.trim().toLowerCase());
+  }
+
+  const [[{ uses }]] = await connection.execute(query, params);
+  return Number(uses);
+}
+
+async function listPromoCodes({ active } = {}) {
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+
+  if (active === 'true' || active === 'false') {
+    whereClause += ' AND p.is_active = ?';
+    params.push(active === 'true');
+  }
+
+  const [rows] = await pool.execute(`
+    SELECT
+      ${PROMO_COLUMNS},
+      (
+        SELECT COUNT(*) FROM promo_redemptions r
+        JOIN booking_orders b ON b.id = r.booking_id
+        WHERE r.promo_code_id = p.id
+        AND b.status IN (${COUNTED_STATUSES.map(() => '?').join(', ')})
+        AND b.deleted_at IS NULL
+      ) as times_used
+    FROM promo_codes p
+    ${whereClause}
+    ORDER BY p.created_at DESC
+  `, [...COUNTED_STATUSES, ...params]);
+
+  return rows.map(row => ({ ...formatPromoCode(row), times_used: Number(row.times_used) }));
+}
+
+async function getPromoCode(connection, promoCodeId) {
+  const [rows] = await connection.execute(`SELECT ${PROMO_COLUMNS} FROM promo_codes p WHERE p.id = ?`, [promoCodeId]);
+  return rows.length > 0 ? formatPromoCode(rows[0]) : null;
+}
+
+// Create a code. Returns { success: true, promoCode } or { success: false, status, error }.
+async function createPromoCode(values, actor) {
+  if (values.valid_from && values.valid_until && values.valid_from > values.valid_until) {
+    return { success: false, status: 400, error: 'valid_until must be on or after valid_from' };
+  }
+
+  try {
+    return await withTransaction(async (connection) => {
+      const [result] = await connection.execute(`
+        INSERT INTO promo_codes
+        (code, description, discount_type, discount_value, valid_from, valid_until, product_ids,
+         max_uses, max_uses_per_email, min_quantity, is_active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        values.code,
+        values.description || null,
+        values.discount_type,
+        values.discount_value,
+        values.valid_from || null,
+        values.valid_until || null,
+        values.product_ids ? JSON.stringify(values.product_ids) : null,
+        values.max_uses || null,
+        values.max_uses_per_email || null,
+        values.min_quantity || null,
+        values.is_active !== undefined ? values.is_active : true
+      ]);
+
+      await recordAudit(connection, {
+        actor,
+        entityType: 'promo_code',
+        entityId: result.insertId,
+        action: 'created',
+        after: await loadEntity(connection, 'promo_code', result.insertId)
+      });
+
+      return { success: true, promoCode: await getPromoCode(connection, result.insertId) };
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { success: false, status: 409, error: `Promo code ${values.code} already exists` };
+    }
+    throw error;
+  }
+}
+
+// Change some fields of a code; same result as createPromoCode
+async function updatePromoCode(promoCodeId, values, actor) {
+  const fields = Object.keys(values);
+
+  try {
+    return await withTransaction(async (connection) => {
+      const before = await loadEntity(connection, 'promo_code', promoCodeId, { forUpdate: true });
+      if (!before) {
+        return { success: false, status: 404, error: 'Promo code not found' };
+      }
+
+      const current = await getPromoCode(connection, promoCodeId);
+      const validFrom = values.valid_from !== undefined ? values.valid_from : current.valid_from;
+      const validUntil = values.valid_until !== undefined ? values.valid_until : current.valid_until;
+      if (validFrom && validUntil && validFrom > validUntil) {
+        return { success: false, status: 400, error: 'valid_until must be on or after valid_from' };
+      }
+
+      await connection.execute(
+        `UPDATE promo_codes SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(field => (field === 'product_ids' && values[field] ? JSON.stringify(values[field]) : values[field])), promoCodeId]
+      );
+
+      await recordAudit(connection, {
+        actor,
+        entityType: 'promo_code',
+        entityId: promoCodeId,
+        action: 'updated',
+        before,
+        after: await loadEntity(connection, 'promo_code', promoCodeId)
+      });
+
+      return { success: true, promoCode: await getPromoCode(connection, promoCodeId) };
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { success: false, status: 409, error: `Promo code ${values.code} already exists` };
+    }
+    throw error;
+  }
+}
+
+// Delete a code that was never used; a used code can only be deactivated
+async function deletePromoCode(promoCodeId, actor) {
+  return withTransaction(async (connection) => {
+    const before = await loadEntity(connection, 'promo_code', promoCodeId, { forUpdate: true });
+    if (!before) {
+      return { success: false, status: 404, error: 'Promo code not found' };
+    }
+
+    const [[{ redemptions }]] = await connection.execute(
+      'SELECT COUNT(*) as redemptions FROM promo_redemptions WHERE promo_code_id = ?',
+      [promoCodeId]
+    );
+    if (Number(redemptions) > 0) {
+      return { success: false, status: 409, error: 'This promo code has been used and cannot be deleted. Deactivate it instead.' };
+    }
+
+    await connection.execute('DELETE FROM promo_codes WHERE id = ?', [promoCodeId]);
+
+    await recordAudit(connection, {
+      actor,
+      entityType: 'promo_code',
+      entityId: promoCodeId,
+      action: 'deleted',
+      before
+    });
+
+    return { success: true };
+  });
+}
+
+// Bookings that used a code, newest first
+async function getRedemptions(promoCodeId) {
+  const [rows] = await pool.execute(`
+    SELECT
+      r.id,
+      r.booking_id,
+      r.email,
+      r.discount_amount,
+      r.created_at,
+      b.status as booking_status,
+      b.quoted_price,
+      b.deleted_at,
+      (b.status IN (${COUNTED_STATUSES.map(() => '?').join(', ')}) AND b.deleted_at IS NULL) as counts_as_use
+    FROM promo_redemptions r
+    JOIN booking_orders b ON b.id = r.booking_id
+    WHERE r.promo_code_id = ?
+    ORDER BY r.created_at DESC, r.id DESC
+  `, [...COUNTED_STATUSES, promoCodeId]);
+
+  return rows.map(row => ({ ...row, counts_as_use: Boolean(row.counts_as_use) }));
+}
+
+function rejection(reason, error) {
+  return { success: false, status: 400, reason, error };
+}
+
+// Check that a code can be used for a booking. Inside a booking transaction
+// pass forUpdate, which locks the code so two bookings cannot both take its
+// last use. The email limit is only checked when an email is given.
+// Returns { success: true, promo } or { success: false, status, reason, error }.
+async function checkPromoCode(connection, code, { productId, quantity, email, forUpdate = false }) {
+  const normalized = normalizeCode(code);
+
+  const [rows] = await connection.execute(
+    `SELECT ${PROMO_COLUMNS} FROM promo_codes p WHERE p.code = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [normalized]
+  );
+
+  if (rows.length === 0) {
+    return rejection('not_found', `Promo code ${normalized} does not exist`);
+  }
+
+  const promo = formatPromoCode(rows[0]);
+  const today = todayIsoDate();
+
+  if (!promo.is_active) {
+    return rejection('inactive', `Promo code ${promo.code} is no longer active`);
+  }
+
+  if (promo.valid_from && today < promo.valid_from) {
+    return rejection('not_started', `Promo code ${promo.code} can be used from ${promo.valid_from}`);
+  }
+
+  if (promo.valid_until && today > promo.valid_until) {
+    return rejection('expired', `Promo code ${promo.code} expired on ${promo.valid_until}`);
+  }
+
+  if (promo.product_ids && !promo.product_ids.includes(String(productId))) {
+    return rejection('product_not_eligible', `Promo code ${promo.code} is not valid for this tour`);
+  }
+
+  if (promo.min_quantity && Number(quantity) < promo.min_quantity) {
+    return rejection('party_too_small', `Promo code ${promo.code} needs a party of at least ${promo.min_quantity}`);
+  }
+
+  if (promo.max_uses && await countUses(connection, promo.id) >= promo.max_uses) {
+    return rejection('usage_limit_reached', `Promo code ${promo.code} has been used the maximum number of times`);
+  }
+
+  if (promo.max_uses_per_email && email && await countUses(connection, promo.id, email) >= promo.max_uses_per_email) {
+    return rejection('email_limit_reached', `Promo code ${promo.code} has already been used with this email`);
+  }
+
+  return { success: true, promo };
+}
+
+// Record that a booking used a code (inside the booking transaction)
+async function redeemPromoCode(connection, promo, bookingId, email, discountAmount) {
+  await connection.execute(`
+    INSERT INTO promo_redemptions (promo_code_id, booking_id, email, discount_amount)
+    VALUES (?, ?, ?, ?)
+  `, [promo.id, bookingId, email.trim().toLowerCase(), discountAmount]);
+}
+
+// Keep the discount of a redemption in step with its booking's new quote
+async function updateRedemptionAmount(connection, bookingId, discountAmount) {
+  await connection.execute('UPDATE promo_redemptions SET discount_amount = ? WHERE booking_id = ?', [discountAmount, bookingId]);
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  parsePromoCodeInput,
+  listPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getRedemptions,
+  checkPromoCode,
+  redeemPromoCode,
+  updateRedemptionAmount
+};
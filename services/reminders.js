@@ -0,0 +1,285 @@
+const { pool } = require('../config/database');
+const { getTransport } = require('../config/mailer');
+const { notifyBooking } = require('./notifications');
+
+// Scheduled emails around a trip: reminders some days before the departure
+// starts and a feedback request some days after it ends. Each product can
+// have its own schedule (products.reminder_schedule); otherwise
+// DEFAULT_REMINDER_SCHEDULE or the built-in default is used.
+//
+// The scheduler works from the dates alone, so it catches up after a
+// restart. Every reminder handled for a booking is recorded in
+// booking_reminders before it is sent; the unique key on that table is what
+// guarantees a reminder is never sent twice, even by two processes. A
+// reminder that could not be queued gives its claim back for the next run.
+
+// 7 days and 1 day before departure, and 1 day after the trip ends
+const DEFAULT_SCHEDULE = [
+  { type: 'before', days: 7 },
+  { type: 'before', days: 1 },
+  { type: 'after', days: 1 }
+];
+
+const RULE_TEMPLATES = {
+  before: 'departure_reminder',
+  after: 'trip_follow_up'
+};
+
+const MAX_RULE_DAYS = 60;
+// A follow-up that is this many days late (e.g. the server was down) is no longer sent
+const FOLLOW_UP_GRACE_DAYS = 7;
+const DEFAULT_SEND_HOUR = 9;
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Only paid bookings hear from us about their trip
+const REMINDED_STATUSES = ['completed'];
+
+let schedulerTimer = null;
+let runInProgress = false;
+
+function ruleKey(rule) {
+  return `${rule.type}:${rule.days}`;
+}
+
+// Parse a schedule from JSON (array of rules), the compact "before:7,before:1,after:1"
+// form or "none". Returns the rules (an empty list means no reminders), or null when invalid.
+function parseSchedule(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let rules = value;
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed === 'none') {
+      return [];
+    }
+    if (trimmed.startsWith('[')) {
+      try {
+        rules = JSON.parse(trimmed);
+      } catch (error) {
+        return null;
+      }
+    } else {
+      rules = trimmed.split(',').map(rule => {
+        const [type, days] = rule.trim().split(':');
+        return { type, days: Number(days) };
+      });
+    }
+  }
+
+  if (!Array.isArray(rules)) {
+    return null;
+  }
+
+  const valid = rules.every(rule =>
+    rule &&
+    Object.keys(RULE_TEMPLATES).includes(rule.type) &&
+    Number.isInteger(Number(rule.days)) && Number(rule.days) >= 0 && Number(rule.days) <= MAX_RULE_DAYS
+  );
+
+  if (!valid) {
+    return null;
+  }
+
+  // One rule per type and day count
+  const unique = new Map();
+  rules.forEach(rule => unique.set(ruleKey(rule), { type: rule.type, days: Number(rule.days) }));
+
+  return [...unique.values()].sort((a, b) => (a.type === b.type ? b.days - a.days : a.type === 'before' ? -1 : 1));
+}
+
+function getDefaultSchedule() {
+  return parseSchedule(process.env.DEFAULT_REMINDER_SCHEDULE) || DEFAULT_SCHEDULE;
+}
+
+// Schedule in force for a product: { schedule, customized }
+async function getReminderSchedule(connection, productId) {
+  const [rows] = await connection.execute(
+    'SELECT reminder_schedule FROM products WHERE product_id = ?',
+    [productId]
+  );
+
+  if (rows.length > 0 && rows[0].reminder_schedule !== null) {
+    const schedule = parseSchedule(rows[0].reminder_schedule);
+    if (schedule) {
+      return { schedule, customized: true };
+    }
+  }
+
+  return { schedule: getDefaultSchedule(), customized: false };
+}
+
+// The rule of one type to act on now, and the due rules it replaces.
+// When several rules are due at once (a late booking or a catch-up after
+// downtime) only the latest milestone is sent: the 1-day reminder rather
+// than both the 7-day and 1-day ones.
+function pickDueRules(rules, daysUntilDeparture, daysSinceReturn) {
+  const due = { before: [], after: [] };
+
+  rules.forEach(rule => {
+    if (rule.type === 'before' && daysUntilDeparture >= 0 && daysUntilDeparture <= rule.days) {
+      due.before.push(rule);
+    }
+    if (rule.type === 'after' && daysSinceReturn >= rule.days && daysSinceReturn - rule.days <= FOLLOW_UP_GRACE_DAYS) {
+      due.after.push(rule);
+    }
+  });
+
+  // Latest milestone first: fewest days before departure, most days after return
+  due.before.sort((a, b) => a.days - b.days);
+  due.after.sort((a, b) => b.days - a.days);
+
+  return [due.before, due.after]
+    .filter(list => list.length > 0)
+    .map(([send, ...skip]) => ({ send, skip }));
+}
+
+// Record a reminder for a booking; false when it was already recorded
+async function claimReminder(bookingId, productDateId, rule, status) {
+  const [result] = await pool.execute(`
+    INSERT IGNORE INTO booking_reminders (booking_id, product_date_id, rule_key, status)
+    VALUES (?, ?, ?, ?)
+  `, [bookingId, productDateId, ruleKey(rule), status]);
+
+  return result.affectedRows > 0;
+}
+
+// Send every reminder and follow-up that is due today. Returns the number sent.
+async function runReminders() {
+  const [bookings] = await pool.execute(`
+    SELECT
+      b.id,
+      b.product_id,
+      b.product_date_id,
+      DATEDIFF(d.start_date, CURDATE()) as days_until_departure,
+      DATEDIFF(CURDATE(), d.end_date) as days_since_return
+    FROM booking_orders b
+    JOIN product_dates d ON d.id = b.product_date_id
+    WHERE b.status IN (${REMINDED_STATUSES.map(() => '?').join(', ')})
+    AND b.deleted_at IS NULL
+    AND (
+      d.start_date BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)
+      OR d.end_date BETWEEN DATE_SUB(CURDATE(), INTERVAL ? DAY) AND CURDATE()
+    )
+    ORDER BY d.start_date ASC, b.id ASC
+  `, [...REMINDED_STATUSES, MAX_RULE_DAYS, MAX_RULE_DAYS + FOLLOW_UP_GRACE_DAYS]);
+
+  const schedules = new Map();
+  let sentCount = 0;
+
+  for (const booking of bookings) {
+    try {
+      if (!schedules.has(booking.product_id)) {
+        schedules.set(booking.product_id, (await getReminderSchedule(pool, booking.product_id)).schedule);
+      }
+
+      const [recorded] = await pool.execute(
+        'SELECT rule_key FROM booking_reminders WHERE booking_id = ? AND product_date_id = ?',
+        [booking.id, booking.product_date_id]
+      );
+      const recordedKeys = recorded.map(row => row.rule_key);
+
+      const picks = pickDueRules(schedules.get(booking.product_id), Number(booking.days_until_departure), Number(booking.days_since_return));
+
+      for (const { send, skip } of picks) {
+        for (const rule of skip) {
+          if (!recordedKeys.includes(ruleKey(rule))) {
+            await claimReminder(booking.id, booking.product_date_id, rule, 'skipped');
+          }
+        }
+
+        if (recordedKeys.includes(ruleKey(send)) || !await claimReminder(booking.id, booking.product_date_id, send, 'sent')) {
+          continue;
+        }
+
+        const notificationId = await notifyBooking(RULE_TEMPLATES[send.type], booking.id, {
+          days_until_departure: Number(booking.days_until_departure),
+          feedback_url: process.env.FEEDBACK_URL || null
+        });
+
+        if (!notificationId) {
+          // Emails are switched off: the reminder stays handled. Otherwise
+          // queuing failed (e.g. the database or template), so try again later.
+          if (getTransport()) {
+            await pool.execute(
+              'DELETE FROM booking_reminders WHERE booking_id = ? AND product_date_id = ? AND rule_key = ?',
+              [booking.id, booking.product_date_id, ruleKey(send)]
+            );
+          }
+          continue;
+        }
+
+        await pool.execute(
+          'UPDATE booking_reminders SET notification_id = ? WHERE booking_id = ? AND product_date_id = ? AND rule_key = ?',
+          [notificationId, booking.id, booking.product_date_id, ruleKey(send)]
+        );
+
+        sentCount++;
+      }
+    } catch (error) {
+      console.error(`Error sending reminders for booking ${booking.id}:`, error.message);
+    }
+  }
+
+  if (sentCount > 0) {
+    console.log(`🔔 Sent ${sentCount} trip reminder(s)`);
+  }
+
+  return sentCount;
+}
+
+function getSendHour() {
+  const hour = parseInt(process.env.REMINDER_SEND_HOUR);
+  return hour >= 0 && hour <= 23 ? hour : DEFAULT_SEND_HOUR;
+}
+
+// Run runReminders periodically inside the server process. Nothing is sent
+// before REMINDER_SEND_HOUR (server time), so customers are not emailed at midnight.
+function startReminderScheduler() {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const minutes = parseInt(process.env.REMINDER_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const tick = async () => {
+    if (runInProgress || new Date().getHours() < getSendHour()) {
+      return;
+    }
+
+    runInProgress = true;
+    try {
+      await runReminders();
+    } catch (error) {
+      console.error('Reminder scheduler error:', error.message);
+    } finally {
+      runInProgress = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, minutes * 60 * 1000);
+  schedulerTimer.unref();
+
+  // Catch up right away after a restart instead of waiting a full interval
+  setImmediate(tick);
+}
+
+function stopReminderScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  parseSchedule,
+  getDefaultSchedule,
+  getReminderSchedule,
+  pickDueRules,
+  runReminders,
+  startReminderScheduler,
+  stopReminderScheduler
+};
@@ -0,0 +1,410 @@
+const { pool } = require('../config/database');
+const { createCheckout, updateCheckout, isShopifyConfigured } = require('../config/shopify');
+const { isIsoDate, reserveSeats, releaseSeats } = require('./seats');
+const { getHoldMinutes, startHold } = require('./holds');
+const { getTravelers } = require('./travelers');
+const { calculateQuote, saveBookingQuote, getBookingQuote, getQuotePromo } = require('./pricing');
+const { updateRedemptionAmount } = require('./promo-codes');
+
+// Changes to existing bookings (PATCH /api/booking/:id): moving to another
+// departure, changing the number of travelers and updating contact details.
+// Every change is stored as a row in booking_revisions.
+
+const CONTACT_FIELDS = ['first_name', 'last_name', 'phone_number', 'email'];
+const CHANGEABLE_FIELDS = ['product_date_id', 'booking_dates', 'quantity', ...CONTACT_FIELDS];
+
+// Only bookings that hold seats can be changed
+const CHANGEABLE_STATUSES = ['pending', 'completed'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Thrown by applyBookingChanges when a change fails after seats were released,
+// so the caller's transaction rolls the release back. `result` is the
+// { success: false, status, error } to answer with.
+class BookingChangeError extends Error {
+  constructor(result) {
+    super(result.error);
+    this.name = 'BookingChangeError';
+    this.result = result;
+  }
+}
+
+// Validate a PATCH body. Returns { success: true, changes } or { success: false, error }.
+function parseBookingChanges(body) {
+  const input = body || {};
+
+  if (input.product_id !== undefined || input.variant_id !== undefined) {
+    return { success: false, error: 'product_id and variant_id cannot be changed; create a new booking instead' };
+  }
+
+  const changes = {};
+  CHANGEABLE_FIELDS.forEach(field => {
+    if (input[field] !== undefined) {
+      changes[field] = input[field];
+    }
+  });
+
+  if (Object.keys(changes).length === 0) {
+    return { success: false, error: `Nothing to change. Allowed fields: ${CHANGEABLE_FIELDS.join(', ')}` };
+  }
+
+  for (const field of CONTACT_FIELDS) {
+    if (changes[field] !== undefined && (typeof changes[field] !== 'string' || changes[field].trim() === '')) {
+      return { success: false, error: `${field} must be a non-empty string` };
+    }
+  }
+
+  if (changes.email !== undefined && !EMAIL_REGEX.test(changes.email)) {
+    return { success: false, error: 'Invalid email format' };
+  }
+
+  if (changes.booking_dates !== undefined &&
+      (!Array.isArray(changes.booking_dates) || changes.booking_dates.length === 0 || !changes.booking_dates.every(isIsoDate))) {
+    return { success: false, error: 'booking_dates must be a non-empty array of dates in YYYY-MM-DD format' };
+  }
+
+  if (changes.quantity !== undefined) {
+    if (!Number.isInteger(Number(changes.quantity)) || Number(changes.quantity) < 1) {
+      return { success: false, error: 'quantity must be a positive integer' };
+    }
+    changes.quantity = Number(changes.quantity);
+  }
+
+  if (changes.product_date_id !== undefined) {
+    if (!Number.isInteger(Number(changes.product_date_id)) || Number(changes.product_date_id) < 1) {
+      return { success: false, error: 'product_date_id must be a positive integer' };
+    }
+    changes.product_date_id = Number(changes.product_date_id);
+  }
+
+  return { success: true, changes, note: typeof input.note === 'string' ? input.note : null };
+}
+
+function addDays(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+// Move booking dates from one departure to another, keeping their offset from the departure start
+async function shiftDatesToDeparture(connection, bookingDates, fromProductDateId, toProductDateId) {
+  const [rows] = await connection.execute(`
+    SELECT id, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date
+    FROM product_dates
+    WHERE id IN (?, ?)
+  `, [fromProductDateId, toProductDateId]);
+
+  const from = rows.find(row => row.id === fromProductDateId);
+  const to = rows.find(row => row.id === toProductDateId);
+
+  if (!from || !to) {
+    return null;
+  }
+
+  const offsetDays = Math.round((Date.parse(`${to.start_date}T00:00:00Z`) - Date.parse(`${from.start_date}T00:00:00Z`)) / 86400000);
+  return bookingDates.map(date => addDays(date, offsetDays)).sort();
+}
+
+// Apply validated changes to a booking inside the caller's transaction.
+// Both departures stay locked until commit, so a move either fully happens
+// or leaves every seat count as it was. Returns { success: true, booking, revision } or
+// { success: false, status, error }; throws BookingChangeError when the new
+// seats cannot be taken, after the old ones were released.
+async function applyBookingChanges(connection, bookingId, { changes, note, staffId, unitPrice }) {
+  const [rows] = await connection.execute('SELECT * FROM booking_orders WHERE id = ? FOR UPDATE', [bookingId]);
+
+  // Orders in the trash are left alone until they are restored
+  if (rows.length === 0 || rows[0].deleted_at) {
+    return { success: false, status: 404, error: 'Booking not found' };
+  }
+
+  const booking = rows[0];
+  booking.booking_dates = typeof booking.booking_dates === 'string' ? JSON.parse(booking.booking_dates) : booking.booking_dates;
+
+  if (!CHANGEABLE_STATUSES.includes(booking.status)) {
+    return { success: false, status: 409, error: `A ${booking.status} booking cannot be changed` };
+  }
+
+  if (booking.status === 'pending' && booking.hold_expires_at && new Date(booking.hold_expires_at) <= new Date()) {
+    return { success: false, status: 409, error: 'The seat hold of this booking has expired' };
+  }
+
+  const departureChanged = changes.product_date_id !== undefined && changes.product_date_id !== booking.product_date_id;
+  let bookingDates = changes.booking_dates ? [...changes.booking_dates].sort() : booking.booking_dates;
+
+  if (departureChanged && !changes.booking_dates) {
+    if (!booking.product_date_id) {
+      return { success: false, status: 400, error: 'booking_dates are required to move a booking that has no departure' };
+    }
+
+    bookingDates = await shiftDatesToDeparture(connection, booking.booking_dates, booking.product_date_id, changes.product_date_id);
+    if (!bookingDates) {
+      return { success: false, status: 404, error: 'Departure not found for this product' };
+    }
+  }
+
+  const quantity = changes.quantity !== undefined ? changes.quantity : booking.quantity;
+  const datesChanged = JSON.stringify(bookingDates) !== JSON.stringify([...booking.booking_dates].sort());
+
+  const updated = {
+    ...booking,
+    booking_dates: bookingDates,
+    quantity
+  };
+  CONTACT_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) {
+      updated[field] = changes[field];
+    }
+  });
+
+  // Give the old seats back and take the new ones; if that fails the transaction is rolled back
+  let productDate = null;
+  if (departureChanged || datesChanged || quantity !== booking.quantity) {
+    await releaseSeats(connection, booking.product_date_id, booking.quantity);
+
+    const seatResult = await reserveSeats(connection, {
+      product_id: booking.product_id,
+      product_date_id: departureChanged ? changes.product_date_id : (booking.product_date_id || undefined),
+      booking_dates: bookingDates,
+      quantity
+    });
+
+    if (!seatResult.success) {
+      throw new BookingChangeError(seatResult);
+    }
+
+    productDate = seatResult.productDate;
+    updated.product_date_id = productDate.id;
+  }
+
+  const diff = {};
+  ['product_date_id', 'booking_dates', 'quantity', ...CONTACT_FIELDS].forEach(field => {
+    if (JSON.stringify(updated[field]) !== JSON.stringify(field === 'booking_dates' ? [...booking.booking_dates].sort() : booking[field])) {
+      diff[field] = { from: booking[field], to: updated[field] };
+    }
+  });
+
+  if (Object.keys(diff).length === 0) {
+    return { success: false, status: 400, error: 'The requested values match the booking; nothing to change' };
+  }
+
+  await connection.execute(`
+    UPDATE booking_orders
+    SET booking_dates = ?, first_name = ?, last_name = ?, phone_number = ?, email = ?,
+        product_date_id = ?, quantity = ?, updated_at = NOW()
+    WHERE id = ?
+  `, [
+    JSON.stringify(updated.booking_dates),
+    updated.first_name,
+    updated.last_name,
+    updated.phone_number,
+    updated.email,
+    updated.product_date_id,
+    updated.quantity,
+    booking.id
+  ]);
+
+  // The customer gets an updated payment link, so an unpaid booking gets a fresh hold too
+  if (booking.status === 'pending') {
+    const holdMinutes = await getHoldMinutes(connection, booking.product_id);
+    updated.hold_expires_at = await startHold(connection, booking.id, holdMinutes);
+  }
+
+  const [[{ next_number: revisionNumber }]] = await connection.execute(
+    'SELECT COALESCE(MAX(revision_number), 0) + 1 as next_number FROM booking_revisions WHERE booking_id = ?',
+    [booking.id]
+  );
+
+  // A booking priced by departure rules is re-quoted for its new departure and
+  // party; its early-bird discount is still judged from the day it was booked
+  // and a promo code it used keeps its terms
+  const previousQuote = getBookingQuote(booking);
+  let quote = null;
+  if (previousQuote && productDate) {
+    const promo = getQuotePromo(previousQuote);
+    const quoted = await calculateQuote(connection, {
+      productDateId: updated.product_date_id,
+      variantPrice: unitPrice,
+      quantity,
+      children: Math.min(booking.child_count, quantity),
+      asOf: new Date(booking.created_at),
+      promo
+    });
+
+    if (quoted.success) {
+      quote = quoted.quote;
+      await saveBookingQuote(connection, booking.id, quote);
+      if (promo) {
+        await updateRedemptionAmount(connection, booking.id, quote.discounts.find(discount => discount.type === 'promo').amount);
+      }
+      updated.child_count = quote.children;
+      updated.quoted_price = quote.total;
+      updated.price_breakdown = quote;
+    } else {
+      console.warn(`⚠️  Could not re-quote booking ${booking.id}:`, quoted.error);
+    }
+  }
+
+  let priceDifference = unitPrice !== null ? Number(((quantity - booking.quantity) * unitPrice).toFixed(2)) : null;
+  if (quote) {
+    priceDifference = Number((quote.total - Number(booking.quoted_price)).toFixed(2));
+  } else if (previousQuote) {
+    // Same seats on the same departure: the quoted price stands
+    priceDifference = productDate ? null : 0;
+  }
+
+  const [revisionResult] = await connection.execute(`
+    INSERT INTO booking_revisions
+    (booking_id, revision_number, staff_id, changes, previous_product_date_id, product_date_id,
+     previous_quantity, quantity, unit_price, price_difference, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    booking.id,
+    revisionNumber,
+    staffId || null,
+    JSON.stringify(diff),
+    booking.product_date_id,
+    updated.product_date_id,
+    booking.quantity,
+    quantity,
+    unitPrice,
+    priceDifference,
+    note
+  ]);
+
+  return {
+    success: true,
+    booking: updated,
+    productDate,
+    revision: {
+      id: revisionResult.insertId,
+      revision_number: revisionNumber,
+      changes: diff,
+      previous_product_date_id: booking.product_date_id,
+      product_date_id: updated.product_date_id,
+      previous_quantity: booking.quantity,
+      quantity,
+      unit_price: unitPrice,
+      price_difference: priceDifference
+    }
+  };
+}
+
+// After the change is committed, bring Shopify in line:
+//   - an unpaid booking gets its payment link updated (or replaced) for the new quantity and details
+//   - a paid booking that gained travelers gets a new payment link for the extra seats only;
+//     a quoted booking gets one whenever its new quote costs more, for the difference
+// Returns { payment_status, payment_url, method } and records them on the revision.
+async function arrangeRevisionPayment(booking, revision) {
+  const payment = { payment_status: 'none', payment_url: null, method: null };
+
+  if (!isShopifyConfigured()) {
+    return payment;
+  }
+
+  const bookingData = {
+    booking_id: booking.id,
+    booking_dates: booking.booking_dates,
+    first_name: booking.first_name,
+    last_name: booking.last_name,
+    phone_number: booking.phone_number,
+    email: booking.email,
+    product_id: booking.product_id,
+    variant_id: booking.variant_id,
+    quantity: booking.quantity,
+    travelers: await getTravelers(pool, booking.id),
+    price_quote: getBookingQuote(booking)
+  };
+
+  if (booking.status === 'pending') {
+    const result = await updateCheckout(booking.shopify_draft_order_id, bookingData);
+
+    if (!result.success) {
+      console.warn(`⚠️  Could not update the payment link of booking ${booking.id}:`, result.error);
+      return payment;
+    }
+
+    await pool.execute(
+      'UPDATE booking_orders SET shopify_checkout_id = ?, shopify_checkout_url = ?, shopify_draft_order_id = ? WHERE id = ?',
+      [result.checkout_id, result.checkout_url, result.draft_order_id, booking.id]
+    );
+
+    // The booking's own checkout covers the change
+    payment.payment_url = result.checkout_url;
+    payment.method = result.updated ? 'draft_order_update' : result.method;
+  } else if (bookingData.price_quote ? revision.price_difference > 0 : revision.quantity > revision.previous_quantity) {
+    // A quoted booking pays exactly the difference between its old and new quote
+    const extraPayment = bookingData.price_quote
+      ? {
+        quantity: 1,
+        price_quote: {
+          custom_price: true,
+          product_name: bookingData.price_quote.product_name,
+          line_items: [{ label: `Booking change #${revision.revision_number}`, quantity: 1, unit_price: revision.price_difference }],
+          discounts: []
+        }
+      }
+      : { quantity: revision.quantity - revision.previous_quantity };
+
+    const result = await createCheckout({
+      ...bookingData,
+      ...extraPayment,
+      revision_id: revision.id
+    });
+
+    if (!result.success) {
+      console.warn(`⚠️  Could not create a payment link for revision ${revision.id}:`, result.error);
+      return payment;
+    }
+
+    payment.payment_status = 'pending';
+    payment.payment_url = result.checkout_url;
+    payment.method = result.method;
+    payment.draft_order_id = result.draft_order_id;
+  } else {
+    return payment;
+  }
+
+  await pool.execute(`
+    UPDATE booking_revisions
+    SET payment_status = ?, payment_method = ?, payment_url = ?, shopify_draft_order_id = ?
+    WHERE id = ?
+  `, [payment.payment_status, payment.method, payment.payment_url, payment.draft_order_id || null, revision.id]);
+
+  return payment;
+}
+
+// orders/paid for a revision's payment link: mark the extra payment as received
+async function markRevisionPaid(connection, revisionId, bookingId, shopifyOrderId, paidAmount) {
+  const [result] = await connection.execute(`
+    UPDATE booking_revisions
+    SET payment_status = 'paid', shopify_order_id = ?, paid_amount = ?
+    WHERE id = ? AND booking_id = ?
+  `, [shopifyOrderId || null, paidAmount || null, revisionId, bookingId]);
+
+  return result.affectedRows > 0;
+}
+
+async function getRevisions(bookingId) {
+  const [rows] = await pool.execute(`
+    SELECT
+      r.*,
+      s.email as staff_email
+    FROM booking_revisions r
+    LEFT JOIN staff_users s ON s.id = r.staff_id
+    WHERE r.booking_id = ?
+    ORDER BY r.revision_number ASC
+  `, [bookingId]);
+
+  return rows.map(row => ({
+    ...row,
+    changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes
+  }));
+}
+
+module.exports = {
+  BookingChangeError,
+  parseBookingChanges,
+  applyBookingChanges,
+  arrangeRevisionPayment,
+  markRevisionPaid,
+  getRevisions
+};
@@ -0,0 +1,173 @@
+// Seat reservation against product_dates departures.
+// All functions take a connection that is already inside a transaction
+// (see withTransaction in config/database.js) so row locks are held until commit.
+
+// Booking dates are stored as ISO calendar dates (YYYY-MM-DD)
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function isIsoDate(value) {
+  return typeof value === 'string' && ISO_DATE_REGEX.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// First and last day of a booking; ISO dates sort lexicographically
+function getBookingSpan(bookingDates) {
+  const sorted = [...bookingDates].sort();
+  return {
+    first_date: sorted[0],
+    last_date: sorted[sorted.length - 1]
+  };
+}
+
+// Lock the departure for a booking and reserve `quantity` seats on it.
+// available_seats is the capacity of the range; booked_seats is what is taken.
+// Returns { success: true, productDate } or { success: false, status, error }.
+async function reserveSeats(connection, { product_id, product_date_id, booking_dates, quantity }) {
+  const { first_date, last_date } = getBookingSpan(booking_dates);
+
+  let candidates;
+
+  if (product_date_id) {
+    const [rows] = await connection.execute(`
+      SELECT
+        id,
+        product_id,
+        start_date,
+        end_date,
+        available_seats,
+        booked_seats,
+        is_active,
+        (start_date <= ? AND end_date >= ?) AS covers_dates
+      FROM product_dates
+      WHERE id = ? AND product_id = ?
+      FOR UPDATE
+    `, [first_date, last_date, product_date_id, product_id]);
+
+    if (rows.length === 0) {
+      return {
+        success: false,
+        status: 404,
+        error: 'Departure not found for this product'
+      };
+    }
+
+    const range = rows[0];
+
+    if (!range.is_active) {
+      return {
+        success: false,
+        status: 409,
+        error: 'This departure is no longer available for booking'
+      };
+    }
+
+    if (!range.covers_dates) {
+      return {
+        success: false,
+        status: 400,
+        error: 'booking_dates must fall within the selected departure'
+      };
+    }
+
+    candidates = rows;
+  } else {
+    // No explicit departure: use any active range that covers every booking date
+    const [rows] = await connection.execute(`
+      SELECT
+        id,
+        product_id,
+        start_date,
+        end_date,
+        available_seats,
+        booked_seats,
+        is_active
+      FROM product_dates
+      WHERE product_id = ?
+      AND is_active = TRUE
+      AND start_date <= ?
+      AND end_date >= ?
+      ORDER BY start_date ASC, id ASC
+      FOR UPDATE
+    `, [product_id, first_date, last_date]);
+
+    if (rows.length === 0) {
+      return {
+        success: false,
+        status: 400,
+        error: 'booking_dates do not fall within an active date range for this product'
+      };
+    }
+
+    candidates = rows;
+  }
+
+  const productDate = candidates.find(range => range.available_seats - range.booked_seats >= quantity);
+
+  if (!productDate) {
+    const remainingSeats = Math.max(0, ...candidates.map(range => range.available_seats - range.booked_seats));
+    return {
+      success: false,
+      status: 409,
+      error: `Not enough seats available: requested ${quantity}, remaining ${remainingSeats}`,
+      remaining_seats: remainingSeats
+    };
+  }
+
+  await connection.execute(
+    'UPDATE product_dates SET booked_seats = booked_seats + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [quantity, productDate.id]
+  );
+
+  productDate.booked_seats += quantity;
+
+  return {
+    success: true,
+    productDate
+  };
+}
+
+// Take seats on a specific departure regardless of capacity, e.g. when a
+// payment arrives for a booking whose hold already expired. The customer has
+// paid, so the seats are taken anyway and the caller is told about overbooking.
+async function forceReserveSeats(connection, productDateId, quantity) {
+  if (!productDateId || !quantity) {
+    return { overbooked: false };
+  }
+
+  const [rows] = await connection.execute(
+    'SELECT available_seats, booked_seats FROM product_dates WHERE id = ? FOR UPDATE',
+    [productDateId]
+  );
+
+  if (rows.length === 0) {
+    return { overbooked: false };
+  }
+
+  await connection.execute(
+    'UPDATE product_dates SET booked_seats = booked_seats + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [quantity, productDateId]
+  );
+
+  return {
+    overbooked: rows[0].booked_seats + quantity > rows[0].available_seats
+  };
+}
+
+// Give seats back to a departure, never taking booked_seats below zero
+async function releaseSeats(connection, productDateId, quantity) {
+  if (!productDateId || !quantity) {
+    return;
+  }
+
+  await connection.execute(
+    'UPDATE product_dates SET booked_seats = GREATEST(booked_seats - ?, 0), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [quantity, productDateId]
+  );
+}
+
+module.exports = {
+  isIsoDate,
+  getBookingSpan,
+  reserveSeats,
+  forceReserveSeats,
+  releaseSeats
+};
@@ -0,0 +1,291 @@
+const { pool, withTransaction } = require('../config/database');
+const { updateCheckout, updateOrderAttributes, isShopifyConfigured } = require('../config/shopify');
+const { isIsoDate } = require('./seats');
+const { loadEntity, recordAudit } = require('./audit');
+const { getBookingQuote } = require('./pricing');
+
+// Passenger details of a booking: one booking_travelers row per seat, with
+// the traveler's name, date of birth, gender, nationality, identity document
+// and emergency contact. The lead contact on booking_orders stays the person
+// the booking emails go to.
+
+const GENDERS = ['male', 'female', 'other'];
+
+// Travelers can be edited while the booking holds its seats
+const EDITABLE_STATUSES = ['pending', 'completed'];
+const DOCUMENT_TYPES = ['passport', 'cnic'];
+
+// Pakistani CNIC: 13 digits, usually written 12345-1234567-1
+const CNIC_REGEX = /^\d{5}-?\d{7}-?\d$/;
+const DOCUMENT_NUMBER_REGEX = /^[A-Za-z0-9-]{5,30}$/;
+const PHONE_REGEX = /^[+\d][\d\s()-]{5,19}$/;
+
+const TRAVELER_FIELDS = [
+  'first_name',
+  'last_name',
+  'date_of_birth',
+  'gender',
+  'nationality',
+  'document_type',
+  'document_number',
+  'emergency_contact_name',
+  'emergency_contact_phone'
+];
+
+// Optional text fields and their maximum length
+const TEXT_LIMITS = {
+  nationality: 64,
+  emergency_contact_name: 200
+};
+
+function trimOrNull(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+// Validate one traveler. Returns { traveler } or { error }.
+function parseTraveler(input, index) {
+  const label = `travelers[${index}]`;
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: `${label} must be an object` };
+  }
+
+  const traveler = {};
+  TRAVELER_FIELDS.forEach(field => {
+    traveler[field] = trimOrNull(input[field]);
+  });
+
+  for (const field of ['first_name', 'last_name']) {
+    if (!traveler[field]) {
+      return { error: `${label}.${field} is required` };
+    }
+    if (traveler[field].length > 100) {
+      return { error: `${label}.${field} must be at most 100 characters` };
+    }
+  }
+
+  if (traveler.date_of_birth !== null) {
+    if (!isIsoDate(traveler.date_of_birth)) {
+      return { error: `${label}.date_of_birth must be a date in YYYY-MM-DD format` };
+    }
+    if (traveler.date_of_birth > new Date().toISOString().slice(0, 10)) {
+      return { error: `${label}.date_of_birth cannot be in the future` };
+    }
+  }
+
+  if (traveler.gender !== null) {
+    traveler.gender = traveler.gender.toLowerCase();
+    if (!GENDERS.includes(traveler.gender)) {
+      return { error: `${label}.gender must be one of: ${GENDERS.join(', ')}` };
+    }
+  }
+
+  for (const [field, limit] of Object.entries(TEXT_LIMITS)) {
+    if (traveler[field] !== null && traveler[field].length > limit) {
+      return { error: `${label}.${field} must be at most ${limit} characters` };
+    }
+  }
+
+  if (traveler.document_type !== null) {
+    traveler.document_type = traveler.document_type.toLowerCase();
+    if (!DOCUMENT_TYPES.includes(traveler.document_type)) {
+      return { error: `${label}.document_type must be one of: ${DOCUMENT_TYPES.join(', ')}` };
+    }
+  }
+
+  if (traveler.document_number !== null) {
+    if (traveler.document_type === null) {
+      return { error: `${label}.document_type is required with document_number` };
+    }
+    const valid = traveler.document_type === 'cnic'
+      ? CNIC_REGEX.test(traveler.document_number)
+      : DOCUMENT_NUMBER_REGEX.test(traveler.document_number);
+    if (!valid) {
+      return {
+        error: traveler.document_type === 'cnic'
+          ? `${label}.document_number must be a 13-digit CNIC (12345-1234567-1)`
+          : `${label}.document_number must be 5 to 30 letters, digits or dashes`
+      };
+    }
+    traveler.document_number = traveler.document_number.toUpperCase();
+  }
+
+  if (traveler.emergency_contact_phone !== null && !PHONE_REGEX.test(traveler.emergency_contact_phone)) {
+    return { error: `${label}.emergency_contact_phone is not a valid phone number` };
+  }
+
+  return { traveler };
+}
+
+// Validate the travelers of a booking: one per seat.
+// Returns { success: true, travelers } or { success: false, error }.
+function parseTravelers(value, quantity) {
+  if (!Array.isArray(value)) {
+    return { success: false, error: 'travelers must be an array' };
+  }
+
+  if (value.length !== Number(quantity)) {
+    return {
+      success: false,
+      error: `travelers must list every traveler: got ${value.length} for a quantity of ${quantity}`
+    };
+  }
+
+  const travelers = [];
+  for (let index = 0; index < value.length; index++) {
+    const parsed = parseTraveler(value[index], index);
+    if (parsed.error) {
+      return { success: false, error: parsed.error };
+    }
+    travelers.push(parsed.traveler);
+  }
+
+  return { success: true, travelers };
+}
+
+// Travelers of a booking in seat order
+async function getTravelers(connection, bookingId) {
+  const [rows] = await connection.execute(`
+    SELECT
+      position,
+      first_name,
+      last_name,
+      DATE_FORMAT(date_of_birth, '%Y-%m-%d') as date_of_birth,
+      gender,
+      nationality,
+      document_type,
+      document_number,
+      emergency_contact_name,
+      emergency_contact_phone
+    FROM booking_travelers
+    WHERE booking_id = ?
+    ORDER BY position ASC
+  `, [bookingId]);
+
+  return rows;
+}
+
+// Replace the travelers of a booking (inside the caller's transaction)
+async function saveTravelers(connection, bookingId, travelers) {
+  await connection.execute('DELETE FROM booking_travelers WHERE booking_id = ?', [bookingId]);
+
+  for (let index = 0; index < travelers.length; index++) {
+    const traveler = travelers[index];
+    await connection.execute(`
+      INSERT INTO booking_travelers
+      (booking_id, position, first_name, last_name, date_of_birth, gender, nationality,
+       document_type, document_number, emergency_contact_name, emergency_contact_phone)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      bookingId,
+      index + 1,
+      traveler.first_name,
+      traveler.last_name,
+      traveler.date_of_birth,
+      traveler.gender,
+      traveler.nationality,
+      traveler.document_type,
+      traveler.document_number,
+      traveler.emergency_contact_name,
+      traveler.emergency_contact_phone
+    ]);
+  }
+
+  return getTravelers(connection, bookingId);
+}
+
+// Replace the travelers of a booking (PUT /api/booking/:id/travelers).
+// Returns { success: true, booking, travelers } or { success: false, status, error }.
+async function updateBookingTravelers(bookingId, input, actor) {
+  return withTransaction(async (connection) => {
+    const booking = await loadEntity(connection, 'booking', bookingId, { forUpdate: true });
+
+    if (!booking || booking.deleted_at) {
+      return { success: false, status: 404, error: 'Booking not found' };
+    }
+
+    if (!EDITABLE_STATUSES.includes(booking.status)) {
+      return { success: false, status: 409, error: `Travelers of a ${booking.status} booking cannot be changed` };
+    }
+
+    const parsed = parseTravelers(input, booking.quantity);
+    if (!parsed.success) {
+      return { success: false, status: 400, error: parsed.error };
+    }
+
+    const previous = await getTravelers(connection, bookingId);
+    const travelers = await saveTravelers(connection, bookingId, parsed.travelers);
+
+    await recordAudit(connection, {
+      actor,
+      entityType: 'booking',
+      entityId: bookingId,
+      action: 'travelers_changed',
+      before: { ...booking, travelers: previous },
+      after: { ...booking, travelers }
+    });
+
+    return { success: true, booking, travelers };
+  });
+}
+
+// Send the current travelers to Shopify: the payment link of a pending
+// booking, or the order of a paid one. A failure is only logged.
+async function syncTravelerAttributes(booking, travelers) {
+  if (!isShopifyConfigured()) {
+    return { synced: false };
+  }
+
+  const bookingDates = typeof booking.booking_dates === 'string' ? JSON.parse(booking.booking_dates) : booking.booking_dates;
+  const bookingData = {
+    booking_id: booking.id,
+    booking_dates: bookingDates,
+    first_name: booking.first_name,
+    last_name: booking.last_name,
+    phone_number: booking.phone_number,
+    email: booking.email,
+    product_id: booking.product_id,
+    variant_id: booking.variant_id,
+    quantity: booking.quantity,
+    travelers,
+    price_quote: getBookingQuote(booking)
+  };
+
+  if (booking.status === 'completed' && booking.shopify_order_id) {
+    const result = await updateOrderAttributes(booking.shopify_order_id, bookingData);
+    if (!result.success) {
+      console.warn(`⚠️  Could not update the travelers on Shopify order ${booking.shopify_order_id}:`, result.error);
+    }
+    return { synced: result.success };
+  }
+
+  if (booking.status === 'pending') {
+    const result = await updateCheckout(booking.shopify_draft_order_id, bookingData);
+    if (!result.success) {
+      console.warn(`⚠️  Could not update the payment link of booking ${booking.id}:`, result.error);
+      return { synced: false };
+    }
+
+    await pool.execute(
+      'UPDATE booking_orders SET shopify_checkout_id = ?, shopify_checkout_url = ?, shopify_draft_order_id = ? WHERE id = ?',
+      [result.checkout_id, result.checkout_url, result.draft_order_id, booking.id]
+    );
+    return { synced: true, checkout_url: result.checkout_url };
+  }
+
+  return { synced: false };
+}
+
+module.exports = {
+  GENDERS,
+  DOCUMENT_TYPES,
+  parseTravelers,
+  getTravelers,
+  saveTravelers,
+  updateBookingTravelers,
+  syncTravelerAttributes
+};
@@ -0,0 +1,631 @@
+const crypto = require('crypto');
+const { pool, withTransaction } = require('../config/database');
+const { releaseSeats } = require('./seats');
+const { getHoldMinutes, startHold } = require('./holds');
+const { notifyWaitlistOffer } = require('./notifications');
+const { loadEntity, recordAudit } = require('./audit');
+const { escapeHtml } = require('./notification-templates');
+
+// Waitlist for sold-out departures. Entries are served in `position` order
+// (FIFO unless staff reorder them). When seats free up, the first entries
+// whose party fits are offered the seats: the seats are taken on
+// product_dates right away and the customer gets a claim link that turns
+// the offer into a normal pending booking. Offers that are not claimed in
+// time give the seats back and move on to the next entry.
+
+const DEFAULT_OFFER_MINUTES = 120;
+const DEFAULT_SWEEP_INTERVAL_SECONDS = 60;
+
+let sweeperTimer = null;
+let sweepInProgress = false;
+
+function getOfferMinutes() {
+  const minutes = parseInt(process.env.WAITLIST_OFFER_MINUTES);
+  return minutes > 0 ? minutes : DEFAULT_OFFER_MINUTES;
+}
+
+// Link sent to the customer; opening it shows the offer, which the customer then confirms
+function getClaimUrl(token) {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+  return `${baseUrl}/api/booking/waitlist/claim/${token}`;
+}
+
+// Add a customer to the waitlist of a departure that cannot seat their party.
+// Returns { success: true, entry } or { success: false, status, error }.
+async function joinWaitlist(connection, { product_id, variant_id, product_date_id, booking_dates, first_name, last_name, phone_number, email, quantity }) {
+  const sorted = [...booking_dates].sort();
+
+  // Locking the departure also serializes position numbers
+  const [ranges] = await connection.execute(`
+    SELECT
+      id,
+      available_seats,
+      booked_seats,
+      is_active,
+      (start_date <= ? AND end_date >= ?) AS covers_dates,
+      start_date < CURDATE() AS departed
+    FROM product_dates
+    WHERE id = ? AND product_id = ?
+    FOR UPDATE
+  `, [sorted[0], sorted[sorted.length - 1], product_date_id, product_id]);
+
+  if (ranges.length === 0) {
+    return { success: false, status: 404, error: 'Departure not found for this product' };
+  }
+
+  const range = ranges[0];
+
+  if (!range.is_active || range.departed) {
+    return { success: false, status: 409, error: 'This departure is no longer available for booking' };
+  }
+
+  if (!range.covers_dates) {
+    return { success: false, status: 400, error: 'booking_dates must fall within the selected departure' };
+  }
+
+  const remainingSeats = Math.max(0, range.available_seats - range.booked_seats);
+  if (remainingSeats >= quantity) {
+    return {
+      success: false,
+      status: 409,
+      error: 'Seats are available on this departure; book it directly',
+      remaining_seats: remainingSeats
+    };
+  }
+
+  const [existing] = await connection.execute(`
+    SELECT id FROM waitlist_entries
+    WHERE product_date_id = ? AND email = ? AND status IN ('waiting', 'offered')
+  `, [product_date_id, email]);
+
+  if (existing.length > 0) {
+    return { success: false, status: 409, error: 'This email is already on the waitlist for this departure' };
+  }
+
+  const [[{ next_position: position }]] = await connection.execute(
+    'SELECT COALESCE(MAX(position), 0) + 1 AS next_position FROM waitlist_entries WHERE product_date_id = ?',
+    [product_date_id]
+  );
+
+  const [result] = await connection.execute(`
+    INSERT INTO waitlist_entries
+    (product_date_id, product_id, variant_id, booking_dates, first_name, last_name, phone_number, email, quantity, position)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    product_date_id,
+    product_id,
+    variant_id,
+    JSON.stringify(booking_dates),
+    first_name,
+    last_name,
+    phone_number,
+    email,
+    quantity,
+    position
+  ]);
+
+  const [[{ ahead }]] = await connection.execute(
+    "SELECT COUNT(*) AS ahead FROM waitlist_entries WHERE product_date_id = ? AND status = 'waiting' AND position < ?",
+    [product_date_id, position]
+  );
+
+  return {
+    success: true,
+    entry: {
+      id: result.insertId,
+      product_date_id: Number(product_date_id),
+      quantity,
+      status: 'waiting',
+      waitlist_position: Number(ahead) + 1
+    }
+  };
+}
+
+// Offer the free seats of a departure to the next waiting entries whose party fits.
+// Runs in its own transaction; call it after the transaction that freed the seats has committed.
+async function offerFreedSeats(productDateId) {
+  if (!productDateId) {
+    return [];
+  }
+
+  const offers = await withTransaction(async (connection) => {
+    const [ranges] = await connection.execute(`
+      SELECT available_seats, booked_seats
+      FROM product_dates
+      WHERE id = ? AND is_active = TRUE AND start_date >= CURDATE()
+      FOR UPDATE
+    `, [productDateId]);
+
+    if (ranges.length === 0) {
+      return [];
+    }
+
+    let freeSeats = ranges[0].available_seats - ranges[0].booked_seats;
+    if (freeSeats <= 0) {
+      return [];
+    }
+
+    const [entries] = await connection.execute(`
+      SELECT id, email, quantity
+      FROM waitlist_entries
+      WHERE product_date_id = ? AND status = 'waiting'
+      ORDER BY position ASC, id ASC
+      FOR UPDATE
+    `, [productDateId]);
+
+    const offered = [];
+    const offerMinutes = getOfferMinutes();
+
+    for (const entry of entries) {
+      if (freeSeats <= 0) {
+        break;
+      }
+      // A party that does not fit stays first in line for the next release
+      if (entry.quantity > freeSeats) {
+        continue;
+      }
+
+      const token = crypto.randomBytes(24).toString('hex');
+
+      await connection.execute(`
+        UPDATE waitlist_entries
+        SET status = 'offered', claim_token = ?, offered_at = NOW(),
+            offer_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+        WHERE id = ?
+      `, [token, offerMinutes, entry.id]);
+
+      await connection.execute(
+        'UPDATE product_dates SET booked_seats = booked_seats + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [entry.quantity, productDateId]
+      );
+
+      freeSeats -= entry.quantity;
+      offered.push({ ...entry, claim_url: getClaimUrl(token) });
+    }
+
+    return offered;
+  });
+
+  for (const offer of offers) {
+    console.log(`📨 Waitlist entry ${offer.id} (${offer.email}) offered ${offer.quantity} seat(s) on departure ${productDateId}`);
+    await notifyWaitlistOffer(offer.id, offer.claim_url);
+  }
+
+  return offers;
+}
+
+// Same as offerFreedSeats, for callers that must not fail because of the waitlist
+async function offerFreedSeatsSafely(productDateId) {
+  try {
+    return await offerFreedSeats(productDateId);
+  } catch (error) {
+    console.error(`Error offering freed seats of departure ${productDateId} to the waitlist:`, error.message);
+    return [];
+  }
+}
+
+// Expire offers whose claim link ran out and give their seats back.
+// Returns the departures that got seats back.
+async function expireOffers() {
+  const [candidates] = await pool.execute(`
+    SELECT id
+    FROM waitlist_entries
+    WHERE status = 'offered'
+    AND offer_expires_at <= NOW()
+    ORDER BY offer_expires_at ASC
+    LIMIT 100
+  `);
+
+  const productDateIds = new Set();
+
+  for (const candidate of candidates) {
+    try {
+      const productDateId = await withTransaction(async (connection) => {
+        // Re-check under lock: the offer may have been claimed in the meantime
+        const [rows] = await connection.execute(`
+          SELECT id, product_date_id, quantity
+          FROM waitlist_entries
+          WHERE id = ? AND status = 'offered' AND offer_expires_at <= NOW()
+          FOR UPDATE
+        `, [candidate.id]);
+
+        if (rows.length === 0) {
+          return null;
+        }
+
+        await releaseSeats(connection, rows[0].product_date_id, rows[0].quantity);
+        await connection.execute(
+          "UPDATE waitlist_entries SET status = 'expired', claim_token = NULL WHERE id = ?",
+          [rows[0].id]
+        );
+
+        return rows[0].product_date_id;
+      });
+
+      if (productDateId) {
+        productDateIds.add(productDateId);
+      }
+    } catch (error) {
+      console.error(`Error expiring waitlist offer ${candidate.id}:`, error.message);
+    }
+  }
+
+  if (productDateIds.size > 0) {
+    console.log(`⏱️  Expired waitlist offers on ${productDateIds.size} departure(s)`);
+  }
+
+  return [...productDateIds];
+}
+
+// Expire lapsed offers, then offer free seats on every departure with people waiting.
+// This also catches seats freed by expired booking holds.
+async function processWaitlist() {
+  await expireOffers();
+
+  const [departures] = await pool.execute(`
+    SELECT DISTINCT w.product_date_id
+    FROM waitlist_entries w
+    JOIN product_dates d ON d.id = w.product_date_id
+    WHERE w.status = 'waiting'
+    AND d.is_active = TRUE
+    AND d.start_date >= CURDATE()
+    AND d.available_seats > d.booked_seats
+  `);
+
+  let offerCount = 0;
+  for (const departure of departures) {
+    const offers = await offerFreedSeatsSafely(departure.product_date_id);
+    offerCount += offers.length;
+  }
+
+  return offerCount;
+}
+
+// An offer as the claim page shows it, without claiming it. Returns
+// { success: true, offer } or { success: false, status, error }; offer.lapsed
+// is true once the offer can no longer be claimed.
+async function getOffer(token) {
+  const [rows] = await pool.execute(`
+    SELECT
+      w.id,
+      w.status,
+      w.quantity,
+      w.booking_dates,
+      w.first_name,
+      w.offer_expires_at,
+      w.offer_expires_at <= NOW() AS lapsed,
+      b.status as booking_status,
+      b.shopify_checkout_url,
+      p.product_name,
+      DATE_FORMAT(d.start_date, '%Y-%m-%d') as departure_start,
+      DATE_FORMAT(d.end_date, '%Y-%m-%d') as departure_end
+    FROM waitlist_entries w
+    LEFT JOIN booking_orders b ON b.id = w.booking_id
+    LEFT JOIN products p ON p.product_id = w.product_id
+    LEFT JOIN product_dates d ON d.id = w.product_date_id
+    WHERE w.claim_token = ?
+  `, [token]);
+
+  if (rows.length === 0) {
+    return { success: false, status: 404, error: 'Waitlist offer not found' };
+  }
+
+  const offer = rows[0];
+  return {
+    success: true,
+    offer: {
+      ...offer,
+      booking_dates: typeof offer.booking_dates === 'string' ? JSON.parse(offer.booking_dates) : offer.booking_dates,
+      claimed: offer.status === 'claimed' && offer.booking_status !== null,
+      lapsed: offer.status !== 'offered' || Boolean(offer.lapsed)
+    }
+  };
+}
+
+// Page behind the claim link. Opening the link must not claim the offer
+// (mail scanners and link previews open it too), so the page asks the
+// customer to confirm with a POST to the same URL.
+function offerToHtml(offer) {
+  let body;
+  if (offer.claimed) {
+    body = `
+  <p>You have already claimed these seats.</p>
+  ${offer.booking_status === 'pending' && offer.shopify_checkout_url
+    ? `<p><a class="button" href="${escapeHtml(offer.shopify_checkout_url)}">Complete your payment</a></p>`
+    : ''}`;
+  } else if (offer.lapsed) {
+    body = '\n  <p>Sorry, this offer has expired and the seats went to the next person on the waitlist.</p>';
+  } else {
+    body = `
+  <p>Hi ${escapeHtml(offer.first_name)}, ${escapeHtml(offer.quantity)} seat(s) are waiting for you.</p>
+  <p>Dates: ${offer.booking_dates.map(escapeHtml).join(', ')}</p>
+  <p>This offer is held until ${escapeHtml(new Date(offer.offer_expires_at).toISOString().slice(0, 16).replace('T', ' '))} UTC.</p>
+  <form method="post">
+    <input type="hidden" name="redirect" value="true">
+    <button class="button" type="submit">Claim my seats</button>
+  </form>`;
+  }
+
+  const title = offer.product_name || 'Waitlist offer';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; max-width: 480px; margin: 48px auto; padding: 0 16px; }
+    h1 { font-size: 22px; }
+    .button { display: inline-block; background: #28a745; color: #fff; border: none; border-radius: 4px; padding: 10px 18px; font-size: 16px; text-decoration: none; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>${body}
+</body>
+</html>
+`;
+}
+
+// Turn an offer into a pending booking on the seats it holds.
+// Claiming twice returns the booking created the first time.
+async function claimOffer(token, actor) {
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.execute(
+      'SELECT *, offer_expires_at <= NOW() AS lapsed FROM waitlist_entries WHERE claim_token = ? FOR UPDATE',
+      [token]
+    );
+
+    if (rows.length === 0) {
+      return { success: false, status: 404, error: 'Waitlist offer not found' };
+    }
+
+    const entry = rows[0];
+
+    if (entry.status === 'claimed' && entry.booking_id) {
+      const [bookings] = await connection.execute('SELECT * FROM booking_orders WHERE id = ?', [entry.booking_id]);
+      if (bookings.length > 0) {
+        return { success: true, already_claimed: true, entry, booking: bookings[0] };
+      }
+    }
+
+    if (entry.status !== 'offered' || entry.lapsed) {
+      return { success: false, status: 410, error: 'This waitlist offer has expired' };
+    }
+
+    const [result] = await connection.execute(`
+      INSERT INTO booking_orders
+      (booking_dates, first_name, last_name, phone_number, email, product_id, variant_id, product_date_id, quantity)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      typeof entry.booking_dates === 'string' ? entry.booking_dates : JSON.stringify(entry.booking_dates),
+      entry.first_name,
+      entry.last_name,
+      entry.phone_number,
+      entry.email,
+      entry.product_id,
+      entry.variant_id,
+      entry.product_date_id,
+      entry.quantity
+    ]);
+
+    // The offer's seats now belong to the booking, under a normal hold
+    const holdMinutes = await getHoldMinutes(connection, entry.product_id);
+    await startHold(connection, result.insertId, holdMinutes);
+
+    await connection.execute(
+      "UPDATE waitlist_entries SET status = 'claimed', claimed_at = NOW(), booking_id = ? WHERE id = ?",
+      [result.insertId, entry.id]
+    );
+
+    const [bookings] = await connection.execute('SELECT * FROM booking_orders WHERE id = ?', [result.insertId]);
+
+    await recordAudit(connection, {
+      actor,
+      entityType: 'booking',
+      entityId: result.insertId,
+      action: 'created',
+      after: bookings[0],
+      details: { waitlist_entry_id: entry.id }
+    });
+    await recordAudit(connection, {
+      actor,
+      entityType: 'waitlist_entry',
+      entityId: entry.id,
+      action: 'claimed',
+      before: entry,
+      after: await loadEntity(connection, 'waitlist_entry', entry.id)
+    });
+
+    return { success: true, already_claimed: false, entry, booking: bookings[0] };
+  });
+}
+
+// Waitlist of a departure for the admin panel, in queue order
+async function getWaitlist(productDateId, { status } = {}) {
+  let query = `
+    SELECT
+      id,
+      product_date_id,
+      product_id,
+      variant_id,
+      booking_dates,
+      first_name,
+      last_name,
+      phone_number,
+      email,
+      quantity,
+      position,
+      status,
+      claim_token,
+      offered_at,
+      offer_expires_at,
+      claimed_at,
+      booking_id,
+      created_at
+    FROM waitlist_entries
+    WHERE product_date_id = ?
+  `;
+  const params = [productDateId];
+
+  if (status) {
+    query += ' AND status = ?';
+    params.push(status);
+  }
+
+  query += ' ORDER BY position ASC, id ASC';
+
+  const [rows] = await pool.execute(query, params);
+
+  return rows.map(({ claim_token: token, ...entry }) => ({
+    ...entry,
+    booking_dates: typeof entry.booking_dates === 'string' ? JSON.parse(entry.booking_dates) : entry.booking_dates,
+    claim_url: entry.status === 'offered' && token ? getClaimUrl(token) : null
+  }));
+}
+
+// Put the waiting entries of a departure in the given order.
+// The entries keep the position numbers they had between them, so offered
+// and finished entries are not moved.
+async function reorderWaitlist(productDateId, entryIds, actor) {
+  const result = await withTransaction(async (connection) => {
+    const [entries] = await connection.execute(`
+      SELECT id, position
+      FROM waitlist_entries
+      WHERE product_date_id = ? AND status = 'waiting'
+      ORDER BY position ASC
+      FOR UPDATE
+    `, [productDateId]);
+
+    const waitingIds = entries.map(entry => entry.id);
+    const requestedIds = entryIds.map(Number);
+
+    if (requestedIds.length !== waitingIds.length ||
+        new Set(requestedIds).size !== requestedIds.length ||
+        !requestedIds.every(id => waitingIds.includes(id))) {
+      return {
+        success: false,
+        status: 400,
+        error: 'entry_ids must list every waiting entry of this departure exactly once',
+        waiting_entry_ids: waitingIds
+      };
+    }
+
+    const positions = entries.map(entry => entry.position);
+    for (let index = 0; index < requestedIds.length; index++) {
+      await connection.execute(
+        'UPDATE waitlist_entries SET position = ? WHERE id = ?',
+        [positions[index], requestedIds[index]]
+      );
+    }
+
+    await recordAudit(connection, {
+      actor,
+      entityType: 'product_date',
+      entityId: productDateId,
+      action: 'waitlist_reordered',
+      details: { from: waitingIds, to: requestedIds }
+    });
+
+    return { success: true };
+  });
+
+  // A party that moved up may fit into seats nobody else could use
+  if (result.success) {
+    await offerFreedSeatsSafely(productDateId);
+  }
+
+  return result;
+}
+
+// Take an entry off the waitlist; an open offer gives its seats to the next in line
+async function removeEntry(entryId, actor) {
+  const result = await withTransaction(async (connection) => {
+    const entry = await loadEntity(connection, 'waitlist_entry', entryId, { forUpdate: true });
+
+    if (!entry) {
+      return { success: false, status: 404, error: 'Waitlist entry not found' };
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return { success: false, status: 409, error: `A ${entry.status} waitlist entry cannot be removed` };
+    }
+
+    if (entry.status === 'offered') {
+      await releaseSeats(connection, entry.product_date_id, entry.quantity);
+    }
+
+    await connection.execute(
+      "UPDATE waitlist_entries SET status = 'removed', claim_token = NULL WHERE id = ?",
+      [entry.id]
+    );
+
+    await recordAudit(connection, {
+      actor,
+      entityType: 'waitlist_entry',
+      entityId: entry.id,
+      action: 'removed',
+      before: entry,
+      after: await loadEntity(connection, 'waitlist_entry', entry.id)
+    });
+
+    return { success: true, entry };
+  });
+
+  if (result.success && result.entry.status === 'offered') {
+    await offerFreedSeatsSafely(result.entry.product_date_id);
+  }
+
+  return result;
+}
+
+// Run processWaitlist periodically inside the server process
+function startWaitlistSweeper() {
+  if (sweeperTimer) {
+    return;
+  }
+
+  const seconds = parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS) || DEFAULT_SWEEP_INTERVAL_SECONDS;
+
+  sweeperTimer = setInterval(async () => {
+    if (sweepInProgress) {
+      return;
+    }
+
+    sweepInProgress = true;
+    try {
+      await processWaitlist();
+    } catch (error) {
+      console.error('Waitlist sweeper error:', error.message);
+    } finally {
+      sweepInProgress = false;
+    }
+  }, seconds * 1000);
+
+  sweeperTimer.unref();
+}
+
+function stopWaitlistSweeper() {
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer);
+    sweeperTimer = null;
+  }
+}
+
+module.exports = {
+  getOfferMinutes,
+  getClaimUrl,
+  joinWaitlist,
+  offerFreedSeats,
+  offerFreedSeatsSafely,
+  expireOffers,
+  processWaitlist,
+  getOffer,
+  offerToHtml,
+  claimOffer,
+  getWaitlist,
+  reorderWaitlist,
+  removeEntry,
+  startWaitlistSweeper,
+  stopWaitlistSweeper
+};
@@ -0,0 +1,481 @@
+const crypto = require('crypto');
+const { pool, withTransaction } = require('../config/database');
+const { forceReserveSeats, releaseSeats } = require('./seats');
+const { getHoldMinutes, startHold } = require('./holds');
+const { upsertProduct, markProductDeleted } = require('./catalog');
+const { markRevisionPaid } = require('./revisions');
+const { recordShopifyCancellation } = require('./cancellations');
+const { offerFreedSeatsSafely } = require('./waitlist');
+const { notifyBooking, formatMoney } = require('./notifications');
+const { shopifyActor, loadEntity, recordAudit } = require('./audit');
+
+// Shopify webhook processing: HMAC verification, delivery log and the
+// booking status transitions driven by each topic.
+
+// Statuses that hold seats on their departure
+const SEAT_HOLDING_STATUSES = ['pending', 'completed'];
+
+// Minutes after which a delivery still 'processing' (the server stopped
+// halfway) may be claimed again
+const STALE_PROCESSING_MINUTES = 10;
+
+// Secret Shopify signs webhooks with (the app's API secret key by default)
+function getWebhookSecret() {
+  return process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET || null;
+}
+
+// Check X-Shopify-Hmac-Sha256 against the raw request body
+function verifyWebhookHmac(rawBody, hmacHeader, secret = getWebhookSecret()) {
+  if (!secret || !hmacHeader || !Buffer.isBuffer(rawBody)) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Claim a delivery for processing, so only one request runs its handler.
+// `statuses` are the statuses it may be claimed from. Returns true when claimed.
+async function claimDelivery(deliveryId, statuses) {
+  const [result] = await pool.execute(`
+    UPDATE webhook_deliveries
+    SET status = 'processing', processing_started_at = NOW()
+    WHERE id = ?
+    AND (
+      status IN (${statuses.map(() => '?').join(', ')})
+      OR (status = 'processing' AND processing_started_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+    )
+  `, [deliveryId, ...statuses, STALE_PROCESSING_MINUTES]);
+
+  return result.affectedRows === 1;
+}
+
+// Store a delivery, keyed by X-Shopify-Webhook-Id, and claim it.
+// Returns { duplicate: true } when it was already handled successfully,
+// { in_progress: true } while another request is processing it, otherwise
+// the claimed delivery row to process (new, or a retry of a failed one).
+async function recordDelivery({ webhookId, topic, shopDomain, rawBody }) {
+  await pool.execute(`
+    INSERT IGNORE INTO webhook_deliveries (webhook_id, topic, shop_domain, payload)
+    VALUES (?, ?, ?, ?)
+  `, [webhookId, topic, shopDomain || null, rawBody.toString('utf8')]);
+
+  const [rows] = await pool.execute('SELECT * FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+  const claimed = await claimDelivery(rows[0].id, ['received', 'failed']);
+
+  const [current] = await pool.execute('SELECT * FROM webhook_deliveries WHERE id = ?', [rows[0].id]);
+  const delivery = current[0];
+
+  if (claimed) {
+    return { duplicate: false, in_progress: false, delivery };
+  }
+
+  return {
+    duplicate: delivery.status === 'processed' || delivery.status === 'ignored',
+    in_progress: delivery.status === 'processing',
+    delivery
+  };
+}
+
+// Turn Shopify's [{ name, value }] / [{ key, value }] lists into a plain object
+function attributesToObject(list) {
+  const attributes = {};
+  (list || []).forEach(attribute => {
+    const name = attribute.name || attribute.key;
+    if (name) {
+      attributes[name] = attribute.value;
+    }
+  });
+  return attributes;
+}
+
+// Custom attributes sent by createCheckout, wherever Shopify put them
+function getBookingAttributes(payload) {
+  const attributes = attributesToObject(payload.note_attributes || payload.custom_attributes);
+
+  if (!attributes.booking_id && Array.isArray(payload.line_items)) {
+    for (const lineItem of payload.line_items) {
+      const properties = attributesToObject(lineItem.properties);
+      if (properties.booking_id) {
+        return { ...properties, ...attributes };
+      }
+    }
+  }
+
+  return attributes;
+}
+
+// Find and lock the booking a Shopify order/checkout belongs to.
+// Prefers the booking_id attribute; falls back to email + booking_dates.
+async function findBookingForPayload(connection, payload) {
+  const attributes = getBookingAttributes(payload);
+  const email = (attributes.email || payload.email || payload.contact_email || '').toLowerCase();
+
+  if (attributes.booking_id) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM booking_orders WHERE id = ? FOR UPDATE',
+      [attributes.booking_id]
+    );
+
+    // Guard against attributes copied onto an unrelated order
+    if (rows.length > 0 && (!email || rows[0].email.toLowerCase() === email)) {
+      return rows[0];
+    }
+  }
+
+  // Orders (unlike checkouts) carry an order_number; match one we already linked
+  if (payload.id && payload.order_number !== undefined) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM booking_orders WHERE shopify_order_id = ? FOR UPDATE',
+      [payload.id]
+    );
+    if (rows.length > 0) {
+      return rows[0];
+    }
+  }
+
+  if (email && attributes.booking_dates) {
+    let bookingDates;
+    try {
+      bookingDates = JSON.parse(attributes.booking_dates);
+    } catch (error) {
+      return null;
+    }
+
+    const [rows] = await connection.execute(`
+      SELECT * FROM booking_orders
+      WHERE email = ?
+      AND JSON_CONTAINS(booking_dates, CAST(? AS JSON))
+      AND JSON_LENGTH(booking_dates) = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [email, JSON.stringify(bookingDates), bookingDates.length]);
+
+    if (rows.length > 0) {
+      return rows[0];
+    }
+  }
+
+  return null;
+}
+
+// Cancel a booking, give its seats back if it was holding any and record the
+// cancellation with the amount Shopify refunded.
+// Returns the departure that got seats back, for the waitlist.
+async function cancelBooking(connection, booking, actor, { reason, refundAmount, refundId }) {
+  let freedProductDateId = null;
+  if (SEAT_HOLDING_STATUSES.includes(booking.status)) {
+    await releaseSeats(connection, booking.product_date_id, booking.quantity);
+    freedProductDateId = booking.product_date_id;
+  }
+
+  await connection.execute(
+    "UPDATE booking_orders SET status = 'cancelled', hold_expires_at = NULL, updated_at = NOW() WHERE id = ?",
+    [booking.id]
+  );
+
+  await recordShopifyCancellation(connection, booking, { reason, actor, refundAmount, refundId });
+
+  await recordAudit(connection, {
+    actor,
+    entityType: 'booking',
+    entityId: booking.id,
+    action: 'cancelled',
+    before: booking,
+    after: await loadEntity(connection, 'booking', booking.id),
+    details: { reason, refund_amount: refundAmount }
+  });
+
+  return freedProductDateId;
+}
+
+// Total of the successful refund transactions in a Shopify payload
+function sumRefundTransactions(transactions) {
+  return transactions
+    .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+    .reduce((total, transaction) => total + Number(transaction.amount || 0), 0);
+}
+
+// orders/paid: the booking is confirmed
+async function handleOrderPaid(connection, payload, actor) {
+  const booking = await findBookingForPayload(connection, payload);
+
+  if (!booking) {
+    return { status: 'ignored', message: 'No booking matches this order' };
+  }
+
+  // Payment for extra travelers added to an already paid booking
+  const { revision_id: revisionId } = getBookingAttributes(payload);
+  if (revisionId) {
+    const marked = await markRevisionPaid(connection, revisionId, booking.id, payload.id, payload.total_price);
+    if (marked) {
+      await recordAudit(connection, {
+        actor,
+        entityType: 'booking',
+        entityId: booking.id,
+        action: 'revision_paid',
+        details: { revision_id: Number(revisionId), shopify_order_id: payload.id, paid_amount: payload.total_price }
+      });
+    }
+    return marked
+      ? {
+        status: 'processed',
+        booking_id: booking.id,
+        message: `Revision ${revisionId} of booking ${booking.id} paid`,
+        notification: { template: 'payment_received', variables: { paid_amount: formatMoney(payload.total_price, payload.currency) } }
+      }
+      : { status: 'ignored', booking_id: booking.id, message: `Revision ${revisionId} not found for booking ${booking.id}` };
+  }
+
+  if (booking.status === 'completed') {
+    return { status: 'ignored', booking_id: booking.id, message: 'Booking already completed' };
+  }
+
+  // A cancelled booking that was paid or went through a cancellation (a
+  // replayed or redelivered orders/paid) stays cancelled: its seats are gone
+  // and its refund is already recorded
+  if (booking.status === 'cancelled') {
+    const [cancellations] = await connection.execute(
+      'SELECT id FROM booking_cancellations WHERE booking_id = ?',
+      [booking.id]
+    );
+
+    if (booking.shopify_order_id || booking.paid_amount !== null || cancellations.length > 0) {
+      return { status: 'ignored', booking_id: booking.id, message: 'Booking was cancelled; payment not applied' };
+    }
+  }
+
+  let message = `Booking ${booking.id} marked as completed`;
+
+  // The hold ran out (or an unpaid booking was cancelled) before payment arrived: take the seats again
+  if (!SEAT_HOLDING_STATUSES.includes(booking.status)) {
+    const { overbooked } = await forceReserveSeats(connection, booking.product_date_id, booking.quantity);
+    message += ` (seats re-reserved after ${booking.status}${overbooked ? ', departure is now overbooked' : ''})`;
+    if (overbooked) {
+      console.warn(`⚠️  Booking ${booking.id} paid after ${booking.status}; departure ${booking.product_date_id} is overbooked`);
+    }
+  }
+
+  await connection.execute(`
+    UPDATE booking_orders
+    SET status = 'completed', hold_expires_at = NULL, shopify_order_id = ?, paid_amount = ?, currency = ?, updated_at = NOW()
+    WHERE id = ?
+  `, [payload.id || null, payload.total_price || null, payload.currency || null, booking.id]);
+
+  await recordAudit(connection, {
+    actor,
+    entityType: 'booking',
+    entityId: booking.id,
+    action: 'paid',
+    before: booking,
+    after: await loadEntity(connection, 'booking', booking.id)
+  });
+
+  return { status: 'processed', booking_id: booking.id, message, notification: { template: 'payment_received' } };
+}
+
+// orders/cancelled: the order was cancelled in Shopify
+async function handleOrderCancelled(connection, payload, actor) {
+  const booking = await findBookingForPayload(connection, payload);
+
+  if (!booking) {
+    return { status: 'ignored', message: 'No booking matches this order' };
+  }
+
+  // Cancelling the payment for a booking change does not cancel the booking itself
+  const { revision_id: revisionId } = getBookingAttributes(payload);
+  if (revisionId) {
+    return { status: 'ignored', booking_id: booking.id, message: `Order for revision ${revisionId} cancelled; booking unchanged` };
+  }
+
+  if (booking.status === 'cancelled') {
+    return { status: 'ignored', booking_id: booking.id, message: 'Booking already cancelled' };
+  }
+
+  const refunds = payload.refunds || [];
+  const refundAmount = sumRefundTransactions(refunds.flatMap(refund => refund.transactions || []));
+  const freedProductDateId = await cancelBooking(connection, booking, actor, {
+    reason: 'Order cancelled in Shopify',
+    refundAmount,
+    refundId: refunds.length > 0 ? refunds[refunds.length - 1].id : null
+  });
+
+  return {
+    status: 'processed',
+    booking_id: booking.id,
+    message: `Booking ${booking.id} cancelled`,
+    freed_product_date_id: freedProductDateId,
+    notification: {
+      template: 'booking_cancelled',
+      variables: {
+        cancellation_reason: 'The order was cancelled in our shop.',
+        refund_amount: formatMoney(refundAmount, payload.currency)
+      }
+    }
+  };
+}
+
+// refunds/create: a full refund of the booked quantity cancels the booking
+async function handleRefundCreated(connection, payload, actor) {
+  const [rows] = await connection.execute(
+    'SELECT * FROM booking_orders WHERE shopify_order_id = ? FOR UPDATE',
+    [payload.order_id]
+  );
+
+  if (rows.length === 0) {
+    return { status: 'ignored', message: `No booking for order ${payload.order_id}` };
+  }
+
+  const booking = rows[0];
+  const refundedQuantity = (payload.refund_line_items || [])
+    .reduce((total, item) => total + (item.quantity || 0), 0);
+
+  if (refundedQuantity < booking.quantity) {
+    return {
+      status: 'ignored',
+      booking_id: booking.id,
+      message: `Partial refund (${refundedQuantity} of ${booking.quantity}) recorded, booking unchanged`
+    };
+  }
+
+  if (booking.status === 'cancelled') {
+    return { status: 'ignored', booking_id: booking.id, message: 'Booking already cancelled' };
+  }
+
+  const refundAmount = sumRefundTransactions(payload.transactions || []);
+  const freedProductDateId = await cancelBooking(connection, booking, actor, {
+    reason: 'Fully refunded in Shopify',
+    refundAmount,
+    refundId: payload.id
+  });
+
+  return {
+    status: 'processed',
+    booking_id: booking.id,
+    message: `Booking ${booking.id} refunded and cancelled`,
+    freed_product_date_id: freedProductDateId,
+    notification: {
+      template: 'booking_cancelled',
+      variables: {
+        cancellation_reason: 'Your payment was refunded.',
+        refund_amount: formatMoney(refundAmount, booking.currency)
+      }
+    }
+  };
+}
+
+// checkouts/update: the customer is active in checkout, keep their hold alive
+async function handleCheckoutUpdated(connection, payload) {
+  const booking = await findBookingForPayload(connection, payload);
+
+  if (!booking) {
+    return { status: 'ignored', message: 'No booking matches this checkout' };
+  }
+
+  if (booking.status !== 'pending' || payload.completed_at) {
+    return { status: 'ignored', booking_id: booking.id, message: 'Nothing to update' };
+  }
+
+  // An already expired hold is left to the sweeper
+  if (booking.hold_expires_at && new Date(booking.hold_expires_at) <= new Date()) {
+    return { status: 'ignored', booking_id: booking.id, message: 'Hold already expired' };
+  }
+
+  const holdMinutes = await getHoldMinutes(connection, booking.product_id);
+  await startHold(connection, booking.id, holdMinutes);
+
+  return { status: 'processed', booking_id: booking.id, message: `Hold extended for booking ${booking.id}` };
+}
+
+// products/create and products/update keep the local catalog mirror current
+async function handleProductUpdated(connection, payload) {
+  if (!payload.id) {
+    return { status: 'ignored', message: 'Payload has no product id' };
+  }
+
+  // Deliveries can arrive out of order; never overwrite a newer copy
+  const [existing] = await connection.execute(
+    'SELECT shopify_updated_at FROM products WHERE product_id = ? FOR UPDATE',
+    [payload.id]
+  );
+  if (existing.length > 0 && existing[0].shopify_updated_at && payload.updated_at &&
+      new Date(existing[0].shopify_updated_at) > new Date(payload.updated_at)) {
+    return { status: 'ignored', message: `Product ${payload.id} already has a newer version` };
+  }
+
+  await upsertProduct(connection, payload);
+
+  return { status: 'processed', message: `Product ${payload.id} mirrored` };
+}
+
+async function handleProductDeleted(connection, payload) {
+  if (!payload.id) {
+    return { status: 'ignored', message: 'Payload has no product id' };
+  }
+
+  await markProductDeleted(connection, payload.id);
+
+  return { status: 'processed', message: `Product ${payload.id} marked as deleted` };
+}
+
+const topicHandlers = {
+  'orders/paid': handleOrderPaid,
+  'orders/cancelled': handleOrderCancelled,
+  'refunds/create': handleRefundCreated,
+  'checkouts/update': handleCheckoutUpdated,
+  'products/create': handleProductUpdated,
+  'products/update': handleProductUpdated,
+  'products/delete': handleProductDeleted
+};
+
+// Run the handler for a logged delivery and record the outcome.
+// Used both for live deliveries and for replays from the admin API; the
+// caller must have claimed the delivery first (claimDelivery).
+async function processDelivery(delivery) {
+  const handler = topicHandlers[delivery.topic];
+
+  await pool.execute('UPDATE webhook_deliveries SET attempts = attempts + 1 WHERE id = ?', [delivery.id]);
+
+  let outcome;
+  try {
+    if (!handler) {
+      outcome = { status: 'ignored', message: `Unhandled topic ${delivery.topic}` };
+    } else {
+      const payload = JSON.parse(delivery.payload);
+      outcome = await withTransaction(connection => handler(connection, payload, shopifyActor(delivery.topic)));
+    }
+  } catch (error) {
+    outcome = { status: 'failed', message: error.message };
+  }
+
+  // Seats released by the handler go to the waitlist once its transaction has committed
+  if (outcome.freed_product_date_id) {
+    await offerFreedSeatsSafely(outcome.freed_product_date_id);
+  }
+
+  // Customer emails are only sent for changes that were committed
+  if (outcome.notification && outcome.booking_id) {
+    await notifyBooking(outcome.notification.template, outcome.booking_id, outcome.notification.variables);
+  }
+
+  await pool.execute(`
+    UPDATE webhook_deliveries
+    SET status = ?, booking_id = ?, result_message = ?, processed_at = NOW(), processing_started_at = NULL
+    WHERE id = ?
+  `, [outcome.status, outcome.booking_id || null, outcome.message || null, delivery.id]);
+
+  return outcome;
+}
+
+module.exports = {
+  getWebhookSecret,
+  verifyWebhookHmac,
+  claimDelivery,
+  recordDelivery,
+  processDelivery,
+  getBookingAttributes,
+  topicHandlers
+};
@@ -0,0 +1,55 @@
+// Create or reset a staff account for the admin panel.
+//
+// Usage: npm run create-staff -- <email> <password> [viewer|operator|owner]
+//
+// Run it once with the owner role to get the first login; owners can then
+// manage everyone else from the admin panel.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+const { pool, initializeDatabase } = require('../config/database');
+const { ROLES, isValidRole, hashPassword } = require('../services/auth');
+
+async function createStaff() {
+  const [email, password, role = 'owner'] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: npm run create-staff -- <email> <password> [viewer|operator|owner]');
+    process.exit(1);
+  }
+
+  if (!isValidRole(role)) {
+    console.error(`❌ Invalid role "${role}". Must be: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (password.length < 8) {
+    console.error('❌ Password must be at least 8 characters');
+    process.exit(1);
+  }
+
+  try {
+    await initializeDatabase();
+
+    const passwordHash = await hashPassword(password);
+
+    await pool.execute(`
+      INSERT INTO staff_users (email, password_hash, role, is_active)
+      VALUES (?, ?, ?, TRUE)
+      ON DUPLICATE KEY UPDATE
+        password_hash = VALUES(password_hash),
+        role = VALUES(role),
+        is_active = TRUE,
+        updated_at = CURRENT_TIMESTAMP
+    `, [email, passwordHash, role]);
+
+    console.log(`✅ Staff account ${email} (${role}) is ready`);
+  } catch (error) {
+    console.error('❌ Could not create staff account:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createStaff();
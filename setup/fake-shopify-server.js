@@ -0,0 +1,241 @@
+// Local fake of the Shopify Admin REST API for development and manual testing.
+//
+// Usage:
+//   npm run fake-shopify            (listens on FAKE_SHOPIFY_PORT, default 4000)
+//   SHOPIFY_API_BASE_URL=http://localhost:4000 npm start
+//
+// Implements just enough of the API for this project: draft orders, orders and
+// refunds, products (with Link header pagination) and variants. Set
+// FAKE_SHOPIFY_FAIL=draft_orders to make draft order creation fail, e.g. to
+// exercise the cart permalink fallback, FAKE_SHOPIFY_FAIL=refunds to make
+// refunds fail, and FAKE_SHOPIFY_PRODUCTS=600 to generate a catalog spanning
+// several pages. Every order id is answered as a paid order of
+// FAKE_SHOPIFY_ORDER_TOTAL (default 250.00).
+const http = require('http');
+
+const PORT = process.env.FAKE_SHOPIFY_PORT || 4000;
+const FAIL = (process.env.FAKE_SHOPIFY_FAIL || '').split(',').filter(Boolean);
+const EXTRA_PRODUCTS = parseInt(process.env.FAKE_SHOPIFY_PRODUCTS) || 0;
+const ORDER_TOTAL = process.env.FAKE_SHOPIFY_ORDER_TOTAL || '250.00';
+
+let nextId = 1000;
+const draftOrders = {};
+
+const products = [
+  {
+    id: 111111111,
+    title: 'Hunza Valley Tour',
+    handle: 'hunza-valley-tour',
+    status: 'active',
+    vendor: 'Fake Shopify',
+    product_type: 'Tour',
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    variants: [
+      { id: 222222222, product_id: 111111111, title: 'Default', price: '250.00', sku: 'HUNZA-1' }
+    ]
+  }
+];
+
+for (let i = 1; i <= EXTRA_PRODUCTS; i++) {
+  const id = 300000000 + i;
+  products.push({
+    id,
+    title: `Generated Tour ${i}`,
+    handle: `generated-tour-${i}`,
+    status: i % 10 === 0 ? 'draft' : 'active',
+    vendor: 'Fake Shopify',
+    product_type: 'Tour',
+    body_html: '<p>Long description the fields parameter should strip.</p>',
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    variants: [
+      { id: id + 100000000, product_id: id, title: 'Default', price: '100.00', sku: `GEN-${i}` }
+    ]
+  });
+}
+
+// Keep only the requested comma-separated fields, like Shopify's `fields` parameter
+function selectFields(record, fields) {
+  if (!fields) return record;
+  const selected = {};
+  fields.split(',').forEach(field => {
+    if (record[field] !== undefined) selected[field] = record[field];
+  });
+  return selected;
+}
+
+function sendJson(res, status, body, extraHeaders = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(json),
+    'X-Shopify-Shop-Api-Call-Limit': '1/40',
+    ...extraHeaders
+  });
+  res.end(json);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const match = url.pathname.match(/^\/admin\/api\/[^/]+\/(.+)\.json$/);
+  const body = await readBody(req);
+
+  console.log(`[Fake Shopify] ${req.method} ${url.pathname}${url.search}`);
+
+  if (!req.headers['x-shopify-access-token']) {
+    return sendJson(res, 401, { errors: '[API] Invalid API key or access token' });
+  }
+
+  if (!match) {
+    return sendJson(res, 404, { errors: 'Not Found' });
+  }
+
+  const resource = match[1];
+
+  if (req.method === 'POST' && resource === 'draft_orders') {
+    if (FAIL.includes('draft_orders')) {
+      return sendJson(res, 422, { errors: { base: ['Draft order creation disabled by FAKE_SHOPIFY_FAIL'] } });
+    }
+
+    const id = nextId++;
+    const draftOrder = {
+      id,
+      name: `#D${id}`,
+      status: 'open',
+      email: body.draft_order && body.draft_order.email,
+      line_items: (body.draft_order && body.draft_order.line_items) || [],
+      applied_discount: (body.draft_order && body.draft_order.applied_discount) || null,
+      note_attributes: (body.draft_order && body.draft_order.note_attributes) || [],
+      invoice_url: `http://localhost:${PORT}/invoices/${id}`,
+      created_at: new Date().toISOString()
+    };
+    draftOrders[id] = draftOrder;
+    console.log('[Fake Shopify] Draft order created:', JSON.stringify(draftOrder, null, 2));
+    return sendJson(res, 201, { draft_order: draftOrder });
+  }
+
+  const draftOrderMatch = resource.match(/^draft_orders\/(\d+)$/);
+  if (req.method === 'GET' && draftOrderMatch) {
+    const draftOrder = draftOrders[draftOrderMatch[1]];
+    return draftOrder ? sendJson(res, 200, { draft_order: draftOrder }) : sendJson(res, 404, { errors: 'Not Found' });
+  }
+
+  if (req.method === 'PUT' && draftOrderMatch) {
+    const draftOrder = draftOrders[draftOrderMatch[1]];
+    if (!draftOrder) {
+      return sendJson(res, 404, { errors: 'Not Found' });
+    }
+
+    const changes = body.draft_order || {};
+    ['email', 'line_items', 'applied_discount', 'note_attributes'].forEach(field => {
+      if (changes[field] !== undefined) draftOrder[field] = changes[field];
+    });
+    console.log('[Fake Shopify] Draft order updated:', JSON.stringify(draftOrder, null, 2));
+    return sendJson(res, 200, { draft_order: draftOrder });
+  }
+
+  if (req.method === 'GET' && resource === 'products') {
+    // Cursor pagination: page_info encodes the filter and offset of the next page
+    const limit = Math.min(250, parseInt(url.searchParams.get('limit')) || 50);
+    const fields = url.searchParams.get('fields');
+    let status = url.searchParams.get('status');
+    let offset = 0;
+
+    const pageInfo = url.searchParams.get('page_info');
+    if (pageInfo) {
+      const cursor = JSON.parse(Buffer.from(pageInfo, 'base64url').toString());
+      status = cursor.status;
+      offset = cursor.offset;
+    }
+
+    const matching = products.filter(p => !status || p.status === status);
+    const page = matching.slice(offset, offset + limit).map(p => selectFields(p, fields));
+    const headers = {};
+
+    if (offset + limit < matching.length) {
+      const next = Buffer.from(JSON.stringify({ status, offset: offset + limit })).toString('base64url');
+      const nextUrl = new URL(url.pathname, `http://localhost:${PORT}`);
+      nextUrl.searchParams.set('limit', limit);
+      if (fields) nextUrl.searchParams.set('fields', fields);
+      nextUrl.searchParams.set('page_info', next);
+      headers.Link = `<${nextUrl}>; rel="next"`;
+    }
+
+    return sendJson(res, 200, { products: page }, headers);
+  }
+
+  if (req.method === 'DELETE' && draftOrderMatch) {
+    if (!draftOrders[draftOrderMatch[1]]) {
+      return sendJson(res, 404, { errors: 'Not Found' });
+    }
+    delete draftOrders[draftOrderMatch[1]];
+    return sendJson(res, 200, {});
+  }
+
+  // Any order id is treated as a paid order of ORDER_TOTAL with one sale transaction
+  const orderMatch = resource.match(/^orders\/(\d+)(?:\/(transactions|refunds))?$/);
+  if (orderMatch) {
+    const orderId = Number(orderMatch[1]);
+    const sale = { id: orderId + 1, order_id: orderId, kind: 'sale', status: 'success', amount: ORDER_TOTAL, currency: 'USD', gateway: 'bogus' };
+
+    if (req.method === 'GET' && !orderMatch[2]) {
+      const order = { id: orderId, name: `#${orderId}`, total_price: ORDER_TOTAL, currency: 'USD', financial_status: 'paid' };
+      return sendJson(res, 200, { order: selectFields(order, url.searchParams.get('fields')) });
+    }
+
+    if (req.method === 'PUT' && !orderMatch[2]) {
+      const changes = body.order || {};
+      const order = { id: orderId, name: `#${orderId}`, note_attributes: changes.note_attributes || [] };
+      console.log('[Fake Shopify] Order updated:', JSON.stringify(order, null, 2));
+      return sendJson(res, 200, { order });
+    }
+
+    if (req.method === 'GET' && orderMatch[2] === 'transactions') {
+      return sendJson(res, 200, { transactions: [sale] });
+    }
+
+    if (req.method === 'POST' && orderMatch[2] === 'refunds') {
+      if (FAIL.includes('refunds')) {
+        return sendJson(res, 422, { errors: { base: ['Refunds disabled by FAKE_SHOPIFY_FAIL'] } });
+      }
+
+      const refund = { id: nextId++, order_id: orderId, note: body.refund && body.refund.note, transactions: (body.refund && body.refund.transactions) || [] };
+      console.log('[Fake Shopify] Refund created:', JSON.stringify(refund, null, 2));
+      return sendJson(res, 201, { refund });
+    }
+  }
+
+  const productMatch = resource.match(/^products\/(\d+)$/);
+  if (req.method === 'GET' && productMatch) {
+    const product = products.find(p => String(p.id) === productMatch[1]);
+    return product ? sendJson(res, 200, { product }) : sendJson(res, 404, { errors: 'Not Found' });
+  }
+
+  const variantMatch = resource.match(/^variants\/(\d+)$/);
+  if (req.method === 'GET' && variantMatch) {
+    const variant = products.flatMap(p => p.variants).find(v => String(v.id) === variantMatch[1]);
+    return variant ? sendJson(res, 200, { variant }) : sendJson(res, 404, { errors: 'Not Found' });
+  }
+
+  sendJson(res, 404, { errors: 'Not Found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Fake Shopify Admin API listening on http://localhost:${PORT}`);
+  console.log(`   Start the API with SHOPIFY_API_BASE_URL=http://localhost:${PORT}`);
+});
@@ -0,0 +1,85 @@
+// Apply, roll back or inspect schema migrations (see config/migrations.js).
+//
+// Usage:
+//   npm run migrate                          apply every pending migration
+//   npm run migrate -- up --to 3             apply pending migrations up to version 3
+//   npm run migrate:rollback                 roll back the last applied migration
+//   npm run migrate:rollback -- --steps 2    roll back the last two
+//   npm run migrate:status                   list migrations and their state
+//
+// The server refuses to start while a migration is pending or failed.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+const { pool, createDatabaseIfMissing } = require('../config/database');
+const { getMigrationStatus, migrate, rollback } = require('../config/migrations');
+
+const STATE_ICONS = {
+  applied: '✅',
+  pending: '⏳',
+  failed: '❌',
+  changed: '⚠️ ',
+  missing: '⚠️ '
+};
+
+// Value of `--name <value>` in the argument list, as a positive integer
+function getIntegerOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) {
+    return null;
+  }
+
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    console.error(`❌ --${name} must be a positive integer`);
+    process.exit(1);
+  }
+
+  return value;
+}
+
+async function printStatus() {
+  const status = await getMigrationStatus(pool);
+
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  console.log('\n📋 Migrations:');
+  status.forEach(migration => {
+    const appliedAt = migration.applied_at ? ` (applied ${new Date(migration.applied_at).toISOString()})` : '';
+    console.log(`${STATE_ICONS[migration.state]} ${String(migration.version).padStart(3, '0')} ${migration.name} - ${migration.state}${appliedAt}`);
+    if (migration.error) {
+      console.log(`     ${migration.error}`);
+    }
+  });
+}
+
+async function run() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  try {
+    await createDatabaseIfMissing();
+
+    if (command === 'up') {
+      const applied = await migrate(pool, { to: getIntegerOption(args, 'to') });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database schema is already up to date');
+    } else if (command === 'rollback') {
+      const rolledBack = await rollback(pool, { steps: getIntegerOption(args, 'steps') || 1 });
+      console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      await printStatus();
+    } else {
+      console.error(`❌ Unknown command "${command}". Use: up, rollback or status`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
@@ -0,0 +1,37 @@
+// Mirror the whole Shopify catalog into the products and product_variants tables.
+//
+// Usage: npm run sync-catalog
+//
+// Run it once after installing, and whenever the mirror may have drifted (e.g.
+// product webhooks were not registered for a while). Products that no longer
+// exist in Shopify are marked as deleted, not removed.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+const { pool, initializeDatabase } = require('../config/database');
+const { isShopifyConfigured } = require('../config/shopify');
+const { runFullSync } = require('../services/catalog');
+
+async function syncCatalog() {
+  if (!isShopifyConfigured()) {
+    console.error('❌ Shopify is not configured. Please set SHOPIFY_ACCESS_TOKEN and SHOPIFY_STORE_URL in config.env');
+    process.exit(1);
+  }
+
+  try {
+    await initializeDatabase();
+
+    const result = await runFullSync();
+
+    if (!result.success) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Could not sync the catalog:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+syncCatalog();